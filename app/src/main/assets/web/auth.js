@@ -0,0 +1,187 @@
+// LensDaemon API token handling, shared by the dashboard and setup wizard
+
+// Token lives in sessionStorage so it is forgotten when the tab closes
+var AUTH_STORAGE_KEY = 'lensdaemon.apiToken';
+
+// Any authenticated GET works; used to check a token before storing it
+var AUTH_PROBE_ENDPOINT = '/api/config';
+
+var authRequired = false;
+var authDismissed = false;
+var loginPromise = null;
+var authButtons = [];
+
+// ==================== Token Storage ====================
+
+function getApiToken() {
+    try {
+        return sessionStorage.getItem(AUTH_STORAGE_KEY);
+    } catch (e) {
+        return null;
+    }
+}
+
+function setApiToken(token) {
+    try {
+        sessionStorage.setItem(AUTH_STORAGE_KEY, token);
+    } catch (e) {
+        console.error('Failed to store API token:', e);
+    }
+    notifyAuthChange();
+}
+
+function clearApiToken() {
+    try {
+        sessionStorage.removeItem(AUTH_STORAGE_KEY);
+    } catch (e) {
+        // Storage unavailable, nothing to clear
+    }
+    notifyAuthChange();
+}
+
+// Let pages refresh token-bearing URLs (preview, SSE, downloads)
+function notifyAuthChange() {
+    updateAuthButtons();
+    document.dispatchEvent(new CustomEvent('authchange', { detail: { token: getApiToken() } }));
+}
+
+// ==================== Request Helpers ====================
+
+// Return a copy of headers with the Authorization header added
+function authHeaders(headers) {
+    var result = Object.assign({}, headers || {});
+    var token = getApiToken();
+    if (token) {
+        result['Authorization'] = 'Bearer ' + token;
+    }
+    return result;
+}
+
+// Append ?token= for URLs the browser loads itself (img, video, EventSource, links)
+function withToken(url) {
+    var token = getApiToken();
+    if (!token) return url;
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + 'token=' + encodeURIComponent(token);
+}
+
+// fetch() with the token attached; on 401 asks for a token and retries once
+function authFetch(url, options) {
+    options = options || {};
+    var send = function() {
+        return fetch(url, Object.assign({}, options, { headers: authHeaders(options.headers) }));
+    };
+
+    return send().then(function(response) {
+        if (response.status !== 401) return response;
+
+        authRequired = true;
+        updateAuthButtons();
+        return requestLogin().then(function(token) {
+            return token ? send() : response;
+        });
+    });
+}
+
+// ==================== Login Prompt ====================
+
+// Show the login prompt unless it is already open or was dismissed.
+// Resolves with the accepted token, or null if the user cancelled.
+function requestLogin(force) {
+    if (loginPromise) return loginPromise;
+    if (authDismissed && !force) return Promise.resolve(null);
+
+    loginPromise = new Promise(function(resolve) {
+        showLoginDialog(resolve);
+    }).then(function(token) {
+        loginPromise = null;
+        authDismissed = !token;
+        return token;
+    });
+    return loginPromise;
+}
+
+function showLoginDialog(done) {
+    var overlay = document.createElement('div');
+    overlay.className = 'auth-overlay';
+    overlay.innerHTML =
+        '<form class="auth-dialog">' +
+        '    <h3>Authentication Required</h3>' +
+        '    <p>This device requires an API token.</p>' +
+        '    <input type="password" class="auth-token-input" placeholder="API token" autocomplete="current-password">' +
+        '    <div class="auth-error"></div>' +
+        '    <div class="auth-actions">' +
+        '        <button type="button" class="btn btn-secondary auth-cancel">Cancel</button>' +
+        '        <button type="submit" class="btn btn-primary auth-submit">Log In</button>' +
+        '    </div>' +
+        '</form>';
+    document.body.appendChild(overlay);
+
+    var form = overlay.querySelector('form');
+    var input = overlay.querySelector('.auth-token-input');
+    var error = overlay.querySelector('.auth-error');
+    var submit = overlay.querySelector('.auth-submit');
+
+    var close = function(token) {
+        document.body.removeChild(overlay);
+        done(token);
+    };
+
+    overlay.querySelector('.auth-cancel').addEventListener('click', function() {
+        close(null);
+    });
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        var token = input.value.trim();
+        if (!token) {
+            error.textContent = 'Enter a token';
+            return;
+        }
+
+        submit.disabled = true;
+        error.textContent = '';
+        fetch(AUTH_PROBE_ENDPOINT, { headers: { 'Authorization': 'Bearer ' + token } })
+            .then(function(r) {
+                if (r.status === 401) {
+                    error.textContent = 'Invalid token';
+                    submit.disabled = false;
+                    input.select();
+                    return;
+                }
+                setApiToken(token);
+                close(token);
+            })
+            .catch(function() {
+                error.textContent = 'Could not reach device';
+                submit.disabled = false;
+            });
+    });
+
+    input.focus();
+}
+
+// ==================== Login / Logout Button ====================
+
+// Wire a button that logs in or forgets the stored token
+function bindAuthButton(button) {
+    if (!button) return;
+    authButtons.push(button);
+    button.addEventListener('click', function() {
+        if (getApiToken()) {
+            clearApiToken();
+            authDismissed = false;
+        } else {
+            requestLogin(true);
+        }
+    });
+    updateAuthButtons();
+}
+
+// Hidden until the server has asked for a token or one is stored
+function updateAuthButtons() {
+    var hasToken = !!getApiToken();
+    authButtons.forEach(function(button) {
+        button.textContent = hasToken ? 'Log Out' : 'Log In';
+        button.style.display = hasToken || authRequired ? '' : 'none';
+    });
+}
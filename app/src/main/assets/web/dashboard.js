@@ -5,21 +5,71 @@
 // API base URL
 const API_BASE = '';
 
-// State
-let isStreaming = false;
-let isRtspRunning = false;
-let isPreviewActive = false;
-let statusInterval = null;
+// Status polling: normal interval, and exponential backoff while unreachable
+const STATUS_POLL_MS = 2000;
+const STATUS_BACKOFF_MAX_MS = 30000;
+// Consecutive failed polls before the device is considered offline
+const OFFLINE_AFTER_FAILURES = 2;
+
+// Timers
+let statusTimer = null;
+let offlineTicker = null;
+let uploadInterval = null;
+let thermalInterval = null;
+let kioskInterval = null;
+let focusReticleTimeout = null;
 
 // Director state
-let directorEnabled = false;
-let directorState = 'DISABLED';
 let directorEventSource = null;
 let loadedScriptFileName = null;
+let savedScriptFiles = [];
+const selectedScriptFiles = new Set();
+
+// Lenses reported by /api/lenses
+let availableLenses = [];
+let currentLensType = null;
+
+// Recordings library state
+let recordings = [];
+let selectedRecordingName = null;
+
+// Stream settings state
+let encoderCapabilities = null;
+let savedStreamSettings = null;
+
+// Kiosk event log
+let kioskEvents = [];
+
+// Thermal chart state
+let thermalHistory = [];
+let thermalProfile = null;
+
+// Chart colors, kept in sync with the legend swatches in styles.css
+const THERMAL_COLORS = {
+    cpu: '#2196F3',
+    battery: '#4CAF50',
+    warn: '#ff9800',
+    critical: '#f44336',
+    emergency: '#b71c1c',
+    grid: '#0f3460',
+    text: '#888'
+};
 
 // DOM Elements
 const elements = {
     connectionStatus: document.getElementById('connection-status'),
+    main: document.querySelector('main'),
+    offlineBanner: document.getElementById('offline-banner'),
+    offlineLastSeen: document.getElementById('offline-last-seen'),
+    offlineRetry: document.getElementById('offline-retry'),
+    btnOfflineRetry: document.getElementById('btn-offline-retry'),
+    btnAuth: document.getElementById('btn-auth'),
+    btnShortcuts: document.getElementById('btn-shortcuts'),
+    shortcutsDialog: document.getElementById('shortcuts-dialog'),
+    shortcutsList: document.getElementById('shortcuts-list'),
+    shortcutsStatus: document.getElementById('shortcuts-status'),
+    btnShortcutsReset: document.getElementById('btn-shortcuts-reset'),
+    btnShortcutsClose: document.getElementById('btn-shortcuts-close'),
     previewImage: document.getElementById('mjpeg-preview'),
     previewOverlay: document.getElementById('preview-overlay'),
     btnPreview: document.getElementById('btn-preview'),
@@ -31,21 +81,113 @@ const elements = {
     streamStatus: document.getElementById('stream-status'),
     rtspUrl: document.getElementById('rtsp-url'),
     rtspClients: document.getElementById('rtsp-clients'),
-    lensButtons: document.querySelectorAll('.btn-lens'),
+    mpegtsDelivery: document.getElementById('mpegts-delivery'),
+    mpegtsPacketSize: document.getElementById('mpegts-packet-size'),
+    mpegtsHost: document.getElementById('mpegts-host'),
+    mpegtsPort: document.getElementById('mpegts-port'),
+    mpegtsTtl: document.getElementById('mpegts-ttl'),
+    mpegtsDestination: document.getElementById('mpegts-destination'),
+    mpegtsPackets: document.getElementById('mpegts-packets'),
+    mpegtsBytes: document.getElementById('mpegts-bytes'),
+    btnMpegTsStart: document.getElementById('btn-mpegts-start'),
+    btnMpegTsStop: document.getElementById('btn-mpegts-stop'),
+    btnRecordStart: document.getElementById('btn-record-start'),
+    btnRecordPause: document.getElementById('btn-record-pause'),
+    btnRecordStop: document.getElementById('btn-record-stop'),
+    recordingStatus: document.getElementById('recording-status'),
+    recordingElapsed: document.getElementById('recording-elapsed'),
+    recordingFile: document.getElementById('recording-file'),
+    recordingSegment: document.getElementById('recording-segment'),
+    lensButtons: document.getElementById('lens-buttons'),
     zoomSlider: document.getElementById('zoom-slider'),
     zoomValue: document.getElementById('zoom-value'),
     exposureSlider: document.getElementById('exposure-slider'),
+    focusMode: document.getElementById('focus-mode'),
+    focusState: document.getElementById('focus-state'),
+    focusDistance: document.getElementById('focus-distance'),
+    focusDistanceValue: document.getElementById('focus-distance-value'),
+    focusReticle: document.getElementById('focus-reticle'),
     exposureValue: document.getElementById('exposure-value'),
     resolution: document.getElementById('resolution'),
     bitrate: document.getElementById('bitrate'),
     framerate: document.getElementById('framerate'),
     codec: document.getElementById('codec'),
+    profile: document.getElementById('profile'),
+    bitrateMode: document.getElementById('bitrate-mode'),
+    keyframeInterval: document.getElementById('keyframe-interval'),
+    rtspPort: document.getElementById('rtsp-port'),
+    streamSettingsMessage: document.getElementById('stream-settings-message'),
+    streamSustainableHint: document.getElementById('stream-sustainable-hint'),
+    btnSettingsRevert: document.getElementById('btn-settings-revert'),
+    btnSettingsSave: document.getElementById('btn-settings-save'),
     statFrames: document.getElementById('stat-frames'),
     statFps: document.getElementById('stat-fps'),
     statBitrate: document.getElementById('stat-bitrate'),
     statEncoder: document.getElementById('stat-encoder'),
     deviceInfo: document.getElementById('device-info'),
 
+    // Recordings library elements
+    recordingsSummary: document.getElementById('recordings-summary'),
+    btnRefreshRecordings: document.getElementById('btn-refresh-recordings'),
+    recordingsSort: document.getElementById('recordings-sort'),
+    recordingsFilterDate: document.getElementById('recordings-filter-date'),
+    recordingsFilterSize: document.getElementById('recordings-filter-size'),
+    recordingsFilterDuration: document.getElementById('recordings-filter-duration'),
+    recordingsList: document.getElementById('recordings-list'),
+    recordingPlayerPanel: document.getElementById('recording-player-panel'),
+    recordingPlayer: document.getElementById('recording-player'),
+    recordingPlayerName: document.getElementById('recording-player-name'),
+    recordingPlayerMeta: document.getElementById('recording-player-meta'),
+    btnRecordingDownload: document.getElementById('btn-recording-download'),
+    btnRecordingDelete: document.getElementById('btn-recording-delete'),
+    recordingUploadDest: document.getElementById('recording-upload-dest'),
+    recordingUploadDelete: document.getElementById('recording-upload-delete'),
+    btnRecordingUpload: document.getElementById('btn-recording-upload'),
+
+    // Upload queue elements
+    uploadSummary: document.getElementById('upload-summary'),
+    btnRefreshUploads: document.getElementById('btn-refresh-uploads'),
+    uploadState: document.getElementById('upload-state'),
+    uploadDestinations: document.getElementById('upload-destinations'),
+    uploadCurrent: document.getElementById('upload-current'),
+    btnUploadStart: document.getElementById('btn-upload-start'),
+    btnUploadStop: document.getElementById('btn-upload-stop'),
+    btnUploadRetry: document.getElementById('btn-upload-retry'),
+    btnUploadClear: document.getElementById('btn-upload-clear'),
+    uploadPendingList: document.getElementById('upload-pending-list'),
+    uploadCompletedList: document.getElementById('upload-completed-list'),
+
+    // Thermal elements
+    thermalSummary: document.getElementById('thermal-summary'),
+    btnRefreshThermal: document.getElementById('btn-refresh-thermal'),
+    thermalStatCpu: document.getElementById('thermal-stat-cpu'),
+    thermalStatBattery: document.getElementById('thermal-stat-battery'),
+    thermalStatTime: document.getElementById('thermal-stat-time'),
+    thermalStatEvents: document.getElementById('thermal-stat-events'),
+    thermalChart: document.getElementById('thermal-chart'),
+    thermalEventsList: document.getElementById('thermal-events-list'),
+
+    // Kiosk elements
+    kioskSummary: document.getElementById('kiosk-summary'),
+    btnRefreshKiosk: document.getElementById('btn-refresh-kiosk'),
+    kioskState: document.getElementById('kiosk-state'),
+    kioskDeviceOwner: document.getElementById('kiosk-device-owner'),
+    kioskLockTask: document.getElementById('kiosk-lock-task'),
+    kioskUptime: document.getElementById('kiosk-uptime'),
+    kioskRestarts: document.getElementById('kiosk-restarts'),
+    btnKioskEnable: document.getElementById('btn-kiosk-enable'),
+    btnKioskDisable: document.getElementById('btn-kiosk-disable'),
+    btnKioskAppliance: document.getElementById('btn-kiosk-appliance'),
+    btnKioskInteractive: document.getElementById('btn-kiosk-interactive'),
+    kioskConfigForm: document.getElementById('kiosk-config-form'),
+    kioskExitPin: document.getElementById('kiosk-exit-pin'),
+    kioskClearPin: document.getElementById('kiosk-clear-pin'),
+    kioskConfigError: document.getElementById('kiosk-config-error'),
+    btnKioskReload: document.getElementById('btn-kiosk-reload'),
+    kioskEventsType: document.getElementById('kiosk-events-type'),
+    kioskEventsSearch: document.getElementById('kiosk-events-search'),
+    kioskEventsList: document.getElementById('kiosk-events-list'),
+
     // Director elements
     directorEnabled: document.getElementById('director-enabled'),
     directorPanel: document.getElementById('director-panel'),
@@ -53,26 +195,86 @@ const elements = {
     directorScene: document.getElementById('director-scene'),
     directorCue: document.getElementById('director-cue'),
     directorTake: document.getElementById('director-take'),
+    scriptOutlineList: document.getElementById('script-outline-list'),
     scriptTextarea: document.getElementById('script-textarea'),
     btnLoadScript: document.getElementById('btn-load-script'),
     btnClearScript: document.getElementById('btn-clear-script'),
+    scriptGutter: document.getElementById('script-gutter'),
+    scriptHighlight: document.getElementById('script-highlight'),
+    scriptAutocomplete: document.getElementById('script-autocomplete'),
+    scriptLint: document.getElementById('script-lint'),
+    scriptLoadStatus: document.getElementById('script-load-status'),
+    btnDirectorSettings: document.getElementById('btn-director-settings'),
+    directorConfigDialog: document.getElementById('director-config-dialog'),
+    directorConfigForm: document.getElementById('director-config-form'),
+    directorConfigError: document.getElementById('director-config-error'),
+    directorApiKey: document.getElementById('director-api-key'),
+    directorClearApiKey: document.getElementById('director-clear-api-key'),
+    btnDirectorTestLlm: document.getElementById('btn-director-test-llm'),
+    directorLlmTestStatus: document.getElementById('director-llm-test-status'),
+    btnDirectorConfigCancel: document.getElementById('btn-director-config-cancel'),
     btnDirectorStart: document.getElementById('btn-director-start'),
     btnDirectorPause: document.getElementById('btn-director-pause'),
     btnDirectorStop: document.getElementById('btn-director-stop'),
     btnDirectorAdvance: document.getElementById('btn-director-advance'),
     cueButtons: document.querySelectorAll('.btn-cue'),
     takesList: document.getElementById('takes-list'),
+    takesViewTabs: document.querySelectorAll('.takes-view-tabs [data-view]'),
+    takesCompare: document.getElementById('takes-compare'),
+    takesCompareScene: document.getElementById('takes-compare-scene'),
+    takesCompareRecommendation: document.getElementById('takes-compare-recommendation'),
+    takesCompareTable: document.getElementById('takes-compare-table'),
+    takesBestList: document.getElementById('takes-best-list'),
+    takeLink: document.getElementById('take-link'),
+    takeLinkNumber: document.getElementById('take-link-number'),
+    takeLinkRecording: document.getElementById('take-link-recording'),
+    btnTakeLinkSave: document.getElementById('btn-take-link-save'),
+    btnTakeLinkCancel: document.getElementById('btn-take-link-cancel'),
+    takePlayer: document.getElementById('take-player'),
+    takePlayerTitle: document.getElementById('take-player-title'),
+    takePlayerNotice: document.getElementById('take-player-notice'),
+    takePlayerVideo: document.getElementById('take-player-video'),
+    btnTakePlayerClose: document.getElementById('btn-take-player-close'),
+    takeTimeline: document.getElementById('take-timeline'),
+    takeTimelineProgress: document.getElementById('take-timeline-progress'),
+    takeTimelineMarkers: document.getElementById('take-timeline-markers'),
+    takeMarkerList: document.getElementById('take-marker-list'),
+    btnExportEdl: document.getElementById('btn-export-edl'),
+    btnExportFcpxml: document.getElementById('btn-export-fcpxml'),
+    selectsMediaFolder: document.getElementById('selects-media-folder'),
+    takesExportStatus: document.getElementById('takes-export-status'),
     btnRefreshTakes: document.getElementById('btn-refresh-takes'),
     statTotalTakes: document.getElementById('dir-stat-takes'),
     statAvgQuality: document.getElementById('dir-stat-quality'),
     statBestTakes: document.getElementById('dir-stat-best'),
     statCueSuccess: document.getElementById('dir-stat-success'),
+    btnSessionReport: document.getElementById('btn-session-report'),
+    sessionReportDialog: document.getElementById('session-report-dialog'),
+    sessionReportStarted: document.getElementById('session-report-started'),
+    sessionReportSummary: document.getElementById('session-report-summary'),
+    sessionReportScenes: document.getElementById('session-report-scenes'),
+    sessionReportQuality: document.getElementById('session-report-quality'),
+    sessionReportCues: document.getElementById('session-report-cues'),
+    sessionReportThermal: document.getElementById('session-report-thermal'),
+    btnReportJson: document.getElementById('btn-report-json'),
+    btnReportCsv: document.getElementById('btn-report-csv'),
+    btnReportRefresh: document.getElementById('btn-report-refresh'),
+    btnReportClose: document.getElementById('btn-report-close'),
 
     // Script browser elements
     btnRefreshScripts: document.getElementById('btn-refresh-scripts'),
     scriptFilesList: document.getElementById('script-files-list'),
     scriptFilename: document.getElementById('script-filename'),
     btnSaveScript: document.getElementById('btn-save-script'),
+    scriptBrowser: document.getElementById('script-browser'),
+    btnImportScripts: document.getElementById('btn-import-scripts'),
+    btnExportScripts: document.getElementById('btn-export-scripts'),
+    scriptImportInput: document.getElementById('script-import-input'),
+    scriptBrowserStatus: document.getElementById('script-browser-status'),
+    scriptConflictDialog: document.getElementById('script-conflict-dialog'),
+    scriptConflictMessage: document.getElementById('script-conflict-message'),
+    scriptConflictAll: document.getElementById('script-conflict-all'),
+    scriptConflictAllLabel: document.getElementById('script-conflict-all-label'),
 
     // Scene progress (text-only)
     sceneProgress: document.getElementById('scene-progress')
@@ -80,17 +282,100 @@ const elements = {
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
+    setupStoreSubscriptions();
     setupEventListeners();
     fetchDeviceInfo();
     startStatusPolling();
+    fetchFocus();
+    loadLenses();
+    loadStreamSettings();
+    fetchRecordings();
+    startUploadPolling();
+    startThermalPolling();
+    startKioskPolling();
 });
 
+// ==================== State Store ====================
+
+// Single source of truth for device state. fetchStatus() and the command
+// handlers write through setState(); panels render from subscriptions.
+const store = {
+    state: {
+        connection: { online: null, lastSeen: null, failures: 0, retryAt: null },
+        previewActive: false,
+        streaming: false,
+        encoder: null,
+        camera: null,
+        rtsp: { running: false, url: '', clients: 0 },
+        mpegts: { running: false },
+        recording: { active: false, paused: false },
+        // undefined until the first status; null when the backend has no director
+        director: undefined
+    },
+    listeners: []
+};
+
+function getState() {
+    return store.state;
+}
+
+// Shallow-merge a patch and notify the subscribers of keys whose value changed
+function setState(patch) {
+    const prev = store.state;
+    const changed = Object.keys(patch).filter(key => prev[key] !== patch[key]);
+    if (changed.length === 0) return;
+
+    store.state = { ...prev, ...patch };
+    store.listeners.forEach(({ keys, listener }) => {
+        if (keys.some(key => changed.includes(key))) {
+            listener(store.state, prev);
+        }
+    });
+}
+
+// Call listener(state, prevState) when any of the given keys changes.
+// Returns a function that removes the subscription.
+function subscribe(keys, listener) {
+    const entry = { keys: Array.isArray(keys) ? keys : [keys], listener };
+    store.listeners.push(entry);
+    return () => {
+        store.listeners = store.listeners.filter(e => e !== entry);
+    };
+}
+
+function isOffline() {
+    return store.state.connection.online === false;
+}
+
+function setupStoreSubscriptions() {
+    subscribe('connection', renderConnection);
+    subscribe('previewActive', state => renderPreview(state.previewActive));
+    subscribe('streaming', state => updateStreamStatus(state.streaming));
+    subscribe('encoder', state => updateEncoderStats(state.encoder));
+    subscribe('camera', state => updateCameraStatus(state.camera));
+    subscribe('rtsp', state => updateRtspStatus(state.rtsp));
+    subscribe('mpegts', state => updateMpegTsStatus(state.mpegts));
+    subscribe('recording', state => updateRecordingStatus(state.recording));
+    subscribe('director', state => updateDirectorStatus(state.director));
+}
+
 // Setup event listeners
 function setupEventListeners() {
+    // Authentication
+    bindAuthButton(elements.btnAuth);
+    document.addEventListener('authchange', resyncAll);
+
+    // Connection
+    elements.btnOfflineRetry.addEventListener('click', fetchStatus);
+
+    // Keyboard shortcuts
+    setupShortcuts();
+
     // Preview
     elements.btnPreview.addEventListener('click', togglePreview);
     elements.previewOverlay.addEventListener('click', togglePreview);
     elements.btnSnapshot.addEventListener('click', captureSnapshot);
+    elements.previewImage.addEventListener('click', tapToFocus);
 
     // Stream control
     elements.btnStreamStart.addEventListener('click', startStream);
@@ -100,9 +385,61 @@ function setupEventListeners() {
     elements.btnRtspStart.addEventListener('click', startRtsp);
     elements.btnRtspStop.addEventListener('click', stopRtsp);
 
-    // Lens selection
-    elements.lensButtons.forEach(btn => {
-        btn.addEventListener('click', () => switchLens(btn.dataset.lens));
+    // MPEG-TS/UDP
+    elements.btnMpegTsStart.addEventListener('click', startMpegTs);
+    elements.btnMpegTsStop.addEventListener('click', stopMpegTs);
+    elements.mpegtsDelivery.addEventListener('change', updateMpegTsFields);
+
+    // Recording control
+    elements.btnRecordStart.addEventListener('click', startRecording);
+    elements.btnRecordPause.addEventListener('click', toggleRecordingPause);
+    elements.btnRecordStop.addEventListener('click', stopRecording);
+
+    // Recordings library
+    elements.btnRefreshRecordings.addEventListener('click', fetchRecordings);
+    [elements.recordingsSort, elements.recordingsFilterDate,
+     elements.recordingsFilterSize, elements.recordingsFilterDuration].forEach(select => {
+        select.addEventListener('change', renderRecordingsList);
+    });
+    elements.btnRecordingDelete.addEventListener('click', () => {
+        if (selectedRecordingName) deleteRecording(selectedRecordingName);
+    });
+    elements.btnRecordingUpload.addEventListener('click', () => {
+        if (selectedRecordingName) enqueueRecordingUpload(selectedRecordingName);
+    });
+
+    // Upload queue
+    elements.btnRefreshUploads.addEventListener('click', fetchUploadStatus);
+    elements.btnUploadStart.addEventListener('click', () => uploadAction('/api/upload/start', 'start uploads'));
+    elements.btnUploadStop.addEventListener('click', () => uploadAction('/api/upload/stop', 'stop uploads'));
+    elements.btnUploadRetry.addEventListener('click', () => uploadAction('/api/upload/retry', 'retry failed uploads'));
+    elements.btnUploadClear.addEventListener('click', clearUploadQueue);
+
+    // Thermal
+    elements.btnRefreshThermal.addEventListener('click', fetchThermal);
+    window.addEventListener('resize', drawThermalChart);
+
+    // Kiosk
+    elements.btnRefreshKiosk.addEventListener('click', () => {
+        fetchKioskConfig();
+        fetchKioskStatus();
+    });
+    elements.btnKioskEnable.addEventListener('click', () => setKioskEnabled(true));
+    elements.btnKioskDisable.addEventListener('click', () => setKioskEnabled(false));
+    elements.btnKioskAppliance.addEventListener('click', () => applyKioskPreset('appliance'));
+    elements.btnKioskInteractive.addEventListener('click', () => applyKioskPreset('interactive'));
+    elements.kioskConfigForm.addEventListener('submit', saveKioskConfig);
+    elements.btnKioskReload.addEventListener('click', fetchKioskConfig);
+    elements.kioskClearPin.addEventListener('change', () => {
+        elements.kioskExitPin.disabled = elements.kioskClearPin.checked;
+    });
+    elements.kioskEventsType.addEventListener('change', renderKioskEvents);
+    elements.kioskEventsSearch.addEventListener('input', renderKioskEvents);
+
+    // Lens selection (buttons are generated by renderLensButtons)
+    elements.lensButtons.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-lens');
+        if (btn && !btn.classList.contains('active')) switchLens(btn.dataset.lens);
     });
 
     // Zoom control
@@ -123,16 +460,42 @@ function setupEventListeners() {
         setExposure(parseInt(e.target.value));
     });
 
+    // Stream settings
+    elements.codec.addEventListener('change', updateStreamOptionAvailability);
+    elements.resolution.addEventListener('change', updateStreamOptionAvailability);
+    elements.framerate.addEventListener('change', updateSustainableHint);
+    elements.bitrate.addEventListener('input', updateSustainableHint);
+    elements.btnSettingsSave.addEventListener('click', saveStreamSettings);
+    elements.btnSettingsRevert.addEventListener('click', loadStreamSettings);
+
+    // Focus control
+    elements.focusMode.addEventListener('change', (e) => setFocusMode(e.target.value));
+    elements.focusDistance.addEventListener('input', (e) => {
+        updateFocusDistanceLabel(parseFloat(e.target.value));
+    });
+    elements.focusDistance.addEventListener('change', (e) => {
+        setFocusDistance(parseFloat(e.target.value));
+    });
+
     // Director controls
     if (elements.directorEnabled) {
         elements.directorEnabled.addEventListener('change', toggleDirector);
     }
+    if (elements.btnDirectorSettings) {
+        setupDirectorConfig();
+    }
+    if (elements.scriptOutlineList) {
+        setupScriptOutline();
+    }
     if (elements.btnLoadScript) {
         elements.btnLoadScript.addEventListener('click', loadScript);
     }
     if (elements.btnClearScript) {
         elements.btnClearScript.addEventListener('click', clearScript);
     }
+    if (elements.scriptTextarea) {
+        setupScriptEditor();
+    }
     if (elements.btnDirectorStart) {
         elements.btnDirectorStart.addEventListener('click', startDirector);
     }
@@ -157,6 +520,12 @@ function setupEventListeners() {
     if (elements.btnRefreshTakes) {
         elements.btnRefreshTakes.addEventListener('click', fetchTakesList);
     }
+    if (elements.takesList) {
+        setupTakeReview();
+    }
+    if (elements.btnSessionReport) {
+        setupSessionReport();
+    }
 
     // Script browser
     if (elements.btnRefreshScripts) {
@@ -165,6 +534,9 @@ function setupEventListeners() {
     if (elements.btnSaveScript) {
         elements.btnSaveScript.addEventListener('click', saveScriptFile);
     }
+    if (elements.scriptBrowser) {
+        setupScriptImportExport();
+    }
 
 }
 
@@ -182,7 +554,7 @@ async function apiCall(endpoint, method = 'GET', body = null) {
             options.body = JSON.stringify(body);
         }
 
-        const response = await fetch(`${API_BASE}${endpoint}`, options);
+        const response = await authFetch(`${API_BASE}${endpoint}`, options);
         return await response.json();
     } catch (error) {
         console.error('API call failed:', error);
@@ -190,6 +562,39 @@ async function apiCall(endpoint, method = 'GET', body = null) {
     }
 }
 
+// Reload everything after the token changes or the device comes back online.
+// Token-bearing URLs (preview, SSE, player) are reopened as well.
+function resyncAll() {
+    const state = getState();
+    if (state.previewActive) {
+        startPreview();
+    }
+    if (state.director?.enabled) {
+        startDirectorEventStream();
+        fetchTakesList();
+        fetchScriptFiles();
+    }
+    if (selectedRecordingName) {
+        selectRecording(selectedRecordingName);
+    }
+    if (playerTakeNumber !== null) {
+        openTakePlayer(playerTakeNumber);
+    }
+    // Keep unsaved edits in the stream form unless it never loaded
+    if (!encoderCapabilities) {
+        loadStreamSettings();
+    }
+    fetchStatus();
+    fetchDeviceInfo();
+    loadLenses();
+    fetchFocus();
+    fetchRecordings();
+    fetchUploadStatus();
+    fetchThermal();
+    fetchKioskConfig();
+    fetchKioskStatus();
+}
+
 // Fetch device info
 async function fetchDeviceInfo() {
     const info = await apiCall('/api/device');
@@ -201,56 +606,98 @@ async function fetchDeviceInfo() {
 // Status polling
 function startStatusPolling() {
     fetchStatus();
-    statusInterval = setInterval(fetchStatus, 2000);
+}
+
+function scheduleStatusPoll(delay) {
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(fetchStatus, delay);
 }
 
 async function fetchStatus() {
     const status = await apiCall('/api/status');
+    const connection = getState().connection;
 
-    if (status && status.status === 'ok') {
-        // Connected
-        elements.connectionStatus.textContent = 'Connected';
-        elements.connectionStatus.className = 'status-indicator connected';
+    // apiCall() returns null only when the device could not be reached
+    if (!status) {
+        const failures = connection.failures + 1;
+        const delay = failures < OFFLINE_AFTER_FAILURES
+            ? STATUS_POLL_MS
+            : Math.min(STATUS_POLL_MS * 2 ** (failures - 1), STATUS_BACKOFF_MAX_MS);
 
-        // Camera status
-        updateStreamStatus(status.camera?.streamingActive || false);
+        setState({
+            connection: {
+                ...connection,
+                online: failures >= OFFLINE_AFTER_FAILURES ? false : connection.online,
+                failures,
+                retryAt: Date.now() + delay
+            }
+        });
+        scheduleStatusPoll(delay);
+        return;
+    }
 
-        // Encoder stats
-        if (status.encoder) {
-            elements.statFrames.textContent = formatNumber(status.encoder.framesEncoded || 0);
-            elements.statFps.textContent = (status.encoder.currentFps || 0).toFixed(1);
-            elements.statBitrate.textContent = formatBitrate(status.encoder.currentBitrate || 0);
-            elements.statEncoder.textContent = status.encoder.state || 'IDLE';
-        }
+    const wasOffline = connection.online === false;
+    setState({ connection: { online: true, lastSeen: Date.now(), failures: 0, retryAt: null } });
 
-        // RTSP status
-        updateRtspStatus(status.rtsp);
+    if (status.status === 'ok') {
+        setState({
+            streaming: status.camera?.streamingActive || false,
+            encoder: status.encoder || null,
+            camera: status.camera || null,
+            rtsp: status.rtsp || { running: false, url: '', clients: 0 },
+            mpegts: status.mpegts || { running: false },
+            recording: status.recording || { active: false, paused: false },
+            // Absent when the backend has no director
+            director: status.director || null
+        });
+    }
 
-        // Zoom
-        if (status.camera?.zoom) {
-            elements.zoomSlider.value = status.camera.zoom;
-            elements.zoomValue.textContent = `${status.camera.zoom.toFixed(1)}x`;
-        }
+    scheduleStatusPoll(STATUS_POLL_MS);
 
-        // Director status — hide section entirely if backend has no director
-        var directorSection = document.querySelector('.director-section');
-        if (status.director) {
-            if (directorSection) directorSection.style.display = '';
-            updateDirectorStatus(status.director);
-        } else {
-            if (directorSection) directorSection.style.display = 'none';
-        }
+    if (wasOffline) {
+        resyncAll();
+    }
+}
+
+// Header indicator, offline banner and control lockout
+function renderConnection(state) {
+    const { online } = state.connection;
 
+    if (online) {
+        elements.connectionStatus.textContent = 'Connected';
     } else {
-        // Disconnected
-        elements.connectionStatus.textContent = 'Disconnected';
-        elements.connectionStatus.className = 'status-indicator disconnected';
+        elements.connectionStatus.textContent = online === false ? 'Disconnected' : 'Connecting...';
+    }
+    elements.connectionStatus.className = 'status-indicator ' + (online ? 'connected' : 'disconnected');
+
+    // Controls stay visible but cannot be used until the device is back
+    const offline = online === false;
+    document.body.classList.toggle('offline', offline);
+    elements.main.inert = offline;
+    elements.offlineBanner.hidden = !offline;
+
+    if (offline) {
+        updateOfflineBanner();
+        if (!offlineTicker) offlineTicker = setInterval(updateOfflineBanner, 1000);
+    } else if (offlineTicker) {
+        clearInterval(offlineTicker);
+        offlineTicker = null;
     }
 }
 
+function updateOfflineBanner() {
+    const { lastSeen, retryAt } = getState().connection;
+
+    elements.offlineLastSeen.textContent = lastSeen
+        ? `${formatClockTime(lastSeen)} (${formatDuration((Date.now() - lastSeen) / 1000)} ago)`
+        : 'never';
+
+    const seconds = Math.ceil(((retryAt || 0) - Date.now()) / 1000);
+    elements.offlineRetry.textContent = seconds > 0 ? `Retrying in ${seconds}s` : 'Retrying...';
+}
+
 // Update stream status UI
 function updateStreamStatus(streaming) {
-    isStreaming = streaming;
     elements.streamStatus.textContent = streaming ? 'Streaming' : 'Stopped';
     elements.streamStatus.className = streaming ? 'status-text running' : 'status-text stopped';
     elements.btnStreamStart.disabled = streaming;
@@ -263,11 +710,36 @@ function updateStreamStatus(streaming) {
     }
 }
 
+// Update encoder stats UI
+function updateEncoderStats(encoder) {
+    if (!encoder) return;
+
+    elements.statFrames.textContent = formatNumber(encoder.framesEncoded || 0);
+    elements.statFps.textContent = (encoder.currentFps || 0).toFixed(1);
+    elements.statBitrate.textContent = formatBitrate(encoder.currentBitrate || 0);
+    elements.statEncoder.textContent = encoder.state || 'IDLE';
+}
+
+// Update lens and zoom UI
+function updateCameraStatus(camera) {
+    if (!camera) return;
+
+    if (camera.zoomRange) {
+        setZoomRange(camera.zoomRange);
+    }
+    if (camera.currentLens) {
+        setActiveLens(camera.currentLens);
+    }
+    if (camera.zoom) {
+        elements.zoomSlider.value = camera.zoom;
+        elements.zoomValue.textContent = `${camera.zoom.toFixed(1)}x`;
+    }
+}
+
 // Update RTSP status UI
 function updateRtspStatus(rtsp) {
     if (!rtsp) return;
 
-    isRtspRunning = rtsp.running;
     elements.btnRtspStart.disabled = rtsp.running;
     elements.btnRtspStop.disabled = !rtsp.running;
     elements.rtspClients.textContent = rtsp.clients || 0;
@@ -281,9 +753,87 @@ function updateRtspStatus(rtsp) {
     }
 }
 
+// Update MPEG-TS/UDP status UI
+function updateMpegTsStatus(mpegts) {
+    if (!mpegts) return;
+
+    elements.btnMpegTsStart.disabled = mpegts.running;
+    elements.btnMpegTsStop.disabled = !mpegts.running;
+    elements.mpegtsPackets.textContent = formatNumber(mpegts.packetsSent || 0);
+    elements.mpegtsBytes.textContent = formatFileSize(mpegts.bytesSent || 0);
+
+    let destination = 'Not running';
+    if (mpegts.running) {
+        if (mpegts.remoteAddress) {
+            destination = mpegts.remoteAddress;
+            if (mpegts.multicast) destination += ` (multicast, TTL ${mpegts.ttl})`;
+        } else {
+            destination = `Waiting for receiver on port ${mpegts.port}`;
+        }
+    }
+    elements.mpegtsDestination.textContent = destination;
+    elements.mpegtsDestination.className = 'status-text ' + (mpegts.connected ? 'running' : 'stopped');
+
+    // Settings can only change while stopped
+    [elements.mpegtsDelivery, elements.mpegtsPacketSize, elements.mpegtsPort].forEach(el => {
+        el.disabled = mpegts.running;
+    });
+    updateMpegTsFields();
+}
+
+// Host is only needed when pushing, TTL only for multicast
+function updateMpegTsFields() {
+    const delivery = elements.mpegtsDelivery.value;
+    const running = getState().mpegts.running;
+    elements.mpegtsHost.disabled = running || delivery === 'listener';
+    elements.mpegtsTtl.disabled = running || delivery !== 'multicast';
+    elements.mpegtsHost.placeholder = delivery === 'multicast' ? '239.0.0.1' : '192.168.1.50';
+    // Only the local listen port must be unprivileged
+    elements.mpegtsPort.min = delivery === 'listener' ? 1024 : 1;
+}
+
+// Update recording status UI
+function updateRecordingStatus(recording) {
+    if (!recording) return;
+
+    // The backend reports active=false while paused; a paused recording is still live
+    const isRecordingPaused = recording.paused;
+    const isRecording = recording.active || isRecordingPaused;
+
+    if (isRecordingPaused) {
+        elements.recordingStatus.textContent = 'Paused';
+        elements.recordingStatus.className = 'status-text paused';
+    } else if (isRecording) {
+        elements.recordingStatus.textContent = 'Recording';
+        elements.recordingStatus.className = 'status-text recording';
+    } else {
+        elements.recordingStatus.textContent = 'Stopped';
+        elements.recordingStatus.className = 'status-text stopped';
+    }
+
+    elements.btnRecordStart.disabled = isRecording;
+    elements.btnRecordPause.disabled = !isRecording;
+    elements.btnRecordPause.textContent = isRecordingPaused ? 'Resume' : 'Pause';
+    elements.btnRecordStop.disabled = !isRecording;
+
+    if (isRecording) {
+        const fileName = (recording.currentFile || '').split('/').pop();
+        elements.recordingElapsed.textContent = formatDuration(recording.durationSec || 0);
+        elements.recordingFile.textContent = fileName || '-';
+        elements.recordingFile.title = recording.currentFile || '';
+        elements.recordingSegment.textContent =
+            `#${(recording.segmentIndex || 0) + 1} (${formatFileSize(recording.bytesInSegment || 0)})`;
+    } else {
+        elements.recordingElapsed.textContent = formatDuration(0);
+        elements.recordingFile.textContent = '-';
+        elements.recordingFile.title = '';
+        elements.recordingSegment.textContent = '-';
+    }
+}
+
 // Preview control
 function togglePreview() {
-    if (isPreviewActive) {
+    if (getState().previewActive) {
         stopPreview();
     } else {
         startPreview();
@@ -291,40 +841,31 @@ function togglePreview() {
 }
 
 function startPreview() {
-    elements.previewImage.src = '/mjpeg?' + Date.now();
-    elements.previewImage.classList.add('active');
-    elements.previewOverlay.classList.add('hidden');
-    elements.btnPreview.textContent = 'Stop Preview';
-    isPreviewActive = true;
-
+    elements.previewImage.src = withToken('/mjpeg?' + Date.now());
     elements.previewImage.onerror = () => {
         console.log('MJPEG stream error');
         stopPreview();
     };
+    setState({ previewActive: true });
 }
 
 function stopPreview() {
+    elements.previewImage.onerror = null;
     elements.previewImage.src = '';
-    elements.previewImage.classList.remove('active');
-    elements.previewOverlay.classList.remove('hidden');
-    elements.btnPreview.textContent = 'Start Preview';
-    isPreviewActive = false;
+    setState({ previewActive: false });
+}
+
+function renderPreview(active) {
+    elements.previewImage.classList.toggle('active', active);
+    elements.previewOverlay.classList.toggle('hidden', active);
+    elements.btnPreview.textContent = active ? 'Stop Preview' : 'Start Preview';
 }
 
 // Stream control
 async function startStream() {
-    const resolution = elements.resolution.value.split('x');
-    const config = {
-        width: parseInt(resolution[0]),
-        height: parseInt(resolution[1]),
-        bitrate: parseFloat(elements.bitrate.value) * 1000000,
-        frameRate: parseInt(elements.framerate.value),
-        codec: elements.codec.value
-    };
-
-    const result = await apiCall('/api/stream/start', 'POST', config);
+    const result = await apiCall('/api/stream/start', 'POST', getStreamSettings());
     if (result?.success) {
-        updateStreamStatus(true);
+        setState({ streaming: true });
     } else {
         alert('Failed to start streaming: ' + (result?.message || 'Unknown error'));
     }
@@ -333,24 +874,18 @@ async function startStream() {
 async function stopStream() {
     const result = await apiCall('/api/stream/stop', 'POST');
     if (result?.success) {
-        updateStreamStatus(false);
+        setState({ streaming: false });
     }
 }
 
 // RTSP control
 async function startRtsp() {
-    const resolution = elements.resolution.value.split('x');
-    const config = {
-        width: parseInt(resolution[0]),
-        height: parseInt(resolution[1]),
-        bitrate: parseFloat(elements.bitrate.value) * 1000000,
-        frameRate: parseInt(elements.framerate.value),
-        port: 8554
-    };
+    const settings = getStreamSettings();
+    const config = { ...settings, port: settings.rtspPort };
 
     const result = await apiCall('/api/rtsp/start', 'POST', config);
     if (result?.success) {
-        updateRtspStatus({ running: true, url: result.url, clients: 0 });
+        setState({ rtsp: { running: true, url: result.url, clients: 0 } });
     } else {
         alert('Failed to start RTSP: ' + (result?.message || 'Unknown error'));
     }
@@ -359,319 +894,3040 @@ async function startRtsp() {
 async function stopRtsp() {
     const result = await apiCall('/api/rtsp/stop', 'POST');
     if (result?.success) {
-        updateRtspStatus({ running: false, url: '', clients: 0 });
+        setState({ rtsp: { running: false, url: '', clients: 0 } });
     }
 }
 
-// Lens control
-async function switchLens(lens) {
-    const result = await apiCall(`/api/lens/${lens}`, 'POST');
+// MPEG-TS/UDP control
+async function startMpegTs() {
+    const delivery = elements.mpegtsDelivery.value;
+    const port = parseInt(elements.mpegtsPort.value);
+    const host = elements.mpegtsHost.value.trim();
+
+    if (delivery !== 'listener' && !host) {
+        alert('Enter a destination host');
+        elements.mpegtsHost.focus();
+        return;
+    }
+
+    // The port field is the local listen port or the remote target port
+    const config = {
+        ...getStreamSettings(),
+        mode: delivery === 'listener' ? 'listener' : 'caller',
+        ...(delivery === 'listener' ? { port } : { targetHost: host, targetPort: port }),
+        multicast: delivery === 'multicast',
+        ttl: parseInt(elements.mpegtsTtl.value),
+        packetSize: parseInt(elements.mpegtsPacketSize.value)
+    };
+
+    const result = await apiCall('/api/mpegts/start', 'POST', config);
     if (result?.success) {
-        elements.lensButtons.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.lens === lens);
-        });
+        fetchStatus();
+    } else {
+        alert('Failed to start MPEG-TS: ' + (result?.error || result?.message || 'Unknown error'));
     }
 }
 
-// Camera controls
-async function setZoom(zoom) {
-    await apiCall('/api/zoom', 'POST', { zoom });
+async function stopMpegTs() {
+    const result = await apiCall('/api/mpegts/stop', 'POST');
+    if (result?.success) {
+        setState({ mpegts: { running: false, packetsSent: 0, bytesSent: 0 } });
+    }
 }
 
-async function setExposure(ev) {
-    await apiCall('/api/exposure', 'POST', { ev });
+// Recording control
+async function startRecording() {
+    const result = await apiCall('/api/recording/start', 'POST', getStreamSettings());
+    if (result?.success) {
+        setState({ recording: { active: true, paused: false } });
+    } else {
+        alert('Failed to start recording: ' + (result?.message || 'Unknown error'));
+    }
 }
 
-// Snapshot
-async function captureSnapshot() {
-    try {
-        const response = await fetch('/api/snapshot');
-        if (response.ok) {
-            const blob = await response.blob();
-            const url = URL.createObjectURL(blob);
-
-            // Download the image
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `snapshot_${Date.now()}.jpg`;
-            a.click();
-
-            URL.revokeObjectURL(url);
-        } else {
-            alert('Failed to capture snapshot');
-        }
-    } catch (error) {
-        console.error('Snapshot error:', error);
-        alert('Failed to capture snapshot');
+async function toggleRecordingPause() {
+    const isRecordingPaused = getState().recording.paused;
+    const endpoint = isRecordingPaused ? '/api/recording/resume' : '/api/recording/pause';
+    const result = await apiCall(endpoint, 'POST');
+    if (result?.success) {
+        fetchStatus();
+    } else {
+        alert('Failed to ' + (isRecordingPaused ? 'resume' : 'pause') + ' recording: ' + (result?.message || 'Unknown error'));
     }
 }
 
-// Utility functions
-function formatNumber(num) {
-    if (num >= 1000000) {
-        return (num / 1000000).toFixed(1) + 'M';
-    } else if (num >= 1000) {
-        return (num / 1000).toFixed(1) + 'K';
+async function stopRecording() {
+    const result = await apiCall('/api/recording/stop', 'POST');
+    if (result?.success) {
+        setState({ recording: { active: false, paused: false } });
+        fetchRecordings();
     }
-    return num.toString();
 }
 
-function formatBitrate(bps) {
-    if (bps >= 1000000) {
-        return (bps / 1000000).toFixed(1) + ' Mbps';
-    } else if (bps >= 1000) {
-        return (bps / 1000).toFixed(0) + ' kbps';
+// Lens control
+async function loadLenses() {
+    const result = await apiCall('/api/lenses');
+    if (!result || !result.available) {
+        elements.lensButtons.innerHTML = '<span class="lens-empty">Lenses unavailable</span>';
+        return;
     }
-    return bps + ' bps';
+
+    availableLenses = result.available;
+    renderLensButtons();
+    setActiveLens(result.current);
+    if (result.zoomRange) setZoomRange(result.zoomRange);
 }
 
-function formatDuration(seconds) {
-    const hrs = Math.floor(seconds / 3600);
-    const mins = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    if (hrs > 0) {
-        return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+function renderLensButtons() {
+    if (availableLenses.length === 0) {
+        elements.lensButtons.innerHTML = '<span class="lens-empty">No lenses found</span>';
+        return;
     }
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-}
 
-// ==================== AI Director Functions ====================
+    elements.lensButtons.innerHTML = availableLenses.map(lens => {
+        const range = lens.zoomRange
+            ? `${lens.zoomRange.min.toFixed(0)}-${lens.zoomRange.max.toFixed(0)}x`
+            : lens.zoomFactor;
+        return `
+            <button class="btn btn-lens" data-lens="${escapeHtml(lens.type)}"
+                    title="${escapeHtml(lens.displayName)}, f/${lens.aperture.toFixed(1)}${lens.hasOis ? ', OIS' : ''}">
+                <span class="lens-name">${escapeHtml(lens.displayName)}</span>
+                <span class="lens-detail">${lens.focalLength.toFixed(1)}mm &middot; ${escapeHtml(range)}</span>
+            </button>
+        `;
+    }).join('');
 
-// Toggle director enabled state
-async function toggleDirector() {
-    const enabled = elements.directorEnabled.checked;
+    if (currentLensType) setActiveLens(currentLensType);
+}
 
-    // Use separate enable/disable endpoints
-    const endpoint = enabled ? '/api/director/enable' : '/api/director/disable';
-    const result = await apiCall(endpoint, 'POST');
+function setActiveLens(type) {
+    currentLensType = type;
+    elements.lensButtons.querySelectorAll('.btn-lens').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.lens === type);
+    });
+}
 
-    if (result?.success) {
-        directorEnabled = enabled;
-        updateDirectorPanelState(enabled);
+// Zoom ratios are per lens, so the slider range follows the active lens
+function setZoomRange(range) {
+    if (!range || !(range.max > range.min)) return;
+    elements.zoomSlider.min = range.min;
+    elements.zoomSlider.max = range.max;
+}
 
-        if (enabled) {
-            // Start SSE connection for real-time updates
-            startDirectorEventStream();
-            // Fetch takes list and script files
-            fetchTakesList();
-            fetchScriptFiles();
-        } else {
-            // Stop SSE connection
-            stopDirectorEventStream();
-        }
+async function switchLens(type) {
+    const result = await apiCall(`/api/lens/${type.toLowerCase()}`, 'POST');
+    if (result?.success) {
+        setActiveLens(result.lens);
+        setZoomRange(result.zoomRange);
+        // The camera resets to 1x on a lens switch
+        elements.zoomSlider.value = 1;
+        elements.zoomValue.textContent = '1.0x';
+        // Supported focus modes differ per lens
+        fetchFocus();
     } else {
-        // Revert checkbox
-        elements.directorEnabled.checked = !enabled;
-        alert('Failed to toggle director: ' + (result?.message || 'Unknown error'));
+        alert('Failed to switch lens: ' + (result?.error || 'Unknown error'));
     }
 }
 
-// Update director panel enabled/disabled state
-function updateDirectorPanelState(enabled) {
-    if (elements.directorPanel) {
-        if (enabled) {
-            elements.directorPanel.classList.remove('disabled');
-        } else {
-            elements.directorPanel.classList.add('disabled');
-        }
-    }
+// Camera controls
+async function setZoom(zoom) {
+    await apiCall('/api/zoom', 'POST', { zoom });
 }
 
-// Update director status from API response
-function updateDirectorStatus(director) {
-    directorEnabled = director.enabled;
-    directorState = director.state;
+async function setExposure(ev) {
+    await apiCall('/api/exposure', 'POST', { ev });
+}
 
-    // Update checkbox
-    if (elements.directorEnabled) {
-        elements.directorEnabled.checked = director.enabled;
-    }
+// ==================== Stream Settings Functions ====================
 
-    // Update panel state
-    updateDirectorPanelState(director.enabled);
+const CODEC_LABELS = { H264: 'H.264', H265: 'H.265 (HEVC)' };
+const PROFILE_OPTIONS = {
+    H264: ['BASELINE', 'MAIN', 'HIGH'],
+    H265: ['MAIN', 'MAIN_10']
+};
 
-    // Update state display
-    if (elements.directorState) {
-        elements.directorState.textContent = director.state;
-        elements.directorState.className = 'value state-' + director.state.toLowerCase().replace('_', '-');
-    }
+// Build the form from device capabilities and pre-fill it from the saved config
+async function loadStreamSettings() {
+    const [caps, config] = await Promise.all([
+        apiCall('/api/encoder/capabilities'),
+        apiCall('/api/config')
+    ]);
 
-    // Update scene/cue/take info
-    if (elements.directorScene) {
-        elements.directorScene.textContent = director.currentScene || '-';
+    if (caps && caps.codecs) {
+        encoderCapabilities = caps;
+        buildStreamOptions(caps);
     }
-    if (elements.directorCue) {
-        elements.directorCue.textContent = director.currentCue || '-';
+    if (config && config.stream) {
+        applyStreamSettings(config.stream);
     }
-    if (elements.directorTake) {
-        elements.directorTake.textContent = director.currentTake || '-';
+    updateStreamOptionAvailability();
+    savedStreamSettings = getStreamSettings();
+    elements.streamSettingsMessage.textContent = '';
+}
+
+function buildStreamOptions(caps) {
+    elements.codec.innerHTML = caps.codecs
+        .map(codec => `<option value="${codec}">${CODEC_LABELS[codec] || codec}</option>`)
+        .join('');
+
+    // Every size any encoder supports, named from the capability list where possible
+    const names = {};
+    caps.resolutions.forEach(r => {
+        const key = `${r.width}x${r.height}`;
+        if (!names[key]) names[key] = r.name;
+    });
+    const sizes = {};
+    Object.values(caps.encoders || {}).forEach(encoder => {
+        encoder.modes.forEach(m => { sizes[`${m.width}x${m.height}`] = m; });
+    });
+    elements.resolution.innerHTML = Object.values(sizes)
+        .sort((a, b) => a.width - b.width)
+        .map(m => {
+            const key = `${m.width}x${m.height}`;
+            return `<option value="${key}">${names[key] || m.height + 'p'} (${key})</option>`;
+        })
+        .join('');
+
+    elements.framerate.innerHTML = caps.frameRates
+        .map(fps => `<option value="${fps}">${fps} fps</option>`)
+        .join('');
+}
+
+function applyStreamSettings(stream) {
+    elements.codec.value = stream.codec;
+    elements.resolution.value = `${stream.width}x${stream.height}`;
+    elements.framerate.value = stream.frameRate;
+    elements.bitrate.value = stream.bitrate / 1000000;
+    elements.bitrateMode.value = stream.bitrateMode;
+    elements.keyframeInterval.value = stream.keyframeInterval;
+    elements.rtspPort.value = stream.rtspPort;
+    updateProfileOptions();
+    elements.profile.value = stream.profile;
+}
+
+function updateProfileOptions() {
+    const selected = elements.profile.value;
+    const profiles = PROFILE_OPTIONS[elements.codec.value] || [];
+    elements.profile.innerHTML = profiles
+        .map(p => `<option value="${p}">${p.replace('_', ' ')}</option>`)
+        .join('');
+    if (profiles.includes(selected)) {
+        elements.profile.value = selected;
     }
+}
 
-    // Update control button states
-    updateDirectorControls(director.state);
+// Disable options the selected codec cannot do, moving off any that became invalid
+function updateStreamOptionAvailability() {
+    updateProfileOptions();
+    const encoder = encoderCapabilities?.encoders?.[elements.codec.value];
+    if (!encoder) return;
 
-    // Update session stats
-    if (director.stats) {
-        updateDirectorStats(director.stats);
+    setOptionsEnabled(elements.resolution, value =>
+        encoder.modes.some(m => `${m.width}x${m.height}` === value));
+
+    const mode = encoder.modes.find(m => `${m.width}x${m.height}` === elements.resolution.value);
+    setOptionsEnabled(elements.framerate, value => !!mode && mode.frameRates.includes(parseInt(value)));
+    setOptionsEnabled(elements.bitrateMode, value => encoder.bitrateModes.includes(value));
+    if (encoder.profiles.length > 0) {
+        setOptionsEnabled(elements.profile, value => encoder.profiles.includes(value));
     }
 
-    // Update text-based scene progress
-    if (elements.sceneProgress) {
-        if (director.currentScene && director.state === 'RUNNING') {
-            const cueInfo = director.cueIndex !== undefined ? ` (cue ${(director.cueIndex || 0) + 1})` : '';
-            elements.sceneProgress.textContent = `${director.currentScene}${cueInfo}`;
+    elements.bitrate.min = encoder.bitrateRange.min / 1000000;
+    elements.bitrate.max = encoder.bitrateRange.max / 1000000;
+    updateSustainableHint();
+}
+
+// Ways the settings go beyond what the thermal profile can sustain
+function sustainableExcess(settings, profile) {
+    const over = [];
+    const maxHeight = parseInt(profile.sustainableResolution);
+    const height = Math.min(settings.width, settings.height);
+    if (maxHeight && height > maxHeight) over.push(`${height}p`);
+    if (settings.frameRate > profile.sustainableFps) over.push(`${settings.frameRate} fps`);
+    if (settings.bitrate > profile.sustainableBitrateKbps * 1000) over.push(formatBitrate(settings.bitrate));
+    return over;
+}
+
+// Badge the form as sustainable, or warn when it exceeds the thermal profile
+function updateSustainableHint() {
+    const hint = elements.streamSustainableHint;
+    if (!hint) return;
+    const settings = getStreamSettings();
+    if (!thermalProfile || !settings.width || isNaN(settings.bitrate)) {
+        hint.hidden = true;
+        return;
+    }
+
+    const over = sustainableExcess(settings, thermalProfile);
+    const limit = `${thermalProfile.sustainableResolution}${thermalProfile.sustainableFps} at ` +
+        formatBitrate(thermalProfile.sustainableBitrateKbps * 1000);
+    hint.hidden = false;
+    hint.classList.toggle('above', over.length > 0);
+    hint.textContent = over.length === 0
+        ? `Sustainable for ${thermalProfile.displayName}`
+        : `Above the sustainable ${limit} for ${thermalProfile.displayName}: ${over.join(', ')}. ` +
+            'Expect thermal throttling on long sessions.';
+}
+
+// Enable options matching the predicate; if the selection is disabled, pick the
+// closest enabled option before it (or the first enabled one)
+function setOptionsEnabled(select, isEnabled) {
+    const options = Array.from(select.options);
+    options.forEach(option => { option.disabled = !isEnabled(option.value); });
+
+    if (select.selectedIndex >= 0 && !options[select.selectedIndex].disabled) return;
+    const before = options.slice(0, Math.max(select.selectedIndex, 0)).reverse().find(o => !o.disabled);
+    const fallback = before || options.find(o => !o.disabled);
+    if (fallback) select.value = fallback.value;
+}
+
+// Current form values in the shape used by the start endpoints and PUT /api/config
+function getStreamSettings() {
+    const [width, height] = elements.resolution.value.split('x').map(v => parseInt(v));
+    return {
+        width,
+        height,
+        frameRate: parseInt(elements.framerate.value),
+        bitrate: Math.round(parseFloat(elements.bitrate.value) * 1000000),
+        codec: elements.codec.value,
+        keyframeInterval: parseInt(elements.keyframeInterval.value),
+        bitrateMode: elements.bitrateMode.value,
+        profile: elements.profile.value,
+        rtspPort: parseInt(elements.rtspPort.value)
+    };
+}
+
+// Save only the fields that changed since the last load or save
+async function saveStreamSettings() {
+    const current = getStreamSettings();
+    const changes = {};
+    Object.keys(current).forEach(key => {
+        if (!savedStreamSettings || current[key] !== savedStreamSettings[key]) {
+            changes[key] = current[key];
+        }
+    });
+    // Width and height only make sense together
+    if ('width' in changes || 'height' in changes) {
+        changes.width = current.width;
+        changes.height = current.height;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        elements.streamSettingsMessage.textContent = 'No changes';
+        elements.streamSettingsMessage.className = 'settings-message';
+        return;
+    }
+
+    const body = { stream: changes };
+    // A running encoder can pick up a new bitrate without restarting
+    const isStreaming = getState().streaming;
+    if (isStreaming && 'bitrate' in changes) {
+        body.bitrate = changes.bitrate;
+    }
+
+    const result = await apiCall('/api/config', 'PUT', body);
+    if (result?.success) {
+        savedStreamSettings = current;
+        elements.streamSettingsMessage.textContent = isStreaming && Object.keys(changes).some(k => k !== 'bitrate')
+            ? 'Saved. Restart the stream to apply.'
+            : 'Saved';
+        elements.streamSettingsMessage.className = 'settings-message success';
+    } else {
+        elements.streamSettingsMessage.textContent = result?.error || 'Failed to save settings';
+        elements.streamSettingsMessage.className = 'settings-message error';
+    }
+}
+
+// ==================== Focus Functions ====================
+
+// Fetch focus mode, state and what the current lens supports
+async function fetchFocus() {
+    const focus = await apiCall('/api/focus');
+    if (focus && focus.mode) {
+        updateFocusControls(focus);
+    }
+    return focus;
+}
+
+function updateFocusControls(focus) {
+    Array.from(elements.focusMode.options).forEach(option => {
+        option.disabled = !focus.supportedModes.includes(option.value);
+    });
+    // Tap-to-focus and lock leave the camera in modes without their own option
+    elements.focusMode.value = focus.mode === 'MANUAL' || focus.mode === 'AUTO' ? focus.mode : 'CONTINUOUS_VIDEO';
+
+    elements.focusState.textContent = focus.state;
+    elements.focusState.className = 'focus-state ' + focus.state.toLowerCase();
+
+    elements.focusDistance.disabled = !focus.manualFocusSupported || focus.mode !== 'MANUAL';
+    elements.focusDistance.value = focus.distance;
+    updateFocusDistanceLabel(focus.distance);
+}
+
+// 0.0 is infinity, 1.0 is the closest distance the lens can focus
+function updateFocusDistanceLabel(distance) {
+    elements.focusDistanceValue.textContent = distance > 0 ? `${Math.round(distance * 100)}%` : '∞';
+}
+
+async function setFocusMode(mode) {
+    const body = mode === 'MANUAL'
+        ? { distance: parseFloat(elements.focusDistance.value) }
+        : { mode };
+    const result = await apiCall('/api/focus', 'PUT', body);
+    if (!result?.success) {
+        alert('Failed to set focus mode: ' + (result?.error || 'Unknown error'));
+    }
+    fetchFocus();
+}
+
+async function setFocusDistance(distance) {
+    const result = await apiCall('/api/focus', 'PUT', { distance });
+    if (!result?.success) {
+        alert('Failed to set focus distance: ' + (result?.error || 'Unknown error'));
+        fetchFocus();
+    }
+}
+
+// Map a click on the preview to normalized frame coordinates.
+// The image uses object-fit: contain, so account for letterboxing.
+function previewPointFromEvent(e) {
+    const img = elements.previewImage;
+    const rect = img.getBoundingClientRect();
+    const frameRatio = img.naturalWidth && img.naturalHeight
+        ? img.naturalWidth / img.naturalHeight
+        : rect.width / rect.height;
+
+    let width = rect.width;
+    let height = rect.height;
+    if (width / height > frameRatio) {
+        width = height * frameRatio;
+    } else {
+        height = width / frameRatio;
+    }
+
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+    const x = (offsetX - (rect.width - width) / 2) / width;
+    const y = (offsetY - (rect.height - height) / 2) / height;
+    if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+
+    return { x, y, offsetX, offsetY };
+}
+
+// Tap-to-focus: send the point, then follow the focus state on the reticle
+async function tapToFocus(e) {
+    const point = previewPointFromEvent(e);
+    if (!point) return;
+
+    showFocusReticle(point.offsetX, point.offsetY, 'scanning');
+    const result = await apiCall('/api/focus', 'POST', { x: point.x, y: point.y });
+    if (!result?.success) {
+        showFocusReticle(point.offsetX, point.offsetY, 'failed');
+        hideFocusReticle();
+        return;
+    }
+
+    // Poll until the camera reports a result or we give up
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const focus = await fetchFocus();
+        if (focus?.state === 'FOCUSED' || focus?.state === 'FAILED') {
+            showFocusReticle(point.offsetX, point.offsetY, focus.state.toLowerCase());
+            break;
+        }
+    }
+    hideFocusReticle();
+}
+
+function showFocusReticle(x, y, state) {
+    clearTimeout(focusReticleTimeout);
+    elements.focusReticle.style.left = `${x}px`;
+    elements.focusReticle.style.top = `${y}px`;
+    elements.focusReticle.className = 'focus-reticle visible ' + state;
+}
+
+function hideFocusReticle() {
+    clearTimeout(focusReticleTimeout);
+    focusReticleTimeout = setTimeout(() => {
+        elements.focusReticle.classList.remove('visible');
+    }, 1500);
+}
+
+// Snapshot
+async function captureSnapshot() {
+    try {
+        const response = await authFetch('/api/snapshot');
+        if (response.ok) {
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+
+            // Download the image
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `snapshot_${Date.now()}.jpg`;
+            a.click();
+
+            URL.revokeObjectURL(url);
         } else {
-            elements.sceneProgress.textContent = '-';
+            alert('Failed to capture snapshot');
+        }
+    } catch (error) {
+        console.error('Snapshot error:', error);
+        alert('Failed to capture snapshot');
+    }
+}
+
+// Utility functions
+function formatNumber(num) {
+    if (num >= 1000000) {
+        return (num / 1000000).toFixed(1) + 'M';
+    } else if (num >= 1000) {
+        return (num / 1000).toFixed(1) + 'K';
+    }
+    return num.toString();
+}
+
+function formatBitrate(bps) {
+    if (bps >= 1000000) {
+        return (bps / 1000000).toFixed(1) + ' Mbps';
+    } else if (bps >= 1000) {
+        return (bps / 1000).toFixed(0) + ' kbps';
+    }
+    return bps + ' bps';
+}
+
+function formatDuration(seconds) {
+    const hrs = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    if (hrs > 0) {
+        return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+// ==================== Recordings Library Functions ====================
+
+// Fetch list of local recordings
+async function fetchRecordings() {
+    const result = await apiCall('/api/recordings');
+    if (result?.recordings) {
+        recordings = result.recordings;
+        elements.recordingsSummary.textContent =
+            `${result.count || 0} files, ${formatFileSize(result.totalSizeBytes || 0)}`;
+        renderRecordingsList();
+    }
+}
+
+// URL that streams or downloads a recording
+function recordingUrl(name) {
+    return withToken(`${API_BASE}/api/recordings/${encodeURIComponent(name)}`);
+}
+
+// Apply the date/size/duration filters
+function filterRecordings(list) {
+    const maxAgeHours = parseInt(elements.recordingsFilterDate.value);
+    const sizeFilter = elements.recordingsFilterSize.value;
+    const durationFilter = elements.recordingsFilterDuration.value;
+    const MB = 1024 * 1024;
+
+    return list.filter(rec => {
+        if (maxAgeHours > 0 && Date.now() - rec.lastModified > maxAgeHours * 3600 * 1000) {
+            return false;
         }
+
+        const size = rec.sizeBytes || 0;
+        if (sizeFilter === 'small' && size >= 100 * MB) return false;
+        if (sizeFilter === 'medium' && (size < 100 * MB || size > 1024 * MB)) return false;
+        if (sizeFilter === 'large' && size <= 1024 * MB) return false;
+
+        if (durationFilter !== 'any') {
+            // Unknown durations only match "any"
+            if (rec.durationSec == null) return false;
+            if (durationFilter === 'short' && rec.durationSec >= 60) return false;
+            if (durationFilter === 'medium' && (rec.durationSec < 60 || rec.durationSec > 900)) return false;
+            if (durationFilter === 'long' && rec.durationSec <= 900) return false;
+        }
+        return true;
+    });
+}
+
+// Sort according to the sort selector ("field-direction")
+function sortRecordings(list) {
+    const [field, direction] = elements.recordingsSort.value.split('-');
+    const key = {
+        date: rec => rec.lastModified || 0,
+        size: rec => rec.sizeBytes || 0,
+        duration: rec => rec.durationSec || 0
+    }[field];
+    const sign = direction === 'asc' ? 1 : -1;
+    return list.slice().sort((a, b) => (key(a) - key(b)) * sign);
+}
+
+// Render recordings list
+function renderRecordingsList() {
+    const visible = sortRecordings(filterRecordings(recordings));
+
+    if (visible.length === 0) {
+        elements.recordingsList.innerHTML = recordings.length === 0
+            ? '<div class="no-recordings">No recordings</div>'
+            : '<div class="no-recordings">No recordings match the filters</div>';
+        return;
+    }
+
+    elements.recordingsList.innerHTML = visible.map(rec => {
+        const isActive = rec.name === selectedRecordingName;
+        const duration = rec.durationSec != null ? formatDuration(rec.durationSec) : '--:--';
+
+        return `
+            <div class="recording-item ${isActive ? 'active' : ''}" data-name="${escapeHtml(rec.name)}">
+                <div class="recording-item-name">${escapeHtml(rec.name)}</div>
+                <div class="recording-item-meta">
+                    <span>${formatDate(rec.lastModified)}</span>
+                    <span>${duration}</span>
+                    <span>${formatFileSize(rec.sizeBytes || 0)}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    elements.recordingsList.querySelectorAll('.recording-item').forEach(item => {
+        item.addEventListener('click', () => selectRecording(item.dataset.name));
+    });
+}
+
+// Open a recording in the player
+function selectRecording(name) {
+    const rec = recordings.find(r => r.name === name);
+    if (!rec) return;
+
+    selectedRecordingName = name;
+    elements.recordingPlayer.src = recordingUrl(name);
+    elements.recordingPlayerName.textContent = name;
+    elements.recordingPlayerMeta.textContent = [
+        formatDate(rec.lastModified),
+        rec.durationSec != null ? formatDuration(rec.durationSec) : null,
+        formatFileSize(rec.sizeBytes || 0)
+    ].filter(Boolean).join(' | ');
+    elements.btnRecordingDownload.href = recordingUrl(name);
+    elements.btnRecordingDownload.setAttribute('download', name);
+    elements.recordingPlayerPanel.classList.remove('hidden');
+
+    elements.recordingsList.querySelectorAll('.recording-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.name === name);
+    });
+}
+
+// Close the player
+function closeRecordingPlayer() {
+    selectedRecordingName = null;
+    elements.recordingPlayer.pause();
+    elements.recordingPlayer.removeAttribute('src');
+    elements.recordingPlayer.load();
+    elements.recordingPlayerPanel.classList.add('hidden');
+}
+
+// Delete a recording after confirmation
+async function deleteRecording(name) {
+    if (!confirm(`Delete recording "${name}"? This cannot be undone.`)) return;
+
+    if (name === selectedRecordingName) {
+        // Release the file handle before the server deletes it
+        closeRecordingPlayer();
+    }
+
+    const result = await apiCall(`/api/recordings/${encodeURIComponent(name)}`, 'DELETE');
+    if (result?.success) {
+        fetchRecordings();
+    } else {
+        alert('Failed to delete recording: ' + (result?.error || 'Unknown error'));
+    }
+}
+
+// ==================== Upload Queue Functions ====================
+
+function startUploadPolling() {
+    fetchUploadStatus();
+    uploadInterval = setInterval(() => {
+        if (!isOffline()) fetchUploadStatus();
+    }, 5000);
+}
+
+// Fetch uploader status and queue contents
+async function fetchUploadStatus() {
+    const [status, queue] = await Promise.all([
+        apiCall('/api/upload/status'),
+        apiCall('/api/upload/queue')
+    ]);
+
+    if (status && status.state) {
+        updateUploadStatus(status);
+    }
+    if (queue && queue.pending) {
+        renderUploadQueue(queue);
+    }
+}
+
+// Update uploader status UI
+function updateUploadStatus(status) {
+    const queue = status.queue || {};
+    const running = status.state === 'UPLOADING';
+
+    elements.uploadState.textContent = status.state;
+    elements.uploadState.className = 'value state-' + status.state.toLowerCase();
+
+    const destinations = [];
+    if (status.isS3Configured) destinations.push('S3');
+    if (status.isSmbConfigured) destinations.push('SMB');
+    elements.uploadDestinations.textContent = destinations.length > 0 ? destinations.join(', ') : 'None configured';
+
+    elements.uploadCurrent.textContent = status.currentFile
+        ? `${status.currentFile} (${status.currentProgress || 0}%)`
+        : '-';
+
+    elements.uploadSummary.textContent =
+        `${queue.pendingCount || 0} pending, ${queue.uploadingCount || 0} uploading, ` +
+        `${queue.failedCount || 0} failed, ${queue.completedCount || 0} done`;
+
+    elements.btnUploadStart.disabled = running;
+    elements.btnUploadStop.disabled = !running;
+    elements.btnUploadRetry.disabled = !queue.failedCount;
+}
+
+// Render pending and completed upload tasks
+function renderUploadQueue(queue) {
+    if (queue.pending.length === 0) {
+        elements.uploadPendingList.innerHTML = '<div class="no-uploads">Queue is empty</div>';
+    } else {
+        elements.uploadPendingList.innerHTML = queue.pending.map(task => {
+            const status = task.status.toLowerCase();
+            const retries = task.retryCount > 0 ? `<span class="upload-retries">retry ${task.retryCount}</span>` : '';
+            const error = task.error ? `<div class="upload-error">${escapeHtml(task.error)}</div>` : '';
+
+            return `
+                <div class="upload-task ${status}">
+                    <div class="upload-task-header">
+                        <span class="upload-task-name" title="${escapeHtml(task.remotePath)}">${escapeHtml(task.fileName)}</span>
+                        <span class="upload-task-dest">${task.destination}</span>
+                        <span class="upload-task-status">${task.status}</span>
+                        ${retries}
+                        <button class="btn-cancel-upload" data-task-id="${escapeHtml(task.id)}" title="Cancel">X</button>
+                    </div>
+                    <div class="upload-progress">
+                        <div class="upload-progress-fill" style="width: ${task.progress || 0}%"></div>
+                    </div>
+                    <div class="upload-task-meta">
+                        ${formatFileSize(task.bytesUploaded || 0)} / ${formatFileSize(task.fileSize || 0)} (${task.progress || 0}%)
+                    </div>
+                    ${error}
+                </div>
+            `;
+        }).join('');
+
+        elements.uploadPendingList.querySelectorAll('.btn-cancel-upload').forEach(btn => {
+            btn.addEventListener('click', () => cancelUploadTask(btn.dataset.taskId));
+        });
+    }
+
+    const completed = queue.completed || [];
+    if (completed.length === 0) {
+        elements.uploadCompletedList.innerHTML = '<div class="no-uploads">No completed uploads</div>';
+    } else {
+        elements.uploadCompletedList.innerHTML = completed.slice().reverse().map(task => `
+            <div class="upload-task ${task.status.toLowerCase()}">
+                <div class="upload-task-header">
+                    <span class="upload-task-name">${escapeHtml(task.fileName)}</span>
+                    <span class="upload-task-dest">${task.destination}</span>
+                    <span class="upload-task-status">${task.status}</span>
+                    <span class="upload-task-meta">${formatFileSize(task.fileSize || 0)}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+// Simple POST actions on the uploader (start/stop/retry)
+async function uploadAction(endpoint, description) {
+    const result = await apiCall(endpoint, 'POST');
+    if (!result?.success) {
+        alert(`Failed to ${description}: ` + (result?.error || 'Unknown error'));
+    }
+    fetchUploadStatus();
+}
+
+async function clearUploadQueue() {
+    if (!confirm('Remove all pending uploads from the queue?')) return;
+    await uploadAction('/api/upload/clear', 'clear the upload queue');
+}
+
+async function cancelUploadTask(taskId) {
+    const result = await apiCall(`/api/upload/task/${encodeURIComponent(taskId)}`, 'DELETE');
+    if (!result?.success) {
+        alert('Failed to cancel upload: task not found');
+    }
+    fetchUploadStatus();
+}
+
+// Queue a recording from the library for upload
+async function enqueueRecordingUpload(name) {
+    const rec = recordings.find(r => r.name === name);
+    if (!rec) return;
+
+    const result = await apiCall('/api/upload/enqueue', 'POST', {
+        filePath: rec.path,
+        destination: elements.recordingUploadDest.value,
+        deleteAfterUpload: elements.recordingUploadDelete.checked
+    });
+    if (result?.success) {
+        fetchUploadStatus();
+    } else {
+        alert('Failed to queue upload: ' + (result?.error || 'Unknown error'));
+    }
+}
+
+// ==================== Thermal Functions ====================
+
+// History is sampled once a minute on the device, so poll slowly
+function startThermalPolling() {
+    fetchThermal();
+    thermalInterval = setInterval(() => {
+        if (!isOffline()) fetchThermal();
+    }, 30000);
+}
+
+async function fetchThermal() {
+    const [history, profile, stats, events] = await Promise.all([
+        apiCall('/api/thermal/history'),
+        apiCall('/api/thermal/profile'),
+        apiCall('/api/thermal/stats'),
+        apiCall('/api/thermal/events')
+    ]);
+
+    // Hide the section entirely if the backend has no thermal service
+    const thermalSection = document.querySelector('.thermal-section');
+    if (!history || !history.data) {
+        if (thermalSection) thermalSection.style.display = 'none';
+        return;
     }
+    if (thermalSection) thermalSection.style.display = '';
+
+    thermalHistory = history.data;
+    thermalProfile = profile?.profile || null;
+    updateSustainableHint();
+
+    if (thermalProfile) {
+        elements.thermalSummary.textContent = `${thermalProfile.displayName} (${profile.source})`;
+    }
+    if (stats && stats.cpu) {
+        updateThermalStats(stats);
+    }
+    renderThermalEvents(events?.events || []);
+    drawThermalChart();
 }
 
-// Update director control button states based on state
-function updateDirectorControls(state) {
-    const canStart = state === 'IDLE' || state === 'READY';
-    const canPause = state === 'RUNNING';
-    const canStop = state === 'RUNNING' || state === 'PAUSED';
-    const canAdvance = state === 'RUNNING' || state === 'PAUSED';
+// Update thermal summary stats
+function updateThermalStats(stats) {
+    const range = t => `${t.minTemp.toFixed(1)} / ${t.avgTemp.toFixed(1)} / ${t.maxTemp.toFixed(1)} °C`;
+
+    elements.thermalStatCpu.textContent = range(stats.cpu);
+    elements.thermalStatBattery.textContent = range(stats.battery);
+    elements.thermalStatTime.textContent = [
+        stats.timeInWarningMs,
+        stats.timeInCriticalMs,
+        stats.timeInEmergencyMs
+    ].map(ms => formatDuration(Math.floor((ms || 0) / 1000))).join(' / ');
+    elements.thermalStatEvents.textContent = stats.throttleEventCount || 0;
+}
+
+// Render throttling events, newest first
+function renderThermalEvents(events) {
+    if (events.length === 0) {
+        elements.thermalEventsList.innerHTML = '<div class="no-thermal-events">No thermal events</div>';
+        return;
+    }
+
+    elements.thermalEventsList.innerHTML = events.slice().reverse().map(event => {
+        const level = event.newLevel.toLowerCase();
+        const actions = event.actions.length > 0
+            ? `<div class="thermal-event-actions">${event.actions.map(escapeHtml).join(', ')}</div>`
+            : '';
+
+        return `
+            <div class="thermal-event level-${level}">
+                <div class="thermal-event-header">
+                    <span class="thermal-event-time">${formatDate(event.timestamp)}</span>
+                    <span class="thermal-event-source">${event.source}</span>
+                    <span class="thermal-event-level">${event.oldLevel} &rarr; ${event.newLevel}</span>
+                    <span class="thermal-event-temp">${event.temperatureC.toFixed(1)} °C</span>
+                </div>
+                ${actions}
+            </div>
+        `;
+    }).join('');
+}
+
+// Draw temperature history with profile thresholds on the canvas
+function drawThermalChart() {
+    const canvas = elements.thermalChart;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width === 0 || height === 0) return;
+
+    // Scale the backing store for sharp lines on high-DPI screens
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px sans-serif';
+
+    if (thermalHistory.length < 2) {
+        ctx.fillStyle = THERMAL_COLORS.text;
+        ctx.textAlign = 'center';
+        ctx.fillText('Not enough history yet', width / 2, height / 2);
+        return;
+    }
+
+    const pad = { left: 40, right: 10, top: 10, bottom: 22 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    const thresholds = [];
+    if (thermalProfile) {
+        thresholds.push(
+            { value: thermalProfile.cpuWarnC, color: THERMAL_COLORS.warn, dashed: false },
+            { value: thermalProfile.cpuCriticalC, color: THERMAL_COLORS.critical, dashed: false },
+            { value: thermalProfile.cpuEmergencyC, color: THERMAL_COLORS.emergency, dashed: false },
+            { value: thermalProfile.batteryWarnC, color: THERMAL_COLORS.warn, dashed: true },
+            { value: thermalProfile.batteryCriticalC, color: THERMAL_COLORS.critical, dashed: true },
+            { value: thermalProfile.batteryEmergencyC, color: THERMAL_COLORS.emergency, dashed: true }
+        );
+    }
+
+    // Y range covers all samples and thresholds, rounded out to 5 °C
+    const temps = thermalHistory.flatMap(e => [e.cpuTemp, e.batteryTemp])
+        .concat(thresholds.map(t => t.value));
+    const minTemp = Math.floor((Math.min(...temps) - 2) / 5) * 5;
+    const maxTemp = Math.ceil((Math.max(...temps) + 2) / 5) * 5;
+
+    const startTime = thermalHistory[0].timestamp;
+    const endTime = thermalHistory[thermalHistory.length - 1].timestamp;
+    const xFor = t => pad.left + ((t - startTime) / Math.max(1, endTime - startTime)) * plotW;
+    const yFor = temp => pad.top + (1 - (temp - minTemp) / (maxTemp - minTemp)) * plotH;
+
+    // Grid and Y labels
+    ctx.strokeStyle = THERMAL_COLORS.grid;
+    ctx.fillStyle = THERMAL_COLORS.text;
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let temp = minTemp; temp <= maxTemp; temp += 5) {
+        const y = yFor(temp);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y);
+        ctx.lineTo(width - pad.right, y);
+        ctx.stroke();
+        ctx.fillText(`${temp}°`, pad.left - 5, y);
+    }
+
+    // X labels at start, middle and end
+    ctx.textBaseline = 'alphabetic';
+    [[startTime, 'left'], [(startTime + endTime) / 2, 'center'], [endTime, 'right']].forEach(([t, align]) => {
+        ctx.textAlign = align;
+        ctx.fillText(formatClockTime(t), xFor(t), height - 6);
+    });
+
+    // Threshold lines
+    thresholds.forEach(t => {
+        ctx.strokeStyle = t.color;
+        ctx.setLineDash(t.dashed ? [6, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, yFor(t.value));
+        ctx.lineTo(width - pad.right, yFor(t.value));
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Temperature series
+    ctx.lineWidth = 2;
+    [['cpuTemp', THERMAL_COLORS.cpu], ['batteryTemp', THERMAL_COLORS.battery]].forEach(([key, color]) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        thermalHistory.forEach((entry, i) => {
+            const x = xFor(entry.timestamp);
+            const y = yFor(entry[key]);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    });
+}
+
+// ==================== Kiosk Functions ====================
+
+function startKioskPolling() {
+    fetchKioskConfig();
+    fetchKioskStatus();
+    kioskInterval = setInterval(() => {
+        if (!isOffline()) fetchKioskStatus();
+    }, 10000);
+}
+
+// Fetch kiosk status and event log
+async function fetchKioskStatus() {
+    const [status, events] = await Promise.all([
+        apiCall('/api/kiosk/status'),
+        apiCall('/api/kiosk/events')
+    ]);
+
+    // Hide the section entirely if the backend has no kiosk service
+    const kioskSection = document.querySelector('.kiosk-section');
+    if (!status || !status.state) {
+        if (kioskSection) kioskSection.style.display = 'none';
+        return;
+    }
+    if (kioskSection) kioskSection.style.display = '';
+
+    updateKioskStatus(status);
+    if (events && events.events) {
+        kioskEvents = events.events;
+        renderKioskEvents();
+    }
+}
+
+// Update kiosk status UI
+function updateKioskStatus(status) {
+    elements.kioskState.textContent = status.state;
+    elements.kioskState.className = 'value state-' + status.state.toLowerCase().replace(/_/g, '-');
+    elements.kioskDeviceOwner.textContent = status.isDeviceOwner ? 'Yes' : 'No';
+    elements.kioskLockTask.textContent = (status.isLockTaskActive ? 'Active' : 'Inactive') +
+        (status.isScreenLocked ? ', screen locked' : '');
+    elements.kioskUptime.textContent = formatDuration(Math.floor(status.uptimeMs / 1000));
+    elements.kioskRestarts.textContent = status.restartCount +
+        (status.lastRestartTime > 0 ? ` (last ${formatDate(status.lastRestartTime)})` : '');
+
+    elements.kioskSummary.textContent =
+        `${status.kioskEnabled ? 'Enabled' : 'Disabled'} | Screen: ${status.screenMode} | ` +
+        `Auto-start: ${status.autoStartEnabled ? 'on' : 'off'}`;
+
+    elements.btnKioskEnable.disabled = !status.isDeviceOwner || status.kioskEnabled;
+    elements.btnKioskDisable.disabled = !status.kioskEnabled;
+}
+
+// Load the config into the editor (not polled, so edits are not overwritten)
+async function fetchKioskConfig() {
+    const config = await apiCall('/api/kiosk/config');
+    if (config && config.autoStart) {
+        populateKioskConfig(config);
+    }
+}
+
+function kioskConfigFields() {
+    return elements.kioskConfigForm.querySelectorAll('[data-kiosk-field]');
+}
+
+function populateKioskConfig(config) {
+    kioskConfigFields().forEach(input => {
+        const value = input.dataset.kioskField.split('.').reduce((obj, key) => obj?.[key], config);
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.value = value ?? '';
+        }
+        input.classList.remove('invalid');
+    });
+
+    // The PIN is write-only; the server only reports whether one is set
+    const pinSet = config.security?.exitPinSet;
+    elements.kioskExitPin.value = '';
+    elements.kioskExitPin.disabled = false;
+    elements.kioskExitPin.placeholder = pinSet ? 'Set (unchanged)' : 'Not set';
+    elements.kioskExitPin.classList.remove('invalid');
+    elements.kioskClearPin.checked = false;
+    elements.kioskClearPin.disabled = !pinSet;
+    elements.kioskConfigError.textContent = '';
+}
+
+// Validate the editor against each input's constraints and build the PUT body
+function buildKioskConfig() {
+    const config = {};
+
+    for (const input of kioskConfigFields()) {
+        input.classList.remove('invalid');
+        if (!input.checkValidity()) {
+            input.classList.add('invalid');
+            const label = input.closest('label').firstChild.textContent.trim();
+            return { error: `${label}: ${input.validationMessage}` };
+        }
+
+        const [group, key] = input.dataset.kioskField.split('.');
+        config[group] = config[group] || {};
+        if (input.type === 'checkbox') {
+            config[group][key] = input.checked;
+        } else if (input.type === 'number') {
+            config[group][key] = parseInt(input.value);
+        } else {
+            config[group][key] = input.value;
+        }
+    }
+
+    const pin = elements.kioskExitPin.value.trim();
+    elements.kioskExitPin.classList.remove('invalid');
+    if (elements.kioskClearPin.checked) {
+        config.security.exitPin = '';
+    } else if (pin) {
+        if (!/^\d{4,8}$/.test(pin)) {
+            elements.kioskExitPin.classList.add('invalid');
+            return { error: 'Exit PIN must be 4-8 digits' };
+        }
+        config.security.exitPin = pin;
+    }
+
+    return { config };
+}
+
+async function saveKioskConfig(e) {
+    e.preventDefault();
+
+    const { config, error } = buildKioskConfig();
+    if (error) {
+        elements.kioskConfigError.textContent = error;
+        return;
+    }
+
+    const result = await apiCall('/api/kiosk/config', 'PUT', config);
+    if (result?.success) {
+        fetchKioskConfig();
+        fetchKioskStatus();
+    } else {
+        elements.kioskConfigError.textContent = result?.error || 'Failed to save kiosk config';
+    }
+}
+
+// Enable/disable take full effect after the app restarts, so surface the server's note
+async function setKioskEnabled(enabled) {
+    const result = await apiCall(`/api/kiosk/${enabled ? 'enable' : 'disable'}`, 'POST');
+    if (result?.success) {
+        alert(result.message);
+    } else {
+        alert(`Failed to ${enabled ? 'enable' : 'disable'} kiosk mode: ` + (result?.error || 'Unknown error'));
+    }
+    fetchKioskConfig();
+    fetchKioskStatus();
+}
+
+async function applyKioskPreset(preset) {
+    if (!confirm(`Apply the ${preset} preset? This replaces the whole kiosk configuration, including the exit PIN.`)) {
+        return;
+    }
+
+    const result = await apiCall(`/api/kiosk/preset/${preset}`, 'POST');
+    if (!result?.success) {
+        alert('Failed to apply preset: ' + (result?.error || 'Unknown error'));
+    }
+    fetchKioskConfig();
+    fetchKioskStatus();
+}
+
+// Render the event log, newest first, applying type and text filters
+function renderKioskEvents() {
+    // Rebuild the type filter from the types present, keeping the selection
+    const selectedType = elements.kioskEventsType.value;
+    const types = [...new Set(kioskEvents.map(e => e.type))].sort();
+    elements.kioskEventsType.innerHTML = '<option value="">All events</option>' +
+        types.map(t => `<option value="${t}">${t}</option>`).join('');
+    elements.kioskEventsType.value = types.includes(selectedType) ? selectedType : '';
+
+    const type = elements.kioskEventsType.value;
+    const search = elements.kioskEventsSearch.value.trim().toLowerCase();
+    const filtered = kioskEvents.filter(event => {
+        if (type && event.type !== type) return false;
+        if (search) {
+            const text = `${event.type} ${event.message} ${JSON.stringify(event.details)}`.toLowerCase();
+            if (!text.includes(search)) return false;
+        }
+        return true;
+    });
+
+    if (filtered.length === 0) {
+        elements.kioskEventsList.innerHTML = '<div class="no-kiosk-events">No kiosk events</div>';
+        return;
+    }
+
+    elements.kioskEventsList.innerHTML = filtered.slice().reverse().map(event => {
+        const details = Object.entries(event.details || {})
+            .map(([key, value]) => `${escapeHtml(key)}=${escapeHtml(String(value))}`)
+            .join(', ');
+
+        return `
+            <div class="kiosk-event">
+                <div class="kiosk-event-header">
+                    <span class="kiosk-event-type">${event.type}</span>
+                    <span class="kiosk-event-time">${formatDate(event.timestamp)}</span>
+                </div>
+                <div class="kiosk-event-message">${escapeHtml(event.message)}</div>
+                ${details ? `<div class="kiosk-event-details">${details}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// ==================== AI Director Functions ====================
+
+// Toggle director enabled state
+async function toggleDirector() {
+    const enabled = elements.directorEnabled.checked;
+
+    // Use separate enable/disable endpoints
+    const endpoint = enabled ? '/api/director/enable' : '/api/director/disable';
+    const result = await apiCall(endpoint, 'POST');
+
+    if (result?.success) {
+        setState({ director: { ...getState().director, enabled } });
+
+        if (enabled) {
+            // Start SSE connection for real-time updates
+            startDirectorEventStream();
+            // Fetch takes list and script files
+            fetchTakesList();
+            fetchScriptFiles();
+        } else {
+            // Stop SSE connection
+            stopDirectorEventStream();
+        }
+    } else {
+        // Revert checkbox
+        elements.directorEnabled.checked = !enabled;
+        alert('Failed to toggle director: ' + (result?.message || 'Unknown error'));
+    }
+}
+
+// Update director panel enabled/disabled state
+function updateDirectorPanelState(enabled) {
+    if (elements.directorPanel) {
+        if (enabled) {
+            elements.directorPanel.classList.remove('disabled');
+        } else {
+            elements.directorPanel.classList.add('disabled');
+        }
+    }
+}
+
+// Update director status from API response; hides the section if the backend has no director
+function updateDirectorStatus(director) {
+    const directorSection = document.querySelector('.director-section');
+    if (directorSection) {
+        directorSection.style.display = director ? '' : 'none';
+    }
+    if (!director) return;
+
+    // Update checkbox
+    if (elements.directorEnabled) {
+        elements.directorEnabled.checked = director.enabled;
+    }
+
+    // Update panel state
+    updateDirectorPanelState(director.enabled);
+
+    // Toggling enable updates state locally before the next status poll fills in the rest
+    const state = director.state || (director.enabled ? 'IDLE' : 'DISABLED');
+
+    // Update state display
+    if (elements.directorState) {
+        elements.directorState.textContent = state;
+        elements.directorState.className = 'value state-' + state.toLowerCase().replace('_', '-');
+    }
+
+    // Update scene/cue/take info
+    if (elements.directorScene) {
+        elements.directorScene.textContent = director.currentScene || '-';
+    }
+    if (elements.directorCue) {
+        elements.directorCue.textContent = director.currentCue || '-';
+    }
+    if (elements.directorTake) {
+        elements.directorTake.textContent = director.currentTake || '-';
+    }
+
+    // Update control button states
+    updateDirectorControls(state);
+
+    // Update session stats
+    if (director.stats) {
+        updateDirectorStats(director.stats);
+    }
+
+    if (elements.scriptOutlineList) {
+        updateScriptOutline(director);
+    }
+
+    // Update text-based scene progress
+    if (elements.sceneProgress) {
+        if (director.currentScene && state === 'RUNNING') {
+            const cueInfo = director.cueIndex !== undefined ? ` (cue ${(director.cueIndex || 0) + 1})` : '';
+            elements.sceneProgress.textContent = `${director.currentScene}${cueInfo}`;
+        } else {
+            elements.sceneProgress.textContent = '-';
+        }
+    }
+}
+
+// Update director control button states based on state
+function updateDirectorControls(state) {
+    const canStart = state === 'IDLE' || state === 'READY';
+    const canPause = state === 'RUNNING';
+    const canStop = state === 'RUNNING' || state === 'PAUSED';
+    const canAdvance = state === 'RUNNING' || state === 'PAUSED';
+
+    if (elements.btnDirectorStart) {
+        elements.btnDirectorStart.disabled = !canStart;
+        elements.btnDirectorStart.textContent = state === 'PAUSED' ? 'Resume' : 'Start';
+    }
+    if (elements.btnDirectorPause) {
+        elements.btnDirectorPause.disabled = !canPause;
+    }
+    if (elements.btnDirectorStop) {
+        elements.btnDirectorStop.disabled = !canStop;
+    }
+    if (elements.btnDirectorAdvance) {
+        elements.btnDirectorAdvance.disabled = !canAdvance;
+    }
+}
+
+// Update director stats display
+function updateDirectorStats(stats) {
+    if (elements.statTotalTakes) {
+        elements.statTotalTakes.textContent = stats.totalTakes || 0;
+    }
+    if (elements.statAvgQuality) {
+        const score = stats.averageScore || stats.avgQualityScore || 0;
+        elements.statAvgQuality.textContent = score > 0 ? score.toFixed(1) : '-';
+    }
+    if (elements.statBestTakes) {
+        elements.statBestTakes.textContent = stats.goodTakes || stats.bestTakeCount || 0;
+    }
+    if (elements.statCueSuccess) {
+        const rate = stats.cueSuccessRate || 0;
+        elements.statCueSuccess.textContent = rate > 0 ? `${(rate * 100).toFixed(0)}%` : '-';
+    }
+}
+
+// ==================== Script Outline ====================
+
+let scriptOutline = null;
+let outlinePosition = null;
+let outlineFetchPending = false;
+
+function setupScriptOutline() {
+    elements.scriptOutlineList.addEventListener('click', (e) => {
+        const button = e.target.closest('.outline-scene-btn');
+        if (button) jumpToScene(parseInt(button.dataset.index));
+    });
+}
+
+// Runs on every director update; the outline is refetched only when another script is loaded
+function updateScriptOutline(director) {
+    if ((director.scriptId || '') !== (scriptOutline?.scriptId || '')) {
+        fetchScriptOutline();
+        return;
+    }
+    highlightOutlinePosition(director.sceneIndex, director.cueIndex);
+}
+
+async function fetchScriptOutline() {
+    if (outlineFetchPending) return;
+    outlineFetchPending = true;
+    const result = await apiCall('/api/director/script');
+    outlineFetchPending = false;
+    if (!result || result.error) return;
+
+    scriptOutline = result.hasScript ? result : { scriptId: '', scenes: [] };
+    renderScriptOutline();
+    highlightOutlinePosition(result.sceneIndex, result.cueIndex);
+}
+
+function renderScriptOutline() {
+    const scenes = scriptOutline?.scenes || [];
+    outlinePosition = null;
+    if (scenes.length === 0) {
+        elements.scriptOutlineList.innerHTML = '<li class="no-outline">No script loaded</li>';
+        return;
+    }
+
+    elements.scriptOutlineList.innerHTML = scenes.map(scene => `
+        <li class="outline-scene" data-index="${scene.index}">
+            <button class="outline-scene-btn" data-index="${scene.index}" title="Jump to this scene">
+                <span>${escapeHtml(scene.label)}</span>
+                <span class="outline-scene-meta">${scene.cues.length} cue${scene.cues.length === 1 ? '' : 's'}</span>
+            </button>
+            <ol class="outline-cues">
+                ${scene.cues.map(cue => `
+                    <li class="outline-cue" data-index="${cue.index}" title="Line ${cue.lineNumber + 1}">${escapeHtml(cue.text)}</li>
+                `).join('')}
+            </ol>
+        </li>
+    `).join('');
+}
+
+// Mark passed, current and upcoming cues
+function highlightOutlinePosition(sceneIndex, cueIndex) {
+    if (sceneIndex === undefined || sceneIndex < 0) return;
+    const position = `${sceneIndex}:${cueIndex}`;
+    if (position === outlinePosition) return;
+    outlinePosition = position;
+
+    const list = elements.scriptOutlineList;
+    list.querySelectorAll('.outline-scene').forEach(sceneEl => {
+        const index = parseInt(sceneEl.dataset.index);
+        const isCurrent = index === sceneIndex;
+        sceneEl.classList.toggle('current', isCurrent);
+        sceneEl.querySelectorAll('.outline-cue').forEach(cueEl => {
+            const cue = parseInt(cueEl.dataset.index);
+            cueEl.classList.toggle('done', index < sceneIndex || (isCurrent && cue < cueIndex));
+            cueEl.classList.toggle('current', isCurrent && cue === cueIndex);
+            cueEl.classList.toggle('next', isCurrent && cue === cueIndex + 1);
+        });
+    });
+
+    // Scroll only the outline, and only when the position moves, so manual scrolling sticks
+    const current = list.querySelector('.outline-cue.current') || list.querySelector('.outline-scene.current');
+    if (current) {
+        list.scrollTop = Math.max(0, current.offsetTop - list.clientHeight / 3);
+    }
+}
+
+async function jumpToScene(index) {
+    const result = await apiCall('/api/director/scene', 'POST', { index });
+    if (!result?.success) {
+        alert('Failed to jump to scene: ' + (result?.error || 'Unknown error'));
+        return;
+    }
+    highlightOutlinePosition(index, 0);
+    fetchStatus();
+}
+
+// ==================== Director Settings ====================
+
+function setupDirectorConfig() {
+    elements.btnDirectorSettings.addEventListener('click', openDirectorConfig);
+    elements.btnDirectorConfigCancel.addEventListener('click', closeDirectorConfig);
+    elements.directorConfigForm.addEventListener('submit', saveDirectorConfig);
+    elements.btnDirectorTestLlm.addEventListener('click', testDirectorLlm);
+    elements.directorClearApiKey.addEventListener('change', () => {
+        elements.directorApiKey.disabled = elements.directorClearApiKey.checked;
+    });
+    elements.directorConfigDialog.addEventListener('click', (e) => {
+        if (e.target === elements.directorConfigDialog) closeDirectorConfig();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !elements.directorConfigDialog.hidden) closeDirectorConfig();
+    });
+}
+
+function directorConfigFields() {
+    return elements.directorConfigForm.querySelectorAll('[data-director-field]');
+}
+
+async function openDirectorConfig() {
+    const config = await apiCall('/api/director/config');
+    if (!config || config.error) {
+        alert('Failed to load director settings: ' + (config?.error || 'Unknown error'));
+        return;
+    }
+    populateDirectorConfig(config);
+    elements.directorConfigDialog.hidden = false;
+}
+
+function closeDirectorConfig() {
+    elements.directorConfigDialog.hidden = true;
+}
+
+function populateDirectorConfig(config) {
+    directorConfigFields().forEach(input => {
+        const value = input.dataset.directorField.split('.').reduce((obj, key) => obj?.[key], config);
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else if (input.dataset.unit === 's') {
+            input.value = (value || 0) / 1000;
+        } else {
+            input.value = value ?? '';
+        }
+        input.classList.remove('invalid');
+    });
+
+    // The API key is write-only; the server only reports whether one is set
+    const keySet = config.llmConfig?.apiKeySet;
+    elements.directorApiKey.value = '';
+    elements.directorApiKey.disabled = false;
+    elements.directorApiKey.placeholder = keySet ? 'Set (unchanged)' : 'Not set';
+    elements.directorClearApiKey.checked = false;
+    elements.directorClearApiKey.disabled = !keySet;
+    elements.directorConfigError.textContent = '';
+    elements.directorLlmTestStatus.textContent = '';
+    elements.directorLlmTestStatus.className = 'director-llm-test-status';
+}
+
+// Validate the dialog and build the PUT body; checks mirror DirectorConfig.validate()
+function buildDirectorConfig() {
+    const config = { llmConfig: {} };
+
+    for (const input of directorConfigFields()) {
+        input.classList.remove('invalid');
+        if (!input.checkValidity()) {
+            input.classList.add('invalid');
+            const label = input.closest('label').firstChild.textContent.trim();
+            return { error: `${label}: ${input.validationMessage}` };
+        }
+
+        const path = input.dataset.directorField.split('.');
+        const target = path.length > 1 ? config[path[0]] : config;
+        const key = path[path.length - 1];
+        if (input.type === 'checkbox') {
+            target[key] = input.checked;
+        } else if (input.dataset.unit === 's') {
+            target[key] = Math.round(parseFloat(input.value) * 1000);
+        } else if (input.type === 'number') {
+            target[key] = parseFloat(input.value);
+        } else {
+            target[key] = input.value.trim();
+        }
+    }
+
+    const field = name => elements.directorConfigForm.querySelector(`[data-director-field="${name}"]`);
+    if (config.thermalThresholdResume >= config.thermalThresholdDisable) {
+        field('thermalThresholdResume').classList.add('invalid');
+        return { error: 'Resume temperature must be below the pause temperature' };
+    }
+    if (config.thermalThresholdInference > config.thermalThresholdDisable) {
+        field('thermalThresholdInference').classList.add('invalid');
+        return { error: 'Remote inference must stop at or below the pause temperature' };
+    }
+    const endpoint = config.llmConfig.endpoint;
+    if (endpoint) {
+        let host = '';
+        try {
+            host = new URL(endpoint).hostname;
+        } catch (e) {
+            // Reported below
+        }
+        if (!['localhost', '127.0.0.1', '[::1]'].includes(host)) {
+            field('llmConfig.endpoint').classList.add('invalid');
+            return { error: 'LLM endpoint must be a localhost URL' };
+        }
+    }
+
+    if (elements.directorClearApiKey.checked) {
+        config.llmConfig.apiKey = '';
+    } else if (elements.directorApiKey.value.trim()) {
+        config.llmConfig.apiKey = elements.directorApiKey.value.trim();
+    }
+
+    return { config };
+}
+
+async function saveDirectorConfig(e) {
+    e.preventDefault();
+
+    const { config, error } = buildDirectorConfig();
+    if (error) {
+        elements.directorConfigError.textContent = error;
+        return;
+    }
+
+    const result = await apiCall('/api/director/config', 'PUT', config);
+    if (result?.success) {
+        closeDirectorConfig();
+        fetchStatus();
+    } else {
+        elements.directorConfigError.textContent = result?.error || 'Failed to save director settings';
+    }
+}
+
+// Test the LLM settings currently in the dialog, saved or not
+async function testDirectorLlm() {
+    const status = elements.directorLlmTestStatus;
+    const { config, error } = buildDirectorConfig();
+    if (error) {
+        status.className = 'director-llm-test-status error';
+        status.textContent = error;
+        return;
+    }
+
+    elements.btnDirectorTestLlm.disabled = true;
+    status.className = 'director-llm-test-status';
+    status.textContent = 'Testing...';
+    const result = await apiCall('/api/director/config/test-llm', 'POST', { llmConfig: config.llmConfig });
+    elements.btnDirectorTestLlm.disabled = false;
+
+    if (result?.success) {
+        status.className = 'director-llm-test-status success';
+        status.textContent = `${result.message} - ${result.model} at ${result.endpoint}`;
+    } else {
+        status.className = 'director-llm-test-status error';
+        status.textContent = result?.error || 'Test failed';
+    }
+}
+
+// ==================== Script Editor ====================
+
+// Cue vocabulary, mirroring the patterns in ScriptParser.kt. Values are
+// compared with spaces, hyphens and underscores removed.
+const SHOT_VALUES = ['WIDE', 'MEDIUM', 'CLOSE-UP', 'ESTABLISHING', 'FULL SHOT', 'MEDIUM CLOSE',
+    'EXTREME CLOSE-UP', 'ECU', 'OVER-SHOULDER', 'OTS'];
+
+const SCRIPT_CUES = {
+    'SCENE': { cls: 'cue-scene', text: true },
+    'SHOT': { cls: 'cue-shot', values: SHOT_VALUES },
+    'TRANSITION': { cls: 'cue-transition', values: ['PUSH IN', 'PULL BACK', 'RACK FOCUS', 'CUT', 'HOLD'] },
+    'FOCUS': { cls: 'cue-focus', values: ['AUTO', 'FACE', 'HANDS', 'OBJECT', 'BACKGROUND', 'MANUAL'] },
+    'EXPOSURE': { cls: 'cue-other', values: ['AUTO', 'BRIGHT', 'DARK', 'BACKLIT', 'SILHOUETTE'] },
+    'DOF': { cls: 'cue-other', values: ['SHALLOW', 'DEEP', 'AUTO'], ignored: true },
+    'HOLD': { cls: 'cue-hold', duration: true },
+    'BEAT': { cls: 'cue-hold', noValue: true },
+    'TAKE': { cls: 'cue-other', integer: true },
+    'CUT TO': { cls: 'cue-shot', text: true, suggestions: SHOT_VALUES }
+};
+
+// Lines without an explicit cue can still produce a shot cue on the device
+const NATURAL_CUE_PATTERNS = [
+    /(?:^|\s)(wide\s+(?:shot|angle)|establishing\s+shot|master\s+shot)/i,
+    /(?:^|\s)(close[_\s-]?up|closeup|tight\s+(?:shot|on)|detail\s+shot)/i,
+    /(?:^|\s)(medium\s+shot|waist\s+shot|mid[_\s-]?shot)/i
+];
+
+const DURATION_PATTERN = /^\d+(?:\.\d+)?\s*s?$/i;
+
+let scriptServerIssues = [];
+let scriptLintIssues = [];
+let scriptCompletions = [];
+let scriptCompletionIndex = 0;
+let scriptCompletionStart = 0;
+let scriptCharWidth = 0;
+
+function normalizeCueValue(value) {
+    return value.toUpperCase().replace(/[\s_-]+/g, '');
+}
+
+// Check the text inside one [...] cue. Returns { keyword, cls, error?, warning?, counts }
+function classifyCue(inner) {
+    const match = inner.match(/^(CUT\s+TO|[A-Za-z]+)(?:[:\s]+(.*?))?\s*$/i);
+    const keyword = match ? match[1].toUpperCase().replace(/\s+/g, ' ') : inner.trim().toUpperCase();
+    const def = match && SCRIPT_CUES[keyword];
+    if (!def) {
+        return { keyword, cls: 'cue-other', error: `Unknown cue type [${keyword || ' '}]` };
+    }
+
+    const value = (match[2] || '').trim();
+    const cue = { keyword, cls: def.cls, value, counts: !def.ignored && keyword !== 'SCENE' };
+
+    if (def.noValue) {
+        if (value) cue.error = `[${keyword}] takes no value; use [HOLD: 3s] for a timed hold`;
+    } else if (!value) {
+        cue.error = `[${keyword}] needs a value`;
+    } else if (def.duration) {
+        if (!DURATION_PATTERN.test(value)) {
+            cue.error = `Malformed duration '${value}'; use seconds, e.g. [${keyword}: 3s]`;
+        }
+    } else if (def.integer) {
+        if (!/^\d+$/.test(value)) cue.error = `[${keyword}] needs a whole number`;
+    } else if (def.values && !def.values.some(v => normalizeCueValue(v) === normalizeCueValue(value))) {
+        const inline = value.match(/^(.+?)\s*-\s*(\d+(?:\.\d+)?\s*s?)$/i);
+        if (keyword === 'TRANSITION' && inline) {
+            cue.error = `Put the duration after the bracket: [TRANSITION: ${inline[1]}] - ${inline[2]}`;
+        } else {
+            cue.error = `Unknown ${keyword} value '${value}' (expected ${def.values.join(', ')})`;
+        }
+    }
+
+    if (!cue.error && def.ignored) {
+        cue.warning = `[${keyword}] cues are not applied by the director`;
+    }
+    if (cue.error) cue.counts = false;
+    return cue;
+}
+
+// Lint the whole script. Returns per-line highlight tokens and a list of issues.
+function analyzeScript(text) {
+    const lines = text.split('\n');
+    const tokens = lines.map(() => []);
+    const issues = [];
+    let scene = null;
+
+    const addIssue = (line, severity, message) => issues.push({ line, severity, message });
+    const closeScene = () => {
+        if (scene && scene.cues === 0) {
+            addIssue(scene.line, 'warning', `Scene '${scene.label}' has no cues`);
+        }
+    };
+
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+
+        const cues = [];
+        const cuePattern = /\[([^\[\]]*)\]/g;
+        let match;
+        while ((match = cuePattern.exec(line)) !== null) {
+            const cue = classifyCue(match[1]);
+            const token = { start: match.index, end: cuePattern.lastIndex, cls: cue.cls };
+            if (cue.error) {
+                token.cls += ' cue-invalid';
+                token.title = cue.error;
+                addIssue(i, 'error', cue.error);
+            } else if (cue.warning) {
+                token.cls += ' cue-warning';
+                token.title = cue.warning;
+                addIssue(i, 'warning', cue.warning);
+            }
+            tokens[i].push(token);
+            cues.push(cue);
+
+            // Transition duration trails the bracket: [TRANSITION: PUSH IN] - 2s
+            if (cue.keyword === 'TRANSITION') {
+                const rest = line.slice(cuePattern.lastIndex);
+                const duration = rest.match(/^\s*-?\s*\d+(?:\.\d+)?\s*s?/i);
+                const dangling = rest.match(/^\s*-\s*\S+/);
+                if (duration && /\d/.test(duration[0])) {
+                    tokens[i].push({ start: cuePattern.lastIndex, end: cuePattern.lastIndex + duration[0].length, cls: 'cue-duration' });
+                } else if (dangling) {
+                    const message = `Malformed duration '${dangling[0].trim()}'; use '- 2s'`;
+                    tokens[i].push({ start: cuePattern.lastIndex, end: cuePattern.lastIndex + dangling[0].length, cls: 'cue-invalid', title: message });
+                    addIssue(i, 'error', message);
+                }
+            }
+        }
+
+        const lastOpen = line.lastIndexOf('[');
+        if (lastOpen > line.lastIndexOf(']')) {
+            const message = "Unclosed '[' (cue is missing ']')";
+            tokens[i].push({ start: lastOpen, end: line.length, cls: 'cue-invalid', title: message });
+            addIssue(i, 'error', message);
+        }
+
+        const sceneCue = cues.find(c => c.keyword === 'SCENE' && !c.error);
+        if (sceneCue) {
+            closeScene();
+            scene = { line: i, label: sceneCue.value, cues: 0 };
+            if (cues.some(c => c.counts)) {
+                addIssue(i, 'warning', 'Other cues on a [SCENE] line are ignored');
+            }
+            return;
+        }
+
+        // Text before the first [SCENE] starts an implicit "Scene 1"
+        if (!scene) scene = { line: i, label: 'Scene 1', cues: 0 };
+
+        const counted = cues.filter(c => c.counts);
+        if (counted.length > 1) {
+            addIssue(i, 'warning', 'Only one cue per line is used');
+        }
+        if (counted.length > 0) {
+            scene.cues++;
+        } else if (cues.length === 0) {
+            const natural = NATURAL_CUE_PATTERNS.map(p => line.match(p)).find(Boolean);
+            if (natural) {
+                const start = natural.index + natural[0].length - natural[1].length;
+                tokens[i].push({ start, end: start + natural[1].length, cls: 'cue-implied', title: 'Implied shot cue' });
+                scene.cues++;
+            }
+        }
+    });
+    closeScene();
+
+    tokens.forEach(lineTokens => lineTokens.sort((a, b) => a.start - b.start));
+    return { lines, tokens, issues };
+}
+
+function renderScriptLine(line, lineTokens) {
+    let html = '';
+    let pos = 0;
+    lineTokens.forEach(token => {
+        if (token.start < pos) return;
+        html += escapeHtml(line.slice(pos, token.start));
+        const title = token.title ? ` title="${escapeHtml(token.title)}"` : '';
+        html += `<span class="${token.cls}"${title}>${escapeHtml(line.slice(token.start, token.end))}</span>`;
+        pos = token.end;
+    });
+    return html + escapeHtml(line.slice(pos));
+}
+
+// Re-lint and redraw the highlight layer, gutter and issue list
+function refreshScriptEditor() {
+    const { lines, tokens, issues } = analyzeScript(elements.scriptTextarea.value);
+    scriptLintIssues = issues;
+
+    // Trailing blank lines give the overlays at least the textarea's scroll range
+    elements.scriptHighlight.innerHTML = lines.map((line, i) => renderScriptLine(line, tokens[i])).join('\n') + '\n\n';
+
+    const allIssues = issues.concat(scriptServerIssues);
+    const byLine = {};
+    allIssues.forEach(issue => {
+        if (issue.line === null) return;
+        (byLine[issue.line] = byLine[issue.line] || []).push(issue);
+    });
+    elements.scriptGutter.innerHTML = lines.map((_, i) => {
+        const lineIssues = byLine[i];
+        if (!lineIssues) return `<div class="gutter-line">${i + 1}</div>`;
+        const severity = lineIssues.some(issue => issue.severity === 'error') ? 'error' : 'warning';
+        const title = escapeHtml(lineIssues.map(issue => issue.message).join('\n'));
+        return `<div class="gutter-line ${severity}" title="${title}">${i + 1}</div>`;
+    }).join('') + '<div class="gutter-line">&nbsp;</div><div class="gutter-line">&nbsp;</div>';
+
+    elements.scriptLint.innerHTML = allIssues.map(issue => `
+        <li class="lint-item ${issue.severity}" data-line="${issue.line === null ? '' : issue.line}">
+            <span class="lint-line">${issue.line === null ? 'Script' : `Line ${issue.line + 1}`}</span>
+            <span class="lint-message">${escapeHtml(issue.message)}</span>
+            ${issue.source ? `<span class="lint-source">${escapeHtml(issue.source)}</span>` : ''}
+        </li>
+    `).join('');
+
+    syncScriptScroll();
+}
+
+function syncScriptScroll() {
+    elements.scriptHighlight.scrollTop = elements.scriptTextarea.scrollTop;
+    elements.scriptHighlight.scrollLeft = elements.scriptTextarea.scrollLeft;
+    elements.scriptGutter.scrollTop = elements.scriptTextarea.scrollTop;
+}
+
+// Replace the editor contents (file load, clear) and re-lint
+function setScriptText(text) {
+    elements.scriptTextarea.value = text;
+    scriptServerIssues = [];
+    setScriptLoadStatus('');
+    hideScriptCompletions();
+    refreshScriptEditor();
+}
+
+function setScriptLoadStatus(message, type) {
+    elements.scriptLoadStatus.textContent = message;
+    elements.scriptLoadStatus.className = 'script-load-status' + (type ? ' ' + type : '');
+}
+
+// Show the warnings returned by the device next to our own lint results
+function showServerScriptIssues(warnings, errors) {
+    const toIssue = severity => message => {
+        const line = message.match(/\(line (\d+)\)/);
+        return { line: line ? parseInt(line[1]) - 1 : null, severity, message, source: 'device' };
+    };
+    scriptServerIssues = (errors || []).map(toIssue('error')).concat((warnings || []).map(toIssue('warning')));
+    refreshScriptEditor();
+}
+
+function jumpToScriptLine(line) {
+    const lines = elements.scriptTextarea.value.split('\n');
+    const start = lines.slice(0, line).reduce((sum, l) => sum + l.length + 1, 0);
+    const lineHeight = parseFloat(getComputedStyle(elements.scriptTextarea).lineHeight);
+
+    elements.scriptTextarea.focus();
+    elements.scriptTextarea.setSelectionRange(start, start + (lines[line] || '').length);
+    elements.scriptTextarea.scrollTop = Math.max(0, (line - 2) * lineHeight);
+    syncScriptScroll();
+}
+
+// ---- Autocomplete ----
+
+// Completions for the cue being typed at the caret, or null
+function getScriptCompletionContext() {
+    const textarea = elements.scriptTextarea;
+    if (textarea.selectionStart !== textarea.selectionEnd) return null;
+
+    const caret = textarea.selectionStart;
+    const lineStart = textarea.value.lastIndexOf('\n', caret - 1) + 1;
+    const before = textarea.value.slice(lineStart, caret);
+
+    // Value: "[SHOT: CL"
+    const valueMatch = before.match(/\[(CUT\s+TO|[A-Za-z]+)[:\s]+([A-Za-z _-]*)$/i);
+    if (valueMatch) {
+        const def = SCRIPT_CUES[valueMatch[1].toUpperCase().replace(/\s+/g, ' ')];
+        const options = def && (def.values || def.suggestions);
+        if (!options) return null;
+        const prefix = normalizeCueValue(valueMatch[2]);
+        return {
+            start: caret - valueMatch[2].length,
+            items: options
+                .filter(v => normalizeCueValue(v).startsWith(prefix))
+                .map(v => ({ label: v, insert: v + ']' }))
+        };
+    }
+
+    // Keyword: "[SH"
+    const keywordMatch = before.match(/\[([A-Za-z ]*)$/);
+    if (keywordMatch) {
+        const prefix = keywordMatch[1].toUpperCase();
+        return {
+            start: caret - keywordMatch[1].length,
+            items: Object.keys(SCRIPT_CUES)
+                .filter(k => k.startsWith(prefix))
+                .map(k => SCRIPT_CUES[k].noValue
+                    ? { label: k, insert: k + ']' }
+                    : { label: k, insert: k + ': ', reopen: true })
+        };
+    }
+
+    return null;
+}
+
+function updateScriptCompletions(force) {
+    const context = getScriptCompletionContext();
+    if (!context || context.items.length === 0) {
+        hideScriptCompletions();
+        return;
+    }
+    // Only pop up on our own once something has been typed after '[' or ':'
+    if (!force && context.start === elements.scriptTextarea.selectionStart &&
+        elements.scriptAutocomplete.hidden) {
+        const prev = elements.scriptTextarea.value[context.start - 1];
+        if (prev !== '[') return;
+    }
+
+    scriptCompletions = context.items;
+    scriptCompletionStart = context.start;
+    scriptCompletionIndex = 0;
+    renderScriptCompletions();
+    positionScriptCompletions();
+}
+
+function renderScriptCompletions() {
+    elements.scriptAutocomplete.innerHTML = scriptCompletions.map((item, i) => `
+        <li role="option" data-index="${i}" class="${i === scriptCompletionIndex ? 'selected' : ''}">${escapeHtml(item.label)}</li>
+    `).join('');
+    elements.scriptAutocomplete.hidden = false;
+    const selected = elements.scriptAutocomplete.querySelector('.selected');
+    if (selected) selected.scrollIntoView({ block: 'nearest' });
+}
+
+// Place the list under the caret; the editor is monospace and never wraps
+function positionScriptCompletions() {
+    const textarea = elements.scriptTextarea;
+    const style = getComputedStyle(textarea);
+    if (!scriptCharWidth) {
+        const ctx = document.createElement('canvas').getContext('2d');
+        ctx.font = `${style.fontSize} ${style.fontFamily}`;
+        scriptCharWidth = ctx.measureText('M').width;
+    }
+    const lineHeight = parseFloat(style.lineHeight);
+    const before = textarea.value.slice(0, scriptCompletionStart);
+    const row = before.split('\n').length;
+    const col = scriptCompletionStart - (before.lastIndexOf('\n') + 1);
+
+    const top = parseFloat(style.paddingTop) + row * lineHeight - textarea.scrollTop;
+    const left = parseFloat(style.paddingLeft) + col * scriptCharWidth - textarea.scrollLeft;
+    elements.scriptAutocomplete.style.top = `${Math.min(top, textarea.clientHeight - lineHeight)}px`;
+    elements.scriptAutocomplete.style.left = `${Math.max(0, Math.min(left, textarea.clientWidth - 160))}px`;
+}
+
+function hideScriptCompletions() {
+    elements.scriptAutocomplete.hidden = true;
+    scriptCompletions = [];
+}
+
+function acceptScriptCompletion(index) {
+    const item = scriptCompletions[index];
+    if (!item) return;
+
+    const textarea = elements.scriptTextarea;
+    let end = textarea.selectionStart;
+    // Don't double up a closing bracket that is already there
+    if (item.insert.endsWith(']') && textarea.value[end] === ']') end++;
+
+    textarea.setRangeText(item.insert, scriptCompletionStart, end, 'end');
+    hideScriptCompletions();
+    refreshScriptEditor();
+    if (item.reopen) updateScriptCompletions(true);
+}
+
+function handleScriptKeydown(e) {
+    if (e.key === ' ' && e.ctrlKey) {
+        e.preventDefault();
+        updateScriptCompletions(true);
+        return;
+    }
+    if (elements.scriptAutocomplete.hidden) return;
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            scriptCompletionIndex = (scriptCompletionIndex + step + scriptCompletions.length) % scriptCompletions.length;
+            renderScriptCompletions();
+            break;
+        }
+        case 'Enter':
+        case 'Tab':
+            e.preventDefault();
+            acceptScriptCompletion(scriptCompletionIndex);
+            break;
+        case 'Escape':
+            e.preventDefault();
+            hideScriptCompletions();
+            break;
+    }
+}
+
+function setupScriptEditor() {
+    const textarea = elements.scriptTextarea;
+
+    textarea.addEventListener('input', () => {
+        // Device warnings describe the text that was loaded, not the edit
+        scriptServerIssues = [];
+        refreshScriptEditor();
+        updateScriptCompletions(false);
+    });
+    textarea.addEventListener('keydown', handleScriptKeydown);
+    textarea.addEventListener('scroll', () => {
+        syncScriptScroll();
+        if (!elements.scriptAutocomplete.hidden) positionScriptCompletions();
+    });
+    textarea.addEventListener('click', hideScriptCompletions);
+    textarea.addEventListener('blur', () => setTimeout(hideScriptCompletions, 150));
+
+    // mousedown keeps focus in the textarea
+    elements.scriptAutocomplete.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('li');
+        if (!item) return;
+        e.preventDefault();
+        acceptScriptCompletion(parseInt(item.dataset.index));
+    });
+
+    elements.scriptLint.addEventListener('click', (e) => {
+        const item = e.target.closest('.lint-item');
+        if (item && item.dataset.line !== '') jumpToScriptLine(parseInt(item.dataset.line));
+    });
+
+    refreshScriptEditor();
+}
+
+// Load script into director
+async function loadScript() {
+    const script = elements.scriptTextarea.value.trim();
+    if (!script) {
+        setScriptLoadStatus('Please enter a script', 'error');
+        return;
+    }
+
+    setScriptLoadStatus('Loading...');
+    const result = await apiCall('/api/director/script', 'POST', { script });
+    if (result?.success) {
+        elements.btnDirectorStart.disabled = false;
+        setScriptLoadStatus(`Loaded: ${result.scenes} scenes, ${result.totalCues} cues, ~${result.estimatedDuration}`, 'success');
+        showServerScriptIssues(result.warnings, result.errors);
+    } else {
+        setScriptLoadStatus(result?.error || 'Failed to load script', 'error');
+    }
+}
+
+// Clear script
+function clearScript() {
+    setScriptText('');
+    loadedScriptFileName = null;
+    apiCall('/api/director/script/clear', 'POST');
+}
+
+// Start director playback
+async function startDirector() {
+    const result = await apiCall('/api/director/start', 'POST');
+    if (!result?.success) {
+        alert('Failed to start director: ' + (result?.message || 'Unknown error'));
+    }
+}
+
+// Pause director playback
+async function pauseDirector() {
+    const result = await apiCall('/api/director/pause', 'POST');
+    if (!result?.success) {
+        alert('Failed to pause director: ' + (result?.message || 'Unknown error'));
+    }
+}
+
+// Stop director playback
+async function stopDirector() {
+    const result = await apiCall('/api/director/stop', 'POST');
+    if (!result?.success) {
+        alert('Failed to stop director: ' + (result?.message || 'Unknown error'));
+    }
+}
+
+// Advance to next cue
+async function advanceDirector() {
+    const result = await apiCall('/api/director/advance', 'POST');
+    if (!result?.success) {
+        alert('Failed to advance: ' + (result?.message || 'Unknown error'));
+    }
+}
+
+// Execute quick cue
+async function executeQuickCue(cue) {
+    const result = await apiCall('/api/director/cue', 'POST', { cue });
+    if (!result?.success) {
+        console.error('Failed to execute cue:', result?.message);
+    }
+}
+
+// ==================== Take Review ====================
+
+// Marks offered on set; BAD is shown as "NG" (no good)
+const TAKE_MARKS = [
+    { mark: 'CIRCLE', label: 'Circle' },
+    { mark: 'GOOD', label: 'Good' },
+    { mark: 'BAD', label: 'NG' },
+    { mark: 'HOLD', label: 'Hold' }
+];
+
+const TAKE_FACTORS = [
+    { key: 'focus', label: 'Focus' },
+    { key: 'exposure', label: 'Exposure' },
+    { key: 'stability', label: 'Stability' },
+    { key: 'timing', label: 'Timing' }
+];
+
+let directorTakes = [];
+const expandedTakes = new Set();
+let takesView = 'list';
+let compareSceneId = null;
+
+function setupTakeReview() {
+    elements.takesViewTabs.forEach(tab => {
+        tab.addEventListener('click', () => setTakesView(tab.dataset.view));
+    });
+
+    // Mark buttons appear in the list, the comparison table and the best-takes list
+    [elements.takesList, elements.takesCompare].forEach(container => {
+        container.addEventListener('click', (e) => {
+            const markButton = e.target.closest('.take-mark-btn');
+            if (markButton) {
+                markTake(parseInt(markButton.dataset.take), markButton.dataset.mark);
+                return;
+            }
+            const expand = e.target.closest('.take-expand');
+            if (expand) {
+                toggleTakeDetails(parseInt(expand.dataset.take));
+                return;
+            }
+            const play = e.target.closest('.take-play-btn');
+            if (play) {
+                const takeNumber = parseInt(play.dataset.take);
+                if (play.dataset.action === 'link') {
+                    openTakeLink(takeNumber);
+                } else {
+                    openTakePlayer(takeNumber);
+                }
+                return;
+            }
+            const bestScene = e.target.closest('.best-scene');
+            if (bestScene) {
+                compareSceneId = bestScene.dataset.scene;
+                renderCompareScenes();
+                fetchTakeComparison();
+            }
+        });
+    });
+
+    elements.takesCompareScene.addEventListener('change', () => {
+        compareSceneId = elements.takesCompareScene.value;
+        fetchTakeComparison();
+    });
+
+    setupTakePlayer();
+
+    elements.btnExportEdl.addEventListener('click', () => exportSelects('edl'));
+    elements.btnExportFcpxml.addEventListener('click', () => exportSelects('fcpxml'));
+    try {
+        elements.selectsMediaFolder.value = localStorage.getItem(MEDIA_FOLDER_STORAGE_KEY) || '';
+    } catch (e) {
+        // Private mode: the folder has to be entered each visit
+    }
+}
+
+// Fetch takes list
+async function fetchTakesList() {
+    const result = await apiCall('/api/director/takes');
+    if (result?.success && result.takes) {
+        directorTakes = result.takes;
+        renderTakesList(directorTakes);
+        renderCompareScenes();
+        if (takesView === 'compare') {
+            fetchTakeComparison();
+        }
+    }
+}
+
+function setTakesView(view) {
+    takesView = view;
+    elements.takesViewTabs.forEach(tab => {
+        const active = tab.dataset.view === view;
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', String(active));
+    });
+    elements.takesList.hidden = view !== 'list';
+    elements.takesCompare.hidden = view !== 'compare';
+    if (view === 'compare') {
+        renderCompareScenes();
+        fetchTakeComparison();
+    }
+}
+
+function formatTakeScore(score) {
+    return (score || 0).toFixed(1);
+}
+
+function renderTakeMarkButtons(take) {
+    return `
+        <div class="take-mark-buttons">
+            ${TAKE_MARKS.map(({ mark, label }) => `
+                <button class="take-mark-btn ${mark.toLowerCase()} ${take.mark === mark ? 'active' : ''}"
+                        data-take="${take.takeNumber}" data-mark="${mark}"
+                        aria-pressed="${take.mark === mark}" title="Mark take #${take.takeNumber} ${label}">${label}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderTakeDetails(take) {
+    const factors = take.factors || {};
+    const bars = TAKE_FACTORS.map(({ key, label }) => {
+        const value = factors[key] || 0;
+        return `
+            <div class="take-factor">
+                <span class="factor-label">${label}</span>
+                <div class="factor-bar"><div class="factor-fill ${getQualityClass(value)}" style="width: ${value * 10}%"></div></div>
+                <span class="factor-value">${formatTakeScore(value)}</span>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="take-details">
+            ${bars}
+            <div class="take-details-meta">
+                <span>Audio: ${factors.audioOk === false ? 'out of range' : 'OK'}</span>
+                <span>Cues: ${take.cuesExecuted || 0} executed, ${take.cuesFailed || 0} failed</span>
+                ${take.notes ? `<span>Notes: ${escapeHtml(take.notes)}</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Render takes list
+function renderTakesList(takes) {
+    if (!elements.takesList) return;
+
+    if (!takes || takes.length === 0) {
+        elements.takesList.innerHTML = '<div class="no-takes">No takes recorded yet</div>';
+        return;
+    }
+
+    elements.takesList.innerHTML = takes.map(take => {
+        const expanded = expandedTakes.has(take.takeNumber);
+        return `
+            <div class="take-entry">
+                <div class="take-item ${take.suggested ? 'best' : ''}">
+                    <button class="take-expand" data-take="${take.takeNumber}" aria-expanded="${expanded}"
+                            title="Show quality factors">&#9656;</button>
+                    <div class="take-number">#${take.takeNumber}</div>
+                    <div class="take-info">
+                        <span class="take-scene">${escapeHtml(take.sceneLabel || 'Scene')}</span>
+                        <span class="take-duration">${take.durationFormatted || formatDuration(take.duration || 0)}</span>
+                        ${take.suggested ? '<span class="take-suggested">Suggested</span>' : ''}
+                    </div>
+                    ${take.linkedFile
+                        ? `<button class="take-play-btn" data-take="${take.takeNumber}" title="${escapeHtml(take.linkedFile)}">Play</button>`
+                        : `<button class="take-play-btn" data-take="${take.takeNumber}" data-action="link" title="Link a recording">Link</button>`}
+                    ${renderTakeMarkButtons(take)}
+                    <div class="quality-score ${getQualityClass(take.qualityScore)}">${formatTakeScore(take.qualityScore)}</div>
+                </div>
+                ${expanded ? renderTakeDetails(take) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function toggleTakeDetails(takeNumber) {
+    if (expandedTakes.has(takeNumber)) {
+        expandedTakes.delete(takeNumber);
+    } else {
+        expandedTakes.add(takeNumber);
+    }
+    renderTakesList(directorTakes);
+}
+
+// Mark a take; choosing the take's current mark clears it
+async function markTake(takeNumber, mark) {
+    const take = directorTakes.find(t => t.takeNumber === takeNumber);
+    const next = take && take.mark === mark ? 'UNMARKED' : mark;
+
+    const result = await apiCall('/api/director/takes/mark', 'POST', { takeNumber, mark: next });
+    if (!result?.success) {
+        alert('Failed to mark take: ' + (result?.error || 'Unknown error'));
+        return;
+    }
+
+    if (take) take.mark = next;
+    renderTakesList(directorTakes);
+    if (takesView === 'compare') {
+        fetchTakeComparison();
+    }
+}
+
+// Scenes that have takes, in recording order
+function getTakeScenes() {
+    const scenes = new Map();
+    directorTakes.forEach(take => scenes.set(take.sceneId, take.sceneLabel || take.sceneId));
+    return scenes;
+}
+
+function renderCompareScenes() {
+    const scenes = getTakeScenes();
+    if (!compareSceneId || !scenes.has(compareSceneId)) {
+        // Default to the most recently recorded scene
+        compareSceneId = directorTakes.length ? directorTakes[directorTakes.length - 1].sceneId : null;
+    }
+    elements.takesCompareScene.innerHTML = Array.from(scenes, ([id, label]) => `
+        <option value="${escapeHtml(id)}" ${id === compareSceneId ? 'selected' : ''}>${escapeHtml(label)}</option>
+    `).join('');
+    elements.takesCompareScene.disabled = scenes.size === 0;
+}
+
+async function fetchTakeComparison() {
+    if (!compareSceneId) {
+        elements.takesCompareRecommendation.textContent = 'No takes recorded yet';
+        elements.takesCompareTable.innerHTML = '';
+        elements.takesBestList.innerHTML = '';
+        return;
+    }
+
+    const sceneId = compareSceneId;
+    const [comparison, best] = await Promise.all([
+        apiCall(`/api/director/takes/compare/${encodeURIComponent(sceneId)}`),
+        apiCall('/api/director/takes/best')
+    ]);
+    // Ignore responses for a scene that is no longer selected
+    if (sceneId !== compareSceneId) return;
+
+    if (comparison?.success) {
+        renderTakeComparison(comparison);
+    } else {
+        elements.takesCompareRecommendation.textContent = comparison?.error || 'Comparison unavailable';
+        elements.takesCompareTable.innerHTML = '';
+    }
+    renderBestTakes(best?.success ? Object.values(best.bestTakes || {}) : []);
+}
+
+// Takes side by side: one column per take, one row per metric
+function renderTakeComparison(comparison) {
+    elements.takesCompareRecommendation.textContent = comparison.recommendation || '';
+
+    const takes = comparison.rankings || [];
+    if (takes.length === 0) {
+        elements.takesCompareTable.innerHTML = '';
+        return;
+    }
+
+    const bestTakeNumber = comparison.bestTake?.takeNumber;
+    const metricRow = (label, getValue) => {
+        const values = takes.map(getValue);
+        const max = Math.max(...values);
+        return `
+            <tr>
+                <td>${label}</td>
+                ${values.map(v => `<td class="${v === max && takes.length > 1 ? 'factor-best' : ''}">${formatTakeScore(v)}</td>`).join('')}
+            </tr>
+        `;
+    };
+
+    elements.takesCompareTable.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th></th>
+                    ${takes.map(take => `
+                        <th class="${take.takeNumber === bestTakeNumber ? 'best' : ''}">
+                            Take #${take.takeNumber}<br><small>Rank ${take.rank}</small>
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${metricRow('Score', take => take.qualityScore || 0)}
+                ${TAKE_FACTORS.map(({ key, label }) => metricRow(label, take => take.factors?.[key] || 0)).join('')}
+                <tr>
+                    <td>Audio</td>
+                    ${takes.map(take => `<td>${take.factors?.audioOk === false ? 'Out of range' : 'OK'}</td>`).join('')}
+                </tr>
+                <tr>
+                    <td>Cues</td>
+                    ${takes.map(take => `<td>${take.cuesExecuted || 0} ok, ${take.cuesFailed || 0} failed</td>`).join('')}
+                </tr>
+                <tr>
+                    <td>Duration</td>
+                    ${takes.map(take => `<td>${take.durationFormatted || ''}</td>`).join('')}
+                </tr>
+                <tr>
+                    <td>Mark</td>
+                    ${takes.map(take => `<td>${renderTakeMarkButtons(take)}</td>`).join('')}
+                </tr>
+            </tbody>
+        </table>
+    `;
+}
+
+function renderBestTakes(bestTakes) {
+    if (bestTakes.length === 0) {
+        elements.takesBestList.innerHTML = '<li>No scene has a usable take yet</li>';
+        return;
+    }
+    elements.takesBestList.innerHTML = bestTakes.map(take => `
+        <li>
+            <button class="best-scene" data-scene="${escapeHtml(take.sceneId)}">${escapeHtml(take.sceneLabel)}</button>
+            <span>Take #${take.takeNumber}</span>
+            <span class="quality-score ${getQualityClass(take.qualityScore)}">${formatTakeScore(take.qualityScore)}</span>
+            ${take.mark === 'CIRCLE'
+                ? '<span class="take-mark circle">Circled</span>'
+                : `<button class="take-mark-btn circle" data-take="${take.takeNumber}" data-mark="CIRCLE">Circle</button>`}
+        </li>
+    `).join('');
+}
+
+// Get quality class based on score
+function getQualityClass(score) {
+    if (score >= 9.0) return 'excellent';
+    if (score >= 7.0) return 'good';
+    if (score >= 5.0) return 'fair';
+    return 'poor';
+}
+
+// ==================== Take Playback ====================
+
+let playerTakeNumber = null;
+let playerMarkers = [];
+let linkingTakeNumber = null;
+
+function setupTakePlayer() {
+    const video = elements.takePlayerVideo;
+
+    elements.btnTakePlayerClose.addEventListener('click', closeTakePlayer);
+    video.addEventListener('loadedmetadata', renderTakeTimeline);
+    video.addEventListener('timeupdate', () => {
+        const pct = video.duration ? (video.currentTime / video.duration) * 100 : 0;
+        elements.takeTimelineProgress.style.width = `${pct}%`;
+    });
+
+    // Markers jump to their cue; anywhere else on the bar seeks proportionally
+    elements.takeTimeline.addEventListener('click', (e) => {
+        if (!video.duration) return;
+        const marker = e.target.closest('.timeline-marker');
+        if (marker) {
+            seekTakePlayer(parseFloat(marker.dataset.time));
+            return;
+        }
+        const rect = elements.takeTimeline.getBoundingClientRect();
+        seekTakePlayer(((e.clientX - rect.left) / rect.width) * video.duration);
+    });
+    elements.takeMarkerList.addEventListener('click', (e) => {
+        const item = e.target.closest('button[data-time]');
+        if (item) seekTakePlayer(parseFloat(item.dataset.time));
+    });
+
+    elements.btnTakeLinkSave.addEventListener('click', saveTakeLink);
+    elements.btnTakeLinkCancel.addEventListener('click', () => {
+        elements.takeLink.hidden = true;
+        linkingTakeNumber = null;
+    });
+}
+
+function seekTakePlayer(time) {
+    const video = elements.takePlayerVideo;
+    video.currentTime = Math.max(0, Math.min(time, video.duration || time));
+}
+
+// Where the take begins inside its recording, in seconds, or null if unknown.
+// Cue markers are relative to the take start, but a recording can span several
+// takes. The device stores the recording's start when the take is linked;
+// without it the start is estimated from the file's end time and duration.
+function takeOffsetInRecording(take, recording) {
+    let fileStartMs = take.recordingStartMs > 0 ? take.recordingStartMs : null;
+    if (fileStartMs === null && recording?.durationSec && recording.lastModified) {
+        fileStartMs = recording.lastModified - recording.durationSec * 1000;
+    }
+    if (fileStartMs === null) return null;
+
+    // File names carry whole seconds, so a take from the first second can land just before 0
+    const offset = (take.startTimeMs - fileStartMs) / 1000;
+    if (offset < -1 || (recording?.durationSec && offset >= recording.durationSec)) return null;
+    return Math.max(0, offset);
+}
+
+async function openTakePlayer(takeNumber) {
+    const take = directorTakes.find(t => t.takeNumber === takeNumber);
+    if (!take?.linkedFile) return;
+
+    if (!recordings.some(r => r.name === take.linkedFile)) {
+        await fetchRecordings();
+    }
+    const recording = recordings.find(r => r.name === take.linkedFile);
+    const offset = takeOffsetInRecording(take, recording);
+
+    const result = await apiCall('/api/director/takes/markers');
+    const markers = offset === null ? [] : (result?.markers || []).filter(m => m.takeNumber === takeNumber);
+    playerMarkers = markers.map(marker => {
+        switch (marker.type) {
+            case 'TAKE_START':
+                return { time: offset, label: 'Take start', cls: 'take-start' };
+            case 'TAKE_END':
+                return { time: offset + (marker.durationMs || 0) / 1000, label: 'Take end', cls: 'take-end' };
+            default:
+                return {
+                    time: offset + (marker.offsetMs || 0) / 1000,
+                    label: marker.cueText || 'Cue',
+                    cls: marker.cueSuccess === false ? 'failed' : ''
+                };
+        }
+    }).sort((a, b) => a.time - b.time);
+
+    playerTakeNumber = takeNumber;
+    elements.takeLink.hidden = true;
+    elements.takePlayerTitle.textContent = `Take #${take.takeNumber} - ${take.sceneLabel || 'Scene'} - ${take.linkedFile}`;
+    elements.takePlayerNotice.hidden = offset !== null;
+    elements.takePlayerNotice.textContent = offset === null
+        ? 'Could not work out where this take starts in the recording. Playback starts at the beginning of the file and cue markers are hidden.'
+        : '';
+    elements.takeTimelineMarkers.innerHTML = '';
+    elements.takeTimelineProgress.style.width = '0%';
+    elements.takePlayer.hidden = false;
+
+    const video = elements.takePlayerVideo;
+    video.src = recordingUrl(take.linkedFile);
+    video.addEventListener('loadedmetadata', () => seekTakePlayer(offset ?? 0), { once: true });
+    renderTakeMarkerList();
+}
+
+function renderTakeTimeline() {
+    const duration = elements.takePlayerVideo.duration;
+    if (!duration) return;
+
+    elements.takeTimelineMarkers.innerHTML = playerMarkers
+        .filter(marker => marker.time <= duration)
+        .map(marker => `
+            <button class="timeline-marker ${marker.cls}" style="left: ${(marker.time / duration) * 100}%"
+                    data-time="${marker.time}" title="${escapeHtml(marker.label)} (${formatDuration(marker.time)})"></button>
+        `).join('');
+}
+
+function renderTakeMarkerList() {
+    elements.takeMarkerList.innerHTML = playerMarkers.length === 0
+        ? '<li>No cue markers for this take</li>'
+        : playerMarkers.map(marker => `
+            <li class="${marker.cls}">
+                <button data-time="${marker.time}">
+                    <span class="marker-time">${formatDuration(marker.time)}</span>
+                    <span class="marker-label">${escapeHtml(marker.label)}</span>
+                </button>
+            </li>
+        `).join('');
+}
+
+function closeTakePlayer() {
+    const video = elements.takePlayerVideo;
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    elements.takePlayer.hidden = true;
+    playerTakeNumber = null;
+    playerMarkers = [];
+}
+
+// Offer the device's recordings, preselecting the one recorded during the take
+async function openTakeLink(takeNumber) {
+    const take = directorTakes.find(t => t.takeNumber === takeNumber);
+    if (!take) return;
+
+    await fetchRecordings();
+    const covering = recordings.find(rec => {
+        if (!rec.durationSec || !rec.lastModified) return false;
+        const start = rec.lastModified - rec.durationSec * 1000;
+        return take.startTimeMs >= start && take.startTimeMs <= rec.lastModified;
+    });
+
+    linkingTakeNumber = takeNumber;
+    elements.takeLinkNumber.textContent = `#${takeNumber}`;
+    elements.takeLinkRecording.innerHTML = recordings.length === 0
+        ? '<option value="">No recordings on device</option>'
+        : recordings.map(rec => `
+            <option value="${escapeHtml(rec.name)}" ${rec === covering ? 'selected' : ''}>
+                ${escapeHtml(rec.name)}${rec.durationSec ? ` (${formatDuration(rec.durationSec)})` : ''}
+            </option>
+        `).join('');
+    elements.btnTakeLinkSave.disabled = recordings.length === 0;
+    elements.takeLink.hidden = false;
+}
+
+async function saveTakeLink() {
+    const filePath = elements.takeLinkRecording.value;
+    if (!filePath || linkingTakeNumber === null) return;
+
+    const result = await apiCall('/api/director/takes/link', 'POST', { takeNumber: linkingTakeNumber, filePath });
+    if (result?.success) {
+        elements.takeLink.hidden = true;
+        linkingTakeNumber = null;
+        fetchTakesList();
+    } else {
+        alert('Failed to link recording: ' + (result?.error || 'Unknown error'));
+    }
+}
+
+// ==================== Selects Export (EDL / FCPXML) ====================
+
+// Record timecode of the first event, the usual start for a program timeline
+const EDL_RECORD_START_SECONDS = 3600;
+
+const MEDIA_FOLDER_STORAGE_KEY = 'lensdaemon.selectsMediaFolder';
+
+// Circled and best takes with a linked recording, in shooting order
+async function collectSelects() {
+    const [takesResult, bestResult, markersResult] = await Promise.all([
+        apiCall('/api/director/takes'),
+        apiCall('/api/director/takes/best'),
+        apiCall('/api/director/takes/markers')
+    ]);
+    if (!takesResult?.success) {
+        throw new Error(takesResult?.error || 'Could not load takes');
+    }
+    await fetchRecordings();
+
+    const takes = takesResult.takes || [];
+    const bestNumbers = new Set(Object.values(bestResult?.bestTakes || {}).map(b => b.takeNumber));
+    const markers = markersResult?.markers || [];
+
+    const chosen = takes
+        .filter(take => take.mark === 'CIRCLE' || bestNumbers.has(take.takeNumber))
+        .sort((a, b) => a.startTimeMs - b.startTimeMs);
+    const unlinked = chosen.filter(take => !take.linkedFile);
+
+    // Takes that cannot be placed in their recording are left out rather than cut from 0
+    const unplaced = [];
+    const clips = chosen.filter(take => take.linkedFile).map(take => {
+        const recording = recordings.find(r => r.name === take.linkedFile);
+        const sourceIn = takeOffsetInRecording(take, recording);
+        if (sourceIn === null) {
+            unplaced.push(take);
+            return null;
+        }
+        let sourceOut = sourceIn + (take.durationMs || 0) / 1000;
+        if (recording?.durationSec) {
+            sourceOut = Math.min(sourceOut, recording.durationSec);
+        }
+        return {
+            take,
+            file: take.linkedFile,
+            recording,
+            fileDuration: recording?.durationSec || sourceOut,
+            sourceIn,
+            sourceOut,
+            reason: [take.mark === 'CIRCLE' ? 'CIRCLED' : null, bestNumbers.has(take.takeNumber) ? 'BEST' : null]
+                .filter(Boolean).join('/'),
+            cues: markers
+                .filter(m => m.type === 'CUE' && m.takeNumber === take.takeNumber)
+                .map(m => ({ offset: (m.offsetMs || 0) / 1000, text: m.cueText || 'Cue' }))
+        };
+    }).filter(Boolean);
+
+    return { clips, unlinked, unplaced };
+}
+
+// Frame rate and size of the selected recordings as probed by the device.
+// Only when none could be read do the current stream settings stand in;
+// `source` and `mixed` let the export status say so.
+function getSelectsFormat(clips) {
+    const probed = clips.map(clip => clip.recording)
+        .filter(rec => rec?.width && rec?.height && rec?.frameRate > 0);
+    if (probed.length > 0) {
+        const [first] = probed;
+        const fps = Math.round(first.frameRate);
+        return {
+            width: first.width,
+            height: first.height,
+            fps,
+            source: probed.length === clips.length ? 'recordings' : 'partial',
+            mixed: probed.some(rec => rec.width !== first.width || rec.height !== first.height ||
+                Math.round(rec.frameRate) !== fps)
+        };
+    }
+
+    const [width, height] = (elements.resolution?.value || '').split('x').map(v => parseInt(v));
+    const fps = parseInt(elements.framerate?.value);
+    return {
+        width: width || 1920,
+        height: height || 1080,
+        fps: fps > 0 ? fps : 30,
+        source: 'settings',
+        mixed: false
+    };
+}
+
+function describeSelectsFormat(format) {
+    const notes = [];
+    if (format.source === 'settings') {
+        notes.push(' The recordings could not be read, so frame rate and size come from the current stream settings; check them before importing.');
+    } else if (format.source === 'partial') {
+        notes.push(' Some recordings could not be read and are assumed to match the others.');
+    }
+    if (format.mixed) {
+        notes.push(' The recordings differ in frame rate or size; timecodes follow the first one.');
+    }
+    return notes.join('');
+}
+
+function toFrames(seconds, fps) {
+    return Math.round(seconds * fps);
+}
+
+// Non-drop-frame timecode
+function framesToTimecode(frames, fps) {
+    const f = frames % fps;
+    const totalSeconds = Math.floor(frames / fps);
+    const parts = [Math.floor(totalSeconds / 3600), Math.floor(totalSeconds / 60) % 60, totalSeconds % 60, f];
+    return parts.map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function clipTitle(clip) {
+    return `Take ${clip.take.takeNumber} - ${clip.take.sceneLabel || clip.take.sceneId}`;
+}
+
+// EDL comments are single ASCII lines
+function edlText(text) {
+    return String(text).replace(/[\r\n]+/g, ' ').replace(/[^\x20-\x7e]/g, '?');
+}
+
+function buildEdl(clips, format, title) {
+    const { fps } = format;
+    const lines = [`TITLE: ${edlText(title)}`, 'FCM: NON-DROP FRAME', ''];
+    let record = toFrames(EDL_RECORD_START_SECONDS, fps);
+
+    clips.forEach((clip, index) => {
+        const sourceIn = toFrames(clip.sourceIn, fps);
+        const sourceOut = toFrames(clip.sourceOut, fps);
+        const length = sourceOut - sourceIn;
+        const event = String(index + 1).padStart(3, '0');
+
+        lines.push(`${event}  ${'AX'.padEnd(8)} ${'B'.padEnd(5)} C        ` +
+            `${framesToTimecode(sourceIn, fps)} ${framesToTimecode(sourceOut, fps)} ` +
+            `${framesToTimecode(record, fps)} ${framesToTimecode(record + length, fps)}`);
+        lines.push(`* FROM CLIP NAME: ${edlText(clip.file)}`);
+        lines.push(`* COMMENT: ${edlText(clipTitle(clip))} ${clip.reason} SCORE ${formatTakeScore(clip.take.qualityScore)}`);
+        clip.cues.forEach(cue => {
+            const at = record + Math.min(toFrames(cue.offset, fps), Math.max(0, length - 1));
+            lines.push(`* LOC: ${framesToTimecode(at, fps)} YELLOW  ${edlText(cue.text)}`);
+        });
+        lines.push('');
+        record += length;
+    });
+
+    return lines.join('\r\n');
+}
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// FCPXML only links media by absolute file:// URL
+function mediaFileUrl(folder, file) {
+    const path = folder.replace(/\/+$/, '').split('/').map(encodeURIComponent).join('/');
+    return `file://${path}/${encodeURIComponent(file)}`;
+}
+
+function buildFcpxml(clips, format, title, mediaFolder) {
+    const { width, height, fps } = format;
+    const time = frames => `${frames}/${fps}s`;
+
+    // One asset per recording, referenced where the editor copies the recordings
+    const assets = new Map();
+    clips.forEach(clip => {
+        if (!assets.has(clip.file)) {
+            assets.set(clip.file, { id: `r${assets.size + 2}`, clip });
+        }
+    });
+
+    let offset = 0;
+    const spine = clips.map(clip => {
+        const start = toFrames(clip.sourceIn, fps);
+        const duration = toFrames(clip.sourceOut, fps) - start;
+        const markers = clip.cues.map(cue => {
+            const at = start + Math.min(toFrames(cue.offset, fps), Math.max(0, duration - 1));
+            return `                            <marker start="${time(at)}" duration="${time(1)}" value="${escapeXml(cue.text)}"/>`;
+        });
+        const xml = [
+            `                        <asset-clip ref="${assets.get(clip.file).id}" name="${escapeXml(clipTitle(clip))}" ` +
+                `offset="${time(offset)}" start="${time(start)}" duration="${time(duration)}" tcFormat="NDF">`,
+            `                            <note>${escapeXml(`${clip.reason}, score ${formatTakeScore(clip.take.qualityScore)}`)}</note>`,
+            ...markers,
+            '                        </asset-clip>'
+        ].join('\n');
+        offset += duration;
+        return xml;
+    });
+
+    const resources = Array.from(assets, ([file, { id, clip }]) => [
+        `        <asset id="${id}" name="${escapeXml(file)}" start="0s" duration="${time(toFrames(clip.fileDuration, fps))}" ` +
+            'hasVideo="1" hasAudio="1" format="r1">',
+        `            <media-rep kind="original-media" src="${escapeXml(mediaFileUrl(mediaFolder, file))}"/>`,
+        '        </asset>'
+    ].join('\n'));
 
-    if (elements.btnDirectorStart) {
-        elements.btnDirectorStart.disabled = !canStart;
-        elements.btnDirectorStart.textContent = state === 'PAUSED' ? 'Resume' : 'Start';
-    }
-    if (elements.btnDirectorPause) {
-        elements.btnDirectorPause.disabled = !canPause;
-    }
-    if (elements.btnDirectorStop) {
-        elements.btnDirectorStop.disabled = !canStop;
-    }
-    if (elements.btnDirectorAdvance) {
-        elements.btnDirectorAdvance.disabled = !canAdvance;
-    }
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE fcpxml>',
+        '<fcpxml version="1.9">',
+        '    <resources>',
+        `        <format id="r1" name="FFVideoFormat${height}p${fps}" frameDuration="${time(1)}" width="${width}" height="${height}"/>`,
+        ...resources,
+        '    </resources>',
+        '    <library>',
+        `        <event name="${escapeXml(title)}">`,
+        `            <project name="${escapeXml(title)}">`,
+        `                <sequence format="r1" duration="${time(offset)}" tcStart="0s" tcFormat="NDF">`,
+        '                    <spine>',
+        ...spine,
+        '                    </spine>',
+        '                </sequence>',
+        '            </project>',
+        '        </event>',
+        '    </library>',
+        '</fcpxml>',
+        ''
+    ].join('\n');
 }
 
-// Update director stats display
-function updateDirectorStats(stats) {
-    if (elements.statTotalTakes) {
-        elements.statTotalTakes.textContent = stats.totalTakes || 0;
-    }
-    if (elements.statAvgQuality) {
-        const score = stats.averageScore || stats.avgQualityScore || 0;
-        elements.statAvgQuality.textContent = score > 0 ? score.toFixed(1) : '-';
-    }
-    if (elements.statBestTakes) {
-        elements.statBestTakes.textContent = stats.goodTakes || stats.bestTakeCount || 0;
+async function exportSelects(kind) {
+    const status = elements.takesExportStatus;
+    const mediaFolder = elements.selectsMediaFolder.value.trim();
+    if (kind === 'fcpxml' && !mediaFolder.startsWith('/')) {
+        status.className = 'takes-export-status error';
+        status.textContent = 'Enter the absolute folder on the editing Mac where the recordings will be copied.';
+        elements.selectsMediaFolder.focus();
+        return;
     }
-    if (elements.statCueSuccess) {
-        const rate = stats.cueSuccessRate || 0;
-        elements.statCueSuccess.textContent = rate > 0 ? `${(rate * 100).toFixed(0)}%` : '-';
+    status.className = 'takes-export-status';
+    status.textContent = 'Building selects...';
+
+    let selects;
+    try {
+        selects = await collectSelects();
+    } catch (error) {
+        status.className = 'takes-export-status error';
+        status.textContent = error.message;
+        return;
     }
-}
 
-// Load script into director
-async function loadScript() {
-    const script = elements.scriptTextarea.value.trim();
-    if (!script) {
-        alert('Please enter a script');
+    const { clips, unlinked, unplaced } = selects;
+    const listTakes = (takes, why) => takes.length
+        ? ` Skipped take${takes.length === 1 ? '' : 's'} ${why}: ${takes.map(t => '#' + t.takeNumber).join(', ')}.`
+        : '';
+    const skipped = listTakes(unlinked, 'without a recording') + listTakes(unplaced, 'with an unknown in-point');
+    if (clips.length === 0) {
+        status.className = 'takes-export-status error';
+        status.textContent = 'No circled or best takes with a linked recording.' + skipped;
         return;
     }
 
-    const result = await apiCall('/api/director/script', 'POST', { script });
-    if (result?.success) {
-        elements.btnDirectorStart.disabled = false;
-        alert('Script loaded: ' + (result.cueCount || 0) + ' cues parsed');
+    const format = getSelectsFormat(clips);
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const title = `LensDaemon Selects ${stamp}`;
+    if (kind === 'edl') {
+        downloadBlob(new Blob([buildEdl(clips, format, title)], { type: 'text/plain' }), `lensdaemon-selects-${stamp}.edl`);
     } else {
-        alert('Failed to load script: ' + (result?.message || 'Unknown error'));
+        try {
+            localStorage.setItem(MEDIA_FOLDER_STORAGE_KEY, mediaFolder);
+        } catch (e) {
+            // Private mode: the folder is not remembered
+        }
+        downloadBlob(new Blob([buildFcpxml(clips, format, title, mediaFolder)], { type: 'application/xml' }), `lensdaemon-selects-${stamp}.fcpxml`);
     }
+    const copyHint = kind === 'fcpxml' ? ` Copy the recordings to ${mediaFolder} before importing.` : '';
+    status.textContent = `Exported ${clips.length} clip${clips.length === 1 ? '' : 's'} at ${format.width}x${format.height} ${format.fps} fps.` +
+        `${describeSelectsFormat(format)}${copyHint}${skipped}`;
 }
 
-// Clear script
-function clearScript() {
-    elements.scriptTextarea.value = '';
-    loadedScriptFileName = null;
-    apiCall('/api/director/script/clear', 'POST');
-}
+// ==================== Session Report ====================
 
-// Start director playback
-async function startDirector() {
-    const result = await apiCall('/api/director/start', 'POST');
-    if (!result?.success) {
-        alert('Failed to start director: ' + (result?.message || 'Unknown error'));
-    }
-}
+const QUALITY_BANDS = [
+    { key: 'excellent', label: 'Excellent', range: '9-10' },
+    { key: 'good', label: 'Good', range: '7-9' },
+    { key: 'fair', label: 'Fair', range: '5-7' },
+    { key: 'poor', label: 'Poor', range: '<5' }
+];
 
-// Pause director playback
-async function pauseDirector() {
-    const result = await apiCall('/api/director/pause', 'POST');
-    if (!result?.success) {
-        alert('Failed to pause director: ' + (result?.message || 'Unknown error'));
-    }
-}
+let sessionReport = null;
 
-// Stop director playback
-async function stopDirector() {
-    const result = await apiCall('/api/director/stop', 'POST');
-    if (!result?.success) {
-        alert('Failed to stop director: ' + (result?.message || 'Unknown error'));
-    }
+function setupSessionReport() {
+    elements.btnSessionReport.addEventListener('click', openSessionReport);
+    elements.btnReportRefresh.addEventListener('click', fetchSessionReport);
+    elements.btnReportClose.addEventListener('click', closeSessionReport);
+    elements.btnReportJson.addEventListener('click', () => downloadSessionReport('json'));
+    elements.btnReportCsv.addEventListener('click', () => downloadSessionReport('csv'));
+    elements.sessionReportDialog.addEventListener('click', (e) => {
+        if (e.target === elements.sessionReportDialog) closeSessionReport();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !elements.sessionReportDialog.hidden) closeSessionReport();
+    });
 }
 
-// Advance to next cue
-async function advanceDirector() {
-    const result = await apiCall('/api/director/advance', 'POST');
-    if (!result?.success) {
-        alert('Failed to advance: ' + (result?.message || 'Unknown error'));
-    }
+async function openSessionReport() {
+    elements.sessionReportDialog.hidden = false;
+    await fetchSessionReport();
 }
 
-// Execute quick cue
-async function executeQuickCue(cue) {
-    const result = await apiCall('/api/director/cue', 'POST', { cue });
-    if (!result?.success) {
-        console.error('Failed to execute cue:', result?.message);
-    }
+function closeSessionReport() {
+    elements.sessionReportDialog.hidden = true;
 }
 
-// Fetch takes list
-async function fetchTakesList() {
-    const result = await apiCall('/api/director/takes');
-    if (result?.success && result.takes) {
-        renderTakesList(result.takes);
+async function fetchSessionReport() {
+    const result = await apiCall('/api/director/session');
+    if (!result || result.error) {
+        elements.sessionReportStarted.textContent = result?.error || 'Could not load the session report';
+        return;
     }
+    sessionReport = { ...result, generatedAt: new Date().toISOString() };
+    renderSessionReport(sessionReport);
 }
 
-// Render takes list
-function renderTakesList(takes) {
-    if (!elements.takesList) return;
+function renderSessionReport(report) {
+    const stats = report.stats || {};
+    elements.sessionReportStarted.textContent = report.startTimeMs
+        ? `Started ${formatDate(report.startTimeMs)}`
+        : 'Not started yet';
 
-    if (!takes || takes.length === 0) {
-        elements.takesList.innerHTML = '<div class="no-takes">No takes recorded yet</div>';
-        return;
-    }
+    const holds = (report.thermalPauses || []).filter(p => p.hold);
+    const summary = [
+        ['Duration', formatDuration(report.durationSec || 0)],
+        ['Takes', stats.totalTakes || 0],
+        ['Scenes', (report.scenes || []).length],
+        ['Avg Quality', stats.avgQualityScore > 0 ? stats.avgQualityScore.toFixed(1) : '-'],
+        ['Cue Success', stats.cueSuccessRate > 0 ? `${Math.round(stats.cueSuccessRate * 100)}%` : '-'],
+        ['Thermal Pauses', holds.length]
+    ];
+    elements.sessionReportSummary.innerHTML = summary.map(([label, value]) => `
+        <div class="stat-mini">
+            <span class="label">${label}</span>
+            <span class="value">${escapeHtml(String(value))}</span>
+        </div>
+    `).join('');
 
-    elements.takesList.innerHTML = takes.map((take, index) => {
-        const qualityClass = getQualityClass(take.qualityScore);
-        const marks = take.marks || [];
-        const marksHtml = marks.map(m => `<span class="mark mark-${m.toLowerCase()}">${m}</span>`).join('');
+    const scenes = report.scenes || [];
+    elements.sessionReportScenes.innerHTML = scenes.length === 0
+        ? '<p class="session-report-empty">No scenes</p>'
+        : `<table>
+            <thead><tr><th>Scene</th><th>Takes</th><th>Circled</th><th>Best</th><th>Avg</th></tr></thead>
+            <tbody>${scenes.map(scene => `
+                <tr>
+                    <td>${escapeHtml(scene.label || scene.sceneId)}</td>
+                    <td>${scene.takes}</td>
+                    <td>${scene.circled}</td>
+                    <td>${scene.bestTake !== null ? `#${scene.bestTake} (${formatTakeScore(scene.bestScore)})` : '-'}</td>
+                    <td>${scene.takes > 0 ? formatTakeScore(scene.averageScore) : '-'}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
 
+    const distribution = report.qualityDistribution || {};
+    const totalTakes = stats.totalTakes || 0;
+    elements.sessionReportQuality.innerHTML = QUALITY_BANDS.map(band => {
+        const count = distribution[band.key] || 0;
+        const percent = totalTakes > 0 ? (count / totalTakes) * 100 : 0;
         return `
-            <div class="take-item ${take.best ? 'best' : ''}">
-                <div class="take-number">#${index + 1}</div>
-                <div class="take-info">
-                    <div class="take-scene">${take.scene || 'Scene'}</div>
-                    <div class="take-duration">${formatDuration(take.duration || 0)}</div>
-                </div>
-                <div class="take-marks">${marksHtml}</div>
-                <div class="quality-score ${qualityClass}">${(take.qualityScore || 0).toFixed(1)}</div>
+            <div class="report-bar ${band.key}" title="${band.range}">
+                <span>${band.label}</span>
+                <div class="report-bar-track"><div class="report-bar-fill" style="width: ${percent}%"></div></div>
+                <span>${count}</span>
             </div>
         `;
     }).join('');
+
+    const timeline = report.cueTimeline || [];
+    elements.sessionReportCues.innerHTML = timeline.length === 0
+        ? '<p class="session-report-empty">No takes recorded</p>'
+        : timeline.map(entry => {
+            const rate = entry.successRate;
+            const state = rate === null ? 'none' : rate < 0.8 ? 'low' : '';
+            const height = rate === null ? 0 : Math.round(rate * 100);
+            const label = rate === null
+                ? 'no cues'
+                : `${entry.executed}/${entry.executed + entry.failed} cues (${height}%)`;
+            return `<div class="cue-column ${state}" style="height: ${height}%"
+                title="Take ${entry.takeNumber} - ${escapeHtml(entry.sceneLabel)} at ${formatClockTime(entry.startTimeMs)}: ${label}"></div>`;
+        }).join('');
+
+    const pauses = report.thermalPauses || [];
+    elements.sessionReportThermal.innerHTML = pauses.length === 0
+        ? '<li class="session-report-empty">None</li>'
+        : pauses.map(pause => {
+            const length = pause.endTimeMs
+                ? ` for ${formatDuration(pause.durationSec)}`
+                : pause.hold ? ' (still paused)' : '';
+            return `<li class="${pause.hold ? 'hold' : ''}">
+                ${formatClockTime(pause.startTimeMs)} at ${pause.temperature}°C: ${escapeHtml(pause.action)}${length}
+            </li>`;
+        }).join('');
 }
 
-// Get quality class based on score
-function getQualityClass(score) {
-    if (score >= 9.0) return 'excellent';
-    if (score >= 7.0) return 'good';
-    if (score >= 5.0) return 'fair';
-    return 'poor';
+// Quote a CSV field when it contains separators, quotes or line breaks
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One section per table, separated by blank lines so spreadsheets keep them apart
+function buildSessionReportCsv(report) {
+    const stats = report.stats || {};
+    const isoTime = ms => (ms ? new Date(ms).toISOString() : '');
+    const sections = [
+        [
+            ['Session Report', report.generatedAt],
+            ['Started', isoTime(report.startTimeMs)],
+            ['Duration (s)', report.durationSec || 0],
+            ['Takes', stats.totalTakes || 0],
+            ['Average quality', stats.avgQualityScore || 0],
+            ['Cue success rate', stats.cueSuccessRate || 0],
+            ...QUALITY_BANDS.map(band => [`${band.label} takes`, report.qualityDistribution?.[band.key] || 0])
+        ],
+        [
+            ['Scene ID', 'Scene', 'Takes', 'Circled', 'Best take', 'Best score', 'Average score'],
+            ...(report.scenes || []).map(s => [s.sceneId, s.label, s.takes, s.circled, s.bestTake, s.bestScore, s.averageScore])
+        ],
+        [
+            ['Take', 'Scene', 'Started', 'Duration (s)', 'Score', 'Mark', 'Cues executed', 'Cues failed', 'Cue success rate', 'Recording'],
+            ...(report.takes || []).map(t => {
+                const cues = (report.cueTimeline || []).find(c => c.takeNumber === t.takeNumber) || {};
+                return [t.takeNumber, t.sceneLabel, isoTime(t.startTimeMs), t.duration, t.qualityScore, t.mark,
+                    cues.executed, cues.failed, cues.successRate, t.linkedFile];
+            })
+        ],
+        [
+            ['Thermal event start', 'End', 'Duration (s)', 'Temperature (C)', 'Paused', 'Action'],
+            ...(report.thermalPauses || []).map(p => [isoTime(p.startTimeMs), isoTime(p.endTimeMs), p.durationSec,
+                p.temperature, p.hold ? 'yes' : 'no', p.action])
+        ]
+    ];
+    return sections
+        .map(rows => rows.map(row => row.map(csvField).join(',')).join('\r\n'))
+        .join('\r\n\r\n') + '\r\n';
+}
+
+function downloadSessionReport(kind) {
+    if (!sessionReport) return;
+    const stamp = sessionReport.generatedAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    if (kind === 'json') {
+        downloadBlob(new Blob([JSON.stringify(sessionReport, null, 2)], { type: 'application/json' }),
+            `lensdaemon-session-${stamp}.json`);
+    } else {
+        downloadBlob(new Blob([buildSessionReportCsv(sessionReport)], { type: 'text/csv' }),
+            `lensdaemon-session-${stamp}.csv`);
+    }
 }
 
 // Start Server-Sent Events for director updates
@@ -681,7 +3937,7 @@ function startDirectorEventStream() {
     }
 
     try {
-        directorEventSource = new EventSource('/api/director/events');
+        directorEventSource = new EventSource(withToken('/api/director/events'));
 
         directorEventSource.onmessage = (event) => {
             try {
@@ -694,9 +3950,9 @@ function startDirectorEventStream() {
 
         directorEventSource.onerror = (error) => {
             console.error('Director event stream error:', error);
-            // Reconnect after delay
+            // Reconnect after delay; resyncAll() reopens it after an outage
             setTimeout(() => {
-                if (directorEnabled) {
+                if (getState().director?.enabled && !isOffline()) {
                     startDirectorEventStream();
                 }
             }, 5000);
@@ -704,7 +3960,7 @@ function startDirectorEventStream() {
 
         directorEventSource.addEventListener('state', (event) => {
             const data = JSON.parse(event.data);
-            updateDirectorStatus(data);
+            setState({ director: { ...getState().director, ...data } });
         });
 
         directorEventSource.addEventListener('cue', (event) => {
@@ -737,7 +3993,7 @@ function stopDirectorEventStream() {
 function handleDirectorEvent(data) {
     switch (data.type) {
         case 'state':
-            updateDirectorStatus(data);
+            setState({ director: { ...getState().director, ...data } });
             break;
         case 'cue':
             if (elements.directorCue) {
@@ -769,6 +4025,13 @@ async function fetchScriptFiles() {
 function renderScriptFiles(scripts) {
     if (!elements.scriptFilesList) return;
 
+    // Drop selections for scripts that no longer exist
+    savedScriptFiles = (scripts || []).map(script => script.fileName);
+    Array.from(selectedScriptFiles)
+        .filter(fileName => !savedScriptFiles.includes(fileName))
+        .forEach(fileName => selectedScriptFiles.delete(fileName));
+    updateScriptExportButton();
+
     if (!scripts || scripts.length === 0) {
         elements.scriptFilesList.innerHTML = '<div class="no-scripts">No saved scripts</div>';
         return;
@@ -776,12 +4039,16 @@ function renderScriptFiles(scripts) {
 
     elements.scriptFilesList.innerHTML = scripts.map(script => {
         const isActive = loadedScriptFileName === script.fileName;
-        const size = formatFileSize(script.size || 0);
+        const isSelected = selectedScriptFiles.has(script.fileName);
+        const size = formatFileSize(script.sizeBytes || 0);
         const date = script.lastModified ? formatDate(script.lastModified) : '';
 
         return `
             <div class="script-file-item ${isActive ? 'active' : ''}" data-filename="${escapeHtml(script.fileName)}">
-                <div class="script-file-name">${escapeHtml(script.fileName)}</div>
+                <div class="script-file-label">
+                    <input type="checkbox" class="script-file-select" title="Select for export" ${isSelected ? 'checked' : ''}>
+                    <div class="script-file-name">${escapeHtml(script.fileName)}</div>
+                </div>
                 <div class="script-file-meta">
                     <span class="script-file-size">${size}</span>
                     <span class="script-file-date">${date}</span>
@@ -797,6 +4064,16 @@ function renderScriptFiles(scripts) {
             const fileName = item.dataset.filename;
             loadScriptFromFile(fileName);
         });
+        const checkbox = item.querySelector('.script-file-select');
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedScriptFiles.add(item.dataset.filename);
+            } else {
+                selectedScriptFiles.delete(item.dataset.filename);
+            }
+            updateScriptExportButton();
+        });
     });
 }
 
@@ -804,8 +4081,13 @@ function renderScriptFiles(scripts) {
 async function loadScriptFromFile(fileName) {
     const result = await apiCall(`/api/director/scripts/${encodeURIComponent(fileName)}`);
     if (result?.success) {
-        elements.scriptTextarea.value = result.script || '';
+        setScriptText(result.content || '');
         loadedScriptFileName = fileName;
+        if (result.loaded) {
+            elements.btnDirectorStart.disabled = false;
+            setScriptLoadStatus(`Loaded: ${result.scenes} scenes, ${result.totalCues} cues`, 'success');
+            showServerScriptIssues(result.warnings, result.errors);
+        }
         elements.scriptFilename.value = fileName.replace(/\.[^.]+$/, '');
 
         // Update active state in file list
@@ -813,7 +4095,7 @@ async function loadScriptFromFile(fileName) {
             item.classList.toggle('active', item.dataset.filename === fileName);
         });
     } else {
-        alert('Failed to load script: ' + (result?.message || 'Unknown error'));
+        alert('Failed to load script: ' + (result?.error || 'Unknown error'));
     }
 }
 
@@ -860,8 +4142,441 @@ async function deleteScriptFile(fileName) {
     }
 }
 
+// ==================== Script Import / Export ====================
+
+const SCRIPT_IMPORT_EXTENSIONS = /\.(txt|fountain)$/i;
+
+function setupScriptImportExport() {
+    elements.btnImportScripts.addEventListener('click', () => elements.scriptImportInput.click());
+    elements.scriptImportInput.addEventListener('change', () => {
+        importScriptFiles(elements.scriptImportInput.files);
+        elements.scriptImportInput.value = '';
+    });
+    elements.btnExportScripts.addEventListener('click', exportSelectedScripts);
+
+    const browser = elements.scriptBrowser;
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    browser.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        browser.classList.add('drag-over');
+    });
+    browser.addEventListener('dragleave', (e) => {
+        if (!browser.contains(e.relatedTarget)) {
+            browser.classList.remove('drag-over');
+        }
+    });
+    browser.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        browser.classList.remove('drag-over');
+        importScriptFiles(e.dataTransfer.files);
+    });
+}
+
+function setScriptBrowserStatus(message, type) {
+    elements.scriptBrowserStatus.textContent = message;
+    elements.scriptBrowserStatus.className = 'script-browser-status' + (type ? ' ' + type : '');
+}
+
+function updateScriptExportButton() {
+    if (!elements.btnExportScripts) return;
+    const count = selectedScriptFiles.size;
+    elements.btnExportScripts.disabled = count === 0;
+    elements.btnExportScripts.textContent = count > 0 ? `Export (${count})` : 'Export';
+}
+
+// Saved name for an imported file, limited to characters the device accepts
+function scriptImportName(fileName) {
+    const base = fileName
+        .replace(SCRIPT_IMPORT_EXTENSIONS, '')
+        .replace(/[^a-zA-Z0-9._\- ]+/g, '_')
+        .replace(/\.{2,}/g, '_')
+        .trim();
+    return (base || 'script') + '.txt';
+}
+
+// Ask how to resolve a name collision. Resolves to { action, applyToAll }
+function askScriptConflict(fileName, remaining) {
+    return new Promise(resolve => {
+        const dialog = elements.scriptConflictDialog;
+        elements.scriptConflictMessage.textContent =
+            `"${fileName}" already exists on the device. Overwrite it, save the import under a new name, or skip it?`;
+        elements.scriptConflictAll.checked = false;
+        elements.scriptConflictAll.closest('label').style.display = remaining > 0 ? '' : 'none';
+        elements.scriptConflictAllLabel.textContent =
+            `Do the same for the other ${remaining} conflict${remaining === 1 ? '' : 's'}`;
+
+        const finish = (action) => {
+            dialog.hidden = true;
+            dialog.removeEventListener('click', onClick);
+            document.removeEventListener('keydown', onKeydown);
+            resolve({ action, applyToAll: elements.scriptConflictAll.checked });
+        };
+        const onClick = (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) finish(button.dataset.action);
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') finish('skip');
+        };
+
+        dialog.addEventListener('click', onClick);
+        document.addEventListener('keydown', onKeydown);
+        dialog.hidden = false;
+        dialog.querySelector('button[data-action="rename"]').focus();
+    });
+}
+
+// Save dropped or picked files to the device's script directory
+async function importScriptFiles(fileList) {
+    const files = Array.from(fileList || []);
+    const accepted = files.filter(file => SCRIPT_IMPORT_EXTENSIONS.test(file.name));
+    const ignored = files.length - accepted.length;
+    if (accepted.length === 0) {
+        setScriptBrowserStatus('Only .txt and .fountain files can be imported', 'error');
+        return;
+    }
+
+    const taken = new Set(savedScriptFiles);
+    const planned = accepted.map(file => ({ file, name: scriptImportName(file.name) }));
+
+    // Count collisions up front so the prompt can offer "do the same for the rest"
+    const seen = new Set(taken);
+    let conflictsLeft = 0;
+    planned.forEach(({ name }) => {
+        if (seen.has(name)) conflictsLeft++;
+        seen.add(name);
+    });
+
+    const counts = { imported: 0, renamed: 0, overwritten: 0, skipped: 0 };
+    const failures = [];
+    let policyForAll = null;
+
+    setScriptBrowserStatus(`Importing ${accepted.length} file${accepted.length === 1 ? '' : 's'}...`);
+
+    for (const { file, name } of planned) {
+        const conflict = taken.has(name);
+        let onConflict = 'overwrite';
+        if (conflict) {
+            conflictsLeft = Math.max(0, conflictsLeft - 1);
+            if (policyForAll) {
+                onConflict = policyForAll;
+            } else {
+                const choice = await askScriptConflict(name, conflictsLeft);
+                onConflict = choice.action;
+                if (choice.applyToAll) policyForAll = choice.action;
+            }
+            if (onConflict === 'skip') {
+                counts.skipped++;
+                continue;
+            }
+        }
+
+        let script;
+        try {
+            script = await file.text();
+        } catch (error) {
+            failures.push(`${file.name} could not be read`);
+            continue;
+        }
+        if (!script.trim()) {
+            failures.push(`${file.name} is empty`);
+            continue;
+        }
+
+        const result = await apiCall('/api/director/scripts/import', 'POST', {
+            script, fileName: name, save: true, load: false, onConflict
+        });
+        if (result?.saved) {
+            taken.add(result.fileName);
+            counts[!conflict ? 'imported' : onConflict === 'rename' ? 'renamed' : 'overwritten']++;
+        } else if (result?.skipped) {
+            counts.skipped++;
+        } else {
+            failures.push(`${file.name}: ${result?.error || 'import failed'}`);
+        }
+    }
+
+    const saved = counts.imported + counts.renamed + counts.overwritten;
+    const parts = [`Imported ${saved} script${saved === 1 ? '' : 's'}`];
+    if (counts.renamed) parts.push(`${counts.renamed} renamed`);
+    if (counts.overwritten) parts.push(`${counts.overwritten} overwritten`);
+    if (counts.skipped) parts.push(`${counts.skipped} skipped`);
+    if (ignored) parts.push(`${ignored} unsupported file${ignored === 1 ? '' : 's'} ignored`);
+    let message = parts.join(', ');
+    if (failures.length) message += `. Failed: ${failures.join('; ')}`;
+    setScriptBrowserStatus(message, failures.length ? 'error' : '');
+
+    fetchScriptFiles();
+}
+
+// Download the selected scripts as one zip bundle
+async function exportSelectedScripts() {
+    const files = Array.from(selectedScriptFiles);
+    if (files.length === 0) return;
+
+    try {
+        const response = await authFetch(`${API_BASE}/api/director/scripts/export`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ files })
+        });
+        if (!response.ok) {
+            const result = await response.json().catch(() => null);
+            setScriptBrowserStatus('Export failed: ' + (result?.error || `HTTP ${response.status}`), 'error');
+            return;
+        }
+
+        const blob = await response.blob();
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        downloadBlob(blob, match ? match[1] : 'director-scripts.zip');
+        setScriptBrowserStatus(`Exported ${files.length} script${files.length === 1 ? '' : 's'}`);
+    } catch (error) {
+        console.error('Script export error:', error);
+        setScriptBrowserStatus('Export failed', 'error');
+    }
+}
+
+// ==================== Keyboard Shortcuts ====================
+
+// Bindings are per browser, like a saved layout, not per device
+const SHORTCUTS_STORAGE_KEY = 'lensdaemon.shortcuts';
+
+const ZOOM_STEP = 0.5;
+
+// Quick cue actions (cue-1, cue-2, ...) are added from the .btn-cue buttons at setup
+const SHORTCUT_ACTIONS = [
+    { id: 'advance', label: 'Next cue', key: ' ', run: () => runIfEnabled(elements.btnDirectorAdvance, advanceDirector) },
+    { id: 'pause', label: 'Pause / resume director', key: 'p', run: toggleDirectorPause },
+    { id: 'lens', label: 'Next lens', key: 'l', run: cycleLens },
+    { id: 'zoomOut', label: 'Zoom out', key: '[', run: () => stepZoom(-ZOOM_STEP) },
+    { id: 'zoomIn', label: 'Zoom in', key: ']', run: () => stepZoom(ZOOM_STEP) },
+    { id: 'record', label: 'Start / stop recording', key: 'r', run: toggleRecording },
+    { id: 'snapshot', label: 'Snapshot', key: 's', run: captureSnapshot }
+];
+
+let shortcutBindings = {};
+let shortcutCapture = null;
+
+function setupShortcuts() {
+    elements.cueButtons.forEach((button, i) => {
+        SHORTCUT_ACTIONS.push({
+            id: `cue-${i + 1}`,
+            label: `Cue: ${button.textContent.trim()}`,
+            key: i < 9 ? String(i + 1) : '',
+            run: () => {
+                if (getState().director?.enabled) executeQuickCue(button.dataset.cue);
+            }
+        });
+    });
+    shortcutBindings = loadShortcutBindings();
+
+    elements.btnShortcuts.addEventListener('click', openShortcutsDialog);
+    elements.btnShortcutsClose.addEventListener('click', closeShortcutsDialog);
+    elements.btnShortcutsReset.addEventListener('click', () => {
+        shortcutBindings = defaultShortcutBindings();
+        saveShortcutBindings();
+        renderShortcutsList();
+        elements.shortcutsStatus.textContent = 'Defaults restored';
+    });
+    elements.shortcutsList.addEventListener('click', (e) => {
+        const button = e.target.closest('.shortcut-key');
+        if (button) startShortcutCapture(button.dataset.action);
+    });
+    elements.shortcutsDialog.addEventListener('click', (e) => {
+        if (e.target === elements.shortcutsDialog) closeShortcutsDialog();
+    });
+
+    document.addEventListener('keydown', handleShortcutKeydown);
+}
+
+function defaultShortcutBindings() {
+    return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action.id, action.key]));
+}
+
+// Saved bindings override the defaults; actions added since keep their default key
+function loadShortcutBindings() {
+    const bindings = defaultShortcutBindings();
+    try {
+        const saved = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY) || '{}');
+        Object.keys(bindings).forEach(id => {
+            if (typeof saved[id] === 'string') bindings[id] = saved[id];
+        });
+    } catch (e) {
+        // Unreadable or unavailable storage: keep the defaults
+    }
+    return bindings;
+}
+
+function saveShortcutBindings() {
+    try {
+        localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(shortcutBindings));
+    } catch (e) {
+        // Private mode: bindings last until the page is closed
+    }
+}
+
+// Letters are matched case-insensitively so Shift or Caps Lock do not matter
+function normalizeShortcutKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function formatShortcutKey(key) {
+    if (!key) return '-';
+    if (key === ' ') return 'Space';
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Typing in the script editor or any other field never triggers shortcuts
+function isTypingTarget(target) {
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+function handleShortcutKeydown(e) {
+    if (shortcutCapture) {
+        captureShortcutKey(e);
+        return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+    if (!elements.shortcutsDialog.hidden) {
+        if (e.key === 'Escape') closeShortcutsDialog();
+        return;
+    }
+    // Other dialogs own the keyboard while open
+    if (document.querySelector('.modal-overlay:not([hidden]), .auth-overlay')) return;
+
+    if (e.key === '?') {
+        e.preventDefault();
+        openShortcutsDialog();
+        return;
+    }
+
+    const key = normalizeShortcutKey(e.key);
+    const action = SHORTCUT_ACTIONS.find(a => shortcutBindings[a.id] === key);
+    if (!action) return;
+
+    // Also stops Space from scrolling the page or clicking the focused button
+    e.preventDefault();
+    if (!e.repeat) action.run();
+}
+
+function runIfEnabled(button, handler) {
+    if (button && !button.disabled) handler();
+}
+
+// Same as the Pause button, or the Start button when it reads "Resume"
+function toggleDirectorPause() {
+    const state = getState().director?.state;
+    if (state === 'RUNNING') {
+        pauseDirector();
+    } else if (state === 'PAUSED') {
+        startDirector();
+    }
+}
+
+function cycleLens() {
+    if (availableLenses.length < 2) return;
+    const index = availableLenses.findIndex(lens => lens.type === currentLensType);
+    switchLens(availableLenses[(index + 1) % availableLenses.length].type);
+}
+
+function stepZoom(delta) {
+    const slider = elements.zoomSlider;
+    const zoom = Math.min(parseFloat(slider.max), Math.max(parseFloat(slider.min), parseFloat(slider.value) + delta));
+    slider.value = zoom;
+    elements.zoomValue.textContent = `${zoom.toFixed(1)}x`;
+    setZoom(zoom);
+}
+
+function toggleRecording() {
+    const { recording } = getState();
+    if (recording.active || recording.paused) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+}
+
+function openShortcutsDialog() {
+    elements.shortcutsStatus.textContent = '';
+    renderShortcutsList();
+    elements.shortcutsDialog.hidden = false;
+}
+
+function closeShortcutsDialog() {
+    shortcutCapture = null;
+    elements.shortcutsDialog.hidden = true;
+}
+
+function renderShortcutsList() {
+    elements.shortcutsList.innerHTML = SHORTCUT_ACTIONS.map(action => `
+        <tr>
+            <td>${escapeHtml(action.label)}</td>
+            <td>
+                <button class="btn btn-small shortcut-key ${shortcutCapture === action.id ? 'listening' : ''}"
+                        data-action="${action.id}">
+                    ${shortcutCapture === action.id ? 'Press a key...' : escapeHtml(formatShortcutKey(shortcutBindings[action.id]))}
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function startShortcutCapture(actionId) {
+    shortcutCapture = actionId;
+    elements.shortcutsStatus.textContent = 'Escape cancels';
+    renderShortcutsList();
+}
+
+// A key can only drive one action, so taking it from another action unbinds that one
+function captureShortcutKey(e) {
+    e.preventDefault();
+    const actionId = shortcutCapture;
+    if (e.key === 'Escape') {
+        shortcutCapture = null;
+        elements.shortcutsStatus.textContent = '';
+        renderShortcutsList();
+        return;
+    }
+    if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) return;
+
+    shortcutCapture = null;
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+        shortcutBindings[actionId] = '';
+        elements.shortcutsStatus.textContent = 'Shortcut removed';
+    } else if (e.key === '?') {
+        elements.shortcutsStatus.textContent = '? is reserved for this dialog';
+    } else {
+        const key = normalizeShortcutKey(e.key);
+        const previous = SHORTCUT_ACTIONS.find(a => a.id !== actionId && shortcutBindings[a.id] === key);
+        if (previous) {
+            shortcutBindings[previous.id] = '';
+            elements.shortcutsStatus.textContent = `${formatShortcutKey(key)} moved from "${previous.label}"`;
+        } else {
+            elements.shortcutsStatus.textContent = 'Saved';
+        }
+        shortcutBindings[actionId] = key;
+    }
+    saveShortcutBindings();
+    renderShortcutsList();
+}
+
 // ==================== Utility Functions ====================
 
+// Save a blob through a temporary link
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 function formatFileSize(bytes) {
     if (bytes < 1024) return bytes + ' B';
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
@@ -873,6 +4588,10 @@ function formatDate(timestamp) {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+function formatClockTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
 function escapeHtml(str) {
     if (!str) return '';
     const div = document.createElement('div');
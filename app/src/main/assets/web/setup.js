@@ -1,5 +1,7 @@
 // LensDaemon Setup Wizard
 
+const STEP_COUNT = 6;
+
 let currentStep = 1;
 let selectedPreset = null;
 let thermalPollInterval = null;
@@ -25,7 +27,7 @@ function goToStep(step) {
     }
 
     // Mark future steps as inactive
-    for (let i = step + 1; i <= 5; i++) {
+    for (let i = step + 1; i <= STEP_COUNT; i++) {
         const el = document.querySelector('.step[data-step="' + i + '"]');
         if (el) {
             el.classList.remove('active', 'done');
@@ -42,11 +44,122 @@ function goToStep(step) {
     }
 
     currentStep = step;
+    saveWizardState();
 
     // Run step-specific init
     if (step === 1) runChecks();
-    if (step === 4) initTestStep();
-    if (step === 5) updateSummary();
+    if (step === 3) updateStorageGate();
+    if (step === 4) initStreamSettingsStep();
+    if (step === 5) initTestStep();
+    if (step === 6) updateSummary();
+}
+
+// ==================== Progress ====================
+
+const SETUP_STORAGE_KEY = 'lensdaemon.setup';
+
+// Set when answers came from a previous visit, so saved device settings
+// do not override a storage choice the user already made
+let restoredProgress = false;
+
+/**
+ * Remember the current step and answers so a reload resumes where it left
+ * off. Secrets are not stored; saved ones stay on the device.
+ */
+function saveWizardState() {
+    var state = {
+        step: currentStep,
+        preset: selectedPreset,
+        storageType: document.getElementById('storage-type').value,
+        s3: {
+            endpoint: document.getElementById('s3-endpoint').value,
+            region: document.getElementById('s3-region').value,
+            bucket: document.getElementById('s3-bucket').value
+        },
+        smb: {
+            server: document.getElementById('smb-host').value,
+            share: document.getElementById('smb-share').value,
+            username: document.getElementById('smb-username').value
+        },
+        streamSettings: streamSettings
+    };
+    try {
+        localStorage.setItem(SETUP_STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+        // Storage unavailable (private mode); progress just won't survive a reload
+    }
+}
+
+function loadWizardState() {
+    try {
+        return JSON.parse(localStorage.getItem(SETUP_STORAGE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+function restoreWizardState() {
+    var state = loadWizardState();
+    if (!state) {
+        goToStep(1);
+        return;
+    }
+    restoredProgress = true;
+
+    if (state.preset === 'appliance' || state.preset === 'interactive') {
+        showPreset(state.preset);
+    }
+
+    if (state.storageType) {
+        document.getElementById('storage-type').value = state.storageType;
+        updateStorageForm();
+    }
+    var s3 = state.s3 || {};
+    var smb = state.smb || {};
+    document.getElementById('s3-endpoint').value = s3.endpoint || '';
+    document.getElementById('s3-region').value = s3.region || '';
+    document.getElementById('s3-bucket').value = s3.bucket || '';
+    document.getElementById('smb-host').value = smb.server || '';
+    document.getElementById('smb-share').value = smb.share || '';
+    document.getElementById('smb-username').value = smb.username || '';
+
+    streamSettings = state.streamSettings || null;
+
+    // Later steps need a preset; resume at the preset step if it is missing
+    var step = Math.min(Math.max(parseInt(state.step, 10) || 1, 1), STEP_COUNT);
+    if (step > 2 && !selectedPreset) step = 2;
+    goToStep(step);
+}
+
+function startOver() {
+    if (!confirm('Clear all setup answers and start again from step 1?')) return;
+
+    if (isTestStreaming) stopTestStream();
+    try {
+        localStorage.removeItem(SETUP_STORAGE_KEY);
+    } catch (e) {
+        // Nothing stored
+    }
+    restoredProgress = false;
+
+    showPreset(null);
+    document.getElementById('storage-type').value = 'none';
+    updateStorageForm();
+    document.querySelectorAll('#step-3 input').forEach(function(input) {
+        input.value = '';
+    });
+    document.querySelectorAll('#step-3 .result-banner, #activation-result').forEach(function(el) {
+        el.className = 'result-banner';
+    });
+    document.querySelectorAll('#step-3 input').forEach(function(input) {
+        setFieldError(input.id, null);
+    });
+    testedStorage = { s3: null, smb: null };
+    streamSettings = null;
+    document.getElementById('btn-activate').disabled = false;
+
+    prefillStorageConfig();
+    goToStep(1);
 }
 
 // ==================== Step 1: Device Checks ====================
@@ -56,6 +169,7 @@ function runChecks() {
     checkKioskStatus();
     checkCamera();
     checkThermalProfile();
+    loadThermalProfiles();
 }
 
 function setCheckStatus(id, status, detail) {
@@ -71,7 +185,7 @@ function setCheckStatus(id, status, detail) {
 }
 
 function checkDevice() {
-    fetch('/api/device')
+    authFetch('/api/device')
         .then(function(r) { return r.json(); })
         .then(function(data) {
             var detail = data.manufacturer + ' ' + data.model + ' (Android ' + data.androidVersion + ')';
@@ -83,7 +197,7 @@ function checkDevice() {
 }
 
 function checkKioskStatus() {
-    fetch('/api/kiosk/status')
+    authFetch('/api/kiosk/status')
         .then(function(r) { return r.json(); })
         .then(function(data) {
             if (data.isDeviceOwner) {
@@ -104,7 +218,7 @@ function checkKioskStatus() {
 }
 
 function checkCamera() {
-    fetch('/api/status')
+    authFetch('/api/status')
         .then(function(r) { return r.json(); })
         .then(function(data) {
             if (data.camera) {
@@ -119,7 +233,7 @@ function checkCamera() {
 }
 
 function checkThermalProfile() {
-    fetch('/api/thermal/profile')
+    authFetch('/api/thermal/profile')
         .then(function(r) { return r.json(); })
         .then(function(data) {
             var profile = data.profile;
@@ -136,21 +250,191 @@ function enableStep1Next() {
     document.getElementById('btn-step1-next').disabled = false;
 }
 
+// ==================== Step 1: Thermal Profile Picker ====================
+
+var CUSTOM_PROFILE_KEY = 'custom';
+
+var profileOptions = [];
+var detectedProfileKey = null;
+var activeProfileKey = null;
+var selectedProfileKey = null;
+
+function loadThermalProfiles() {
+    authFetch('/api/thermal/profiles')
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+            if (!data.profiles) throw new Error(data.error || 'No profiles');
+
+            profileOptions = data.profiles.slice();
+            // Unlisted phones fall back to the generic profile, so always offer it
+            var hasGeneric = profileOptions.some(function(p) { return p.deviceModel === data.generic.deviceModel; });
+            if (!hasGeneric) profileOptions.push(data.generic);
+
+            detectedProfileKey = data.detectedProfile;
+            var activeListed = profileOptions.some(function(p) { return p.deviceModel === data.activeProfile; });
+            activeProfileKey = data.overrideActive && !activeListed ? CUSTOM_PROFILE_KEY : data.activeProfile;
+            selectedProfileKey = activeProfileKey;
+
+            fillCustomProfileForm(data.active);
+            renderProfileList();
+            document.getElementById('profile-picker').style.display = 'block';
+        })
+        .catch(function() {
+            document.getElementById('profile-picker').style.display = 'none';
+        });
+}
+
+function renderProfileList() {
+    var list = document.getElementById('profile-list');
+    var html = profileOptions.map(function(profile) {
+        return profileOptionHtml(profile.deviceModel, profile.displayName, describeProfile(profile));
+    }).join('');
+    html += profileOptionHtml(CUSTOM_PROFILE_KEY, 'Custom profile',
+        'Set your own thresholds and sustainable settings');
+    list.innerHTML = html;
+
+    list.querySelectorAll('input[name="thermal-profile"]').forEach(function(input) {
+        input.addEventListener('change', function() { selectProfileOption(input.value); });
+    });
+    selectProfileOption(selectedProfileKey);
+}
+
+function profileOptionHtml(key, name, summary) {
+    var badges = '';
+    if (key === detectedProfileKey) badges += '<span class="profile-badge detected">Detected</span>';
+    if (key === activeProfileKey) badges += '<span class="profile-badge active">Active</span>';
+    return '<label class="profile-option" data-profile-key="' + escapeText(key) + '">' +
+        '<input type="radio" name="thermal-profile" value="' + escapeText(key) + '">' +
+        '<span><span class="profile-name">' + escapeText(name) + '</span>' + badges +
+        '<span class="profile-summary">' + escapeText(summary) + '</span></span>' +
+        '</label>';
+}
+
+function describeProfile(profile) {
+    return 'CPU warn ' + profile.cpuWarnC + '\u00B0C, battery warn ' + profile.batteryWarnC + '\u00B0C \u00B7 ' +
+        profile.sustainableResolution + profile.sustainableFps + ' at ' + profile.sustainableBitrateKbps + ' kbps';
+}
+
+function selectProfileOption(key) {
+    // Starting a custom profile from another one copies its values as a base
+    if (key === CUSTOM_PROFILE_KEY && selectedProfileKey !== CUSTOM_PROFILE_KEY) {
+        var base = findProfileOption(selectedProfileKey);
+        if (base) fillCustomProfileForm(base);
+    }
+    selectedProfileKey = key;
+
+    document.querySelectorAll('.profile-option').forEach(function(el) {
+        var selected = el.getAttribute('data-profile-key') === key;
+        el.classList.toggle('selected', selected);
+        el.querySelector('input').checked = selected;
+    });
+    document.getElementById('custom-profile').style.display = key === CUSTOM_PROFILE_KEY ? 'block' : 'none';
+    document.getElementById('profile-result').className = 'result-banner';
+}
+
+function findProfileOption(key) {
+    for (var i = 0; i < profileOptions.length; i++) {
+        if (profileOptions[i].deviceModel === key) return profileOptions[i];
+    }
+    return null;
+}
+
+function fillCustomProfileForm(profile) {
+    if (!profile) return;
+    document.getElementById('custom-profile-name').value =
+        profile.deviceModel === CUSTOM_PROFILE_KEY ? profile.displayName : '';
+    document.querySelectorAll('[data-profile-field]').forEach(function(input) {
+        input.value = profile[input.getAttribute('data-profile-field')];
+    });
+    document.getElementById('custom-resolution').value = profile.sustainableResolution;
+}
+
+/**
+ * Read and check the custom profile form. Returns the request body, or
+ * null after reporting the first problem.
+ */
+function buildCustomProfile() {
+    var profile = {
+        custom: true,
+        deviceModel: CUSTOM_PROFILE_KEY,
+        displayName: document.getElementById('custom-profile-name').value.trim() || 'Custom Override',
+        sustainableResolution: document.getElementById('custom-resolution').value
+    };
+
+    var inputs = document.querySelectorAll('[data-profile-field]');
+    for (var i = 0; i < inputs.length; i++) {
+        if (inputs[i].value === '' || !inputs[i].checkValidity()) {
+            inputs[i].reportValidity();
+            return null;
+        }
+        profile[inputs[i].getAttribute('data-profile-field')] = parseFloat(inputs[i].value);
+    }
+
+    var error = null;
+    if (profile.cpuWarnC >= profile.cpuCriticalC || profile.cpuCriticalC >= profile.cpuEmergencyC) {
+        error = 'CPU thresholds must be in ascending order: warn < critical < emergency';
+    } else if (profile.batteryWarnC >= profile.batteryCriticalC || profile.batteryCriticalC >= profile.batteryEmergencyC) {
+        error = 'Battery thresholds must be in ascending order: warn < critical < emergency';
+    }
+    if (error) {
+        showProfileResult(false, error);
+        return null;
+    }
+    return profile;
+}
+
+function saveThermalProfile() {
+    var body = selectedProfileKey === CUSTOM_PROFILE_KEY
+        ? buildCustomProfile()
+        : { deviceModel: selectedProfileKey };
+    if (!body) return;
+
+    var saveBtn = document.getElementById('btn-save-profile');
+    saveBtn.disabled = true;
+
+    authFetch('/api/thermal/profile/device', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+            if (!data.success) {
+                showProfileResult(false, data.error || 'Could not apply profile');
+                return;
+            }
+            showProfileResult(true, 'Using ' + data.profile.displayName + ' (' + data.source + ')');
+            checkThermalProfile();
+            loadThermalProfiles();
+        })
+        .catch(function(err) {
+            showProfileResult(false, 'Error: ' + err.message);
+        })
+        .then(function() {
+            saveBtn.disabled = false;
+        });
+}
+
+function showProfileResult(success, message) {
+    var resultEl = document.getElementById('profile-result');
+    resultEl.className = 'result-banner ' + (success ? 'success' : 'error');
+    resultEl.textContent = message;
+}
+
 // ==================== Step 2: Preset Selection ====================
 
 function selectPreset(preset) {
-    selectedPreset = preset;
+    showPreset(preset);
+    saveWizardState();
+}
 
-    document.getElementById('preset-appliance').classList.remove('selected');
-    document.getElementById('preset-interactive').classList.remove('selected');
+function showPreset(preset) {
+    selectedPreset = preset;
 
-    if (preset === 'appliance') {
-        document.getElementById('preset-appliance').classList.add('selected');
-    } else {
-        document.getElementById('preset-interactive').classList.add('selected');
-    }
+    document.getElementById('preset-appliance').classList.toggle('selected', preset === 'appliance');
+    document.getElementById('preset-interactive').classList.toggle('selected', preset === 'interactive');
 
-    document.getElementById('btn-step2-next').disabled = false;
+    document.getElementById('btn-step2-next').disabled = !preset;
 }
 
 // ==================== Step 3: Storage Config ====================
@@ -161,34 +445,127 @@ function updateStorageForm() {
     document.getElementById('smb-config').style.display = type === 'smb' ? 'block' : 'none';
 }
 
+/**
+ * Fill blank storage fields from the device's saved upload settings.
+ * Secrets are never returned, so saved ones show as placeholders and a
+ * blank field keeps them.
+ */
+function prefillStorageConfig() {
+    Promise.all([
+        fetchJson('/api/upload/s3/config'),
+        fetchJson('/api/upload/smb/config')
+    ]).then(function(configs) {
+        var s3 = configs[0] && configs[0].configured ? configs[0] : null;
+        var smb = configs[1] && configs[1].configured ? configs[1] : null;
+
+        savedStorage = { s3: s3, smb: smb };
+
+        if (s3) {
+            // The device stores the bare host; show it as the URL it connects to
+            var endpoint = s3.endpoint && s3.endpoint.indexOf('://') === -1
+                ? (s3.useHttps ? 'https://' : 'http://') + s3.endpoint
+                : s3.endpoint;
+            fillBlank('s3-endpoint', endpoint);
+            fillBlank('s3-region', s3.region);
+            fillBlank('s3-bucket', s3.bucket);
+            document.getElementById('s3-access-key').placeholder = s3.accessKeyId + ' (saved, leave blank to keep)';
+            document.getElementById('s3-secret-key').placeholder = 'Saved, leave blank to keep';
+        }
+        if (smb) {
+            fillBlank('smb-host', smb.server);
+            fillBlank('smb-share', smb.share);
+            fillBlank('smb-username', smb.username);
+            document.getElementById('smb-password').placeholder = 'Saved, leave blank to keep';
+        }
+
+        var typeSelect = document.getElementById('storage-type');
+        if (!restoredProgress && typeSelect.value === 'none' && (s3 || smb)) {
+            typeSelect.value = s3 ? 's3' : 'smb';
+            updateStorageForm();
+        }
+        updateStorageGate();
+    });
+}
+
+function fillBlank(id, value) {
+    var input = document.getElementById(id);
+    if (!input.value && value) input.value = value;
+}
+
+// Field names match POST /api/upload/s3/config
+function readS3Form() {
+    return {
+        endpoint: document.getElementById('s3-endpoint').value.trim(),
+        region: document.getElementById('s3-region').value.trim(),
+        bucket: document.getElementById('s3-bucket').value.trim(),
+        accessKeyId: document.getElementById('s3-access-key').value.trim(),
+        secretAccessKey: document.getElementById('s3-secret-key').value
+    };
+}
+
+// Field names match POST /api/upload/smb/config
+function readSmbForm() {
+    return {
+        server: document.getElementById('smb-host').value.trim(),
+        share: document.getElementById('smb-share').value.trim(),
+        username: document.getElementById('smb-username').value.trim(),
+        password: document.getElementById('smb-password').value
+    };
+}
+
+function readStorageForm(type) {
+    if (type === 's3') return readS3Form();
+    if (type === 'smb') return readSmbForm();
+    return null;
+}
+
 function testS3() {
-    var resultEl = document.getElementById('s3-test-result');
+    testStorage('s3', 'S3');
+}
+
+function testSmb() {
+    testStorage('smb', 'SMB');
+}
+
+/**
+ * Validate the form, then test exactly those settings without saving them.
+ * A pass is remembered for these settings only; any edit needs a new test.
+ */
+function testStorage(type, label) {
+    var resultEl = document.getElementById(type + '-test-result');
+    var errors = storageErrors(type);
+    showStorageErrors(errors);
+    if (hasErrors(errors)) {
+        resultEl.className = 'result-banner error';
+        resultEl.textContent = 'Fix the highlighted fields before testing.';
+        return;
+    }
+
+    var form = readStorageForm(type);
+    var signature = JSON.stringify(form);
+    testedStorage[type] = null;
+    updateStorageGate();
+
     resultEl.className = 'result-banner';
     resultEl.style.display = 'block';
-    resultEl.innerHTML = '<span class="spinner"></span> Testing S3 connection...';
-
-    var config = {
-        endpoint: document.getElementById('s3-endpoint').value,
-        region: document.getElementById('s3-region').value,
-        bucket: document.getElementById('s3-bucket').value,
-        accessKey: document.getElementById('s3-access-key').value,
-        secretKey: document.getElementById('s3-secret-key').value
-    };
+    resultEl.innerHTML = '<span class="spinner"></span> Testing ' + label + ' connection...';
 
-    fetch('/api/upload/s3/test', {
+    authFetch('/api/upload/' + type + '/test', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(config)
+        body: signature
     })
     .then(function(r) { return r.json(); })
     .then(function(data) {
         if (data.success) {
+            testedStorage[type] = signature;
             resultEl.className = 'result-banner success';
-            resultEl.textContent = 'S3 connection successful!';
+            resultEl.textContent = label + ' connection successful!';
         } else {
             resultEl.className = 'result-banner error';
             resultEl.textContent = 'Connection failed: ' + (data.error || 'Unknown error');
         }
+        updateStorageGate();
     })
     .catch(function(err) {
         resultEl.className = 'result-banner error';
@@ -196,93 +573,543 @@ function testS3() {
     });
 }
 
-function testSmb() {
-    var resultEl = document.getElementById('smb-test-result');
-    resultEl.className = 'result-banner';
-    resultEl.style.display = 'block';
-    resultEl.innerHTML = '<span class="spinner"></span> Testing SMB connection...';
+// ==================== Step 3: Storage Validation ====================
 
-    var config = {
-        host: document.getElementById('smb-host').value,
-        share: document.getElementById('smb-share').value,
-        username: document.getElementById('smb-username').value,
-        password: document.getElementById('smb-password').value
+var HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+var IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+var URL_SCHEME_PATTERN = /^([a-z][a-z0-9+.-]*):\/\//i;
+var REGION_PATTERN = /^[a-z]{2}(-[a-z0-9]+)+$/;
+var ACCESS_KEY_PATTERN = /^[A-Za-z0-9_-]{3,128}$/;
+var AWS_ACCESS_KEY_PATTERN = /^(AKIA|ASIA)[A-Z0-9]{16}$/;
+var SMB_SHARE_INVALID_CHARS = /["\/\\\[\]:|<>+=;,*?]/;
+
+// Settings that last passed a connection test, per backend (see storageSignature)
+var testedStorage = { s3: null, smb: null };
+
+// Saved device settings (secrets excluded), or null; see keepsSavedS3 and keepsSavedSmb
+var savedStorage = { s3: null, smb: null };
+
+function isValidHost(host) {
+    var ip = host.match(IPV4_PATTERN);
+    if (ip) {
+        return ip.slice(1).every(function(part) { return parseInt(part, 10) <= 255; });
+    }
+    return HOSTNAME_PATTERN.test(host);
+}
+
+function validateEndpoint(value) {
+    // Optional: AWS and B2 endpoints are derived from the region
+    if (!value) return null;
+
+    var rest = value;
+    var scheme = value.match(URL_SCHEME_PATTERN);
+    if (scheme) {
+        var name = scheme[1].toLowerCase();
+        if (name !== 'http' && name !== 'https') {
+            return 'Use an http:// or https:// URL, not ' + name + '://';
+        }
+        rest = value.slice(scheme[0].length);
+    }
+    rest = rest.replace(/\/$/, '');
+    if (rest.indexOf('/') !== -1) {
+        return 'Enter the endpoint without a path; the bucket has its own field';
+    }
+
+    var hostPort = rest.match(/^([^:]+)(?::(\d+))?$/);
+    if (!hostPort || !isValidHost(hostPort[1])) {
+        return 'Enter a valid host name or IP address';
+    }
+    if (hostPort[2]) {
+        var port = parseInt(hostPort[2], 10);
+        if (port < 1 || port > 65535) return 'Port must be between 1 and 65535';
+    }
+    return null;
+}
+
+function validateRegion(value) {
+    // Blank uses the device default, us-east-1
+    if (!value || value === 'auto') return null;
+    if (!REGION_PATTERN.test(value)) {
+        return 'Use a region code like us-east-1, or auto for Cloudflare R2';
+    }
+    return null;
+}
+
+// S3 bucket naming rules
+function validateBucket(value) {
+    if (!value) return 'Bucket name is required';
+    if (value.length < 3 || value.length > 63) return 'Bucket names are 3 to 63 characters long';
+    if (/[^a-z0-9.-]/.test(value)) return 'Use only lowercase letters, numbers, dots and hyphens';
+    if (!/^[a-z0-9]/.test(value) || !/[a-z0-9]$/.test(value)) {
+        return 'Bucket names must start and end with a letter or number';
+    }
+    if (value.indexOf('..') !== -1) return 'Bucket names cannot contain two dots in a row';
+    if (IPV4_PATTERN.test(value)) return 'Bucket names cannot be formatted as an IP address';
+    if (/^(xn--|sthree-)/.test(value) || /(-s3alias|--ol-s3)$/.test(value)) {
+        return 'This bucket name uses a prefix or suffix reserved by S3';
+    }
+    return null;
+}
+
+/**
+ * The device only fills blank S3 keys from its saved settings when the form
+ * still targets the saved endpoint and bucket (UploadApiHandler.parseS3Credentials),
+ * so a stored secret is never sent somewhere else.
+ */
+function keepsSavedS3(form) {
+    var saved = savedStorage.s3;
+    if (!saved) return false;
+    var scheme = form.endpoint.match(URL_SCHEME_PATTERN);
+    var https = scheme ? scheme[1].toLowerCase() === 'https' : true;
+    // A blank endpoint is derived from the region, as on the device
+    var host = form.endpoint.replace(URL_SCHEME_PATTERN, '').replace(/\/+$/, '') ||
+        's3.' + (form.region || 'us-east-1') + '.amazonaws.com';
+    return host.toLowerCase() === String(saved.endpoint).toLowerCase() &&
+        https === saved.useHttps && form.bucket === saved.bucket;
+}
+
+// Same rule for SMB: the saved password is only used for the saved server, share and user
+function keepsSavedSmb(form) {
+    var saved = savedStorage.smb;
+    return !!saved && form.server.toLowerCase() === String(saved.server).toLowerCase() &&
+        form.share === saved.share && form.username === saved.username;
+}
+
+// Error for a blank secret field when the saved one cannot be reused
+function missingSecretError(label, saved, scope) {
+    return saved
+        ? 'Enter the ' + label + '; the saved one is only used for the saved ' + scope
+        : label.charAt(0).toUpperCase() + label.slice(1) + ' is required';
+}
+
+function validateAccessKey(value, keepSaved) {
+    if (!value) return keepSaved ? null : missingSecretError('access key', savedStorage.s3, 'endpoint and bucket');
+    if (!ACCESS_KEY_PATTERN.test(value)) {
+        return 'Access keys are letters, numbers, hyphens and underscores only';
+    }
+    if (/^(AKIA|ASIA)/.test(value) && !AWS_ACCESS_KEY_PATTERN.test(value)) {
+        return 'AWS access keys are 20 uppercase letters and numbers';
+    }
+    return null;
+}
+
+function validateSecretKey(value, keepSaved) {
+    if (!value) return keepSaved ? null : missingSecretError('secret key', savedStorage.s3, 'endpoint, bucket and access key');
+    if (/\s/.test(value)) return 'Secret keys cannot contain spaces';
+    if (value.length < 8 || value.length > 128) return 'Secret keys are 8 to 128 characters long';
+    return null;
+}
+
+function validateSmbHost(value) {
+    if (!value) return 'Server address is required';
+    var scheme = value.match(URL_SCHEME_PATTERN);
+    if (scheme) {
+        return 'Enter the server without ' + scheme[0] + ', e.g. 192.168.1.100';
+    }
+    if (/^(\\\\|\/\/)/.test(value)) {
+        return 'Enter the server without leading slashes, e.g. 192.168.1.100';
+    }
+    if (/[\/\\]/.test(value)) return 'Enter only the server here; the share has its own field';
+    if (!isValidHost(value)) return 'Enter a valid host name or IP address';
+    return null;
+}
+
+function validateSmbShare(value) {
+    if (!value) return 'Share name is required';
+    if (value.length > 80) return 'Share names are at most 80 characters long';
+    if (SMB_SHARE_INVALID_CHARS.test(value)) {
+        return 'Share names cannot contain " / \\ [ ] : | < > + = ; , * ?';
+    }
+    return null;
+}
+
+// Errors keyed by input id; null means the field is valid
+function storageErrors(type) {
+    var form = readStorageForm(type);
+    if (type === 's3') {
+        var keepS3 = keepsSavedS3(form);
+        return {
+            's3-endpoint': validateEndpoint(form.endpoint),
+            's3-region': validateRegion(form.region),
+            's3-bucket': validateBucket(form.bucket),
+            's3-access-key': validateAccessKey(form.accessKeyId, keepS3),
+            // The saved access key is masked, so a typed one always needs its secret
+            's3-secret-key': validateSecretKey(form.secretAccessKey, keepS3 && !form.accessKeyId)
+        };
+    }
+    if (type === 'smb') {
+        return {
+            'smb-host': validateSmbHost(form.server),
+            'smb-share': validateSmbShare(form.share),
+            'smb-username': form.username ? null : 'Username is required',
+            'smb-password': form.password || keepsSavedSmb(form)
+                ? null
+                : missingSecretError('password', savedStorage.smb, 'server, share and username')
+        };
+    }
+    return {};
+}
+
+function hasErrors(errors) {
+    return Object.keys(errors).some(function(id) { return errors[id]; });
+}
+
+function showStorageErrors(errors) {
+    Object.keys(errors).forEach(function(id) {
+        setFieldError(id, errors[id]);
+    });
+}
+
+function setFieldError(id, message) {
+    var input = document.getElementById(id);
+    var group = input.closest('.form-group');
+    var errorEl = group.querySelector('.field-error');
+    if (!errorEl) {
+        errorEl = document.createElement('div');
+        errorEl.className = 'field-error';
+        group.appendChild(errorEl);
+    }
+    errorEl.textContent = message || '';
+    input.classList.toggle('invalid', !!message);
+}
+
+/**
+ * Show a field's error once the user leaves it, and clear it as soon as
+ * typing fixes it, so half-typed values are not flagged.
+ */
+function onStorageFieldEdit(event) {
+    var input = event.target;
+    var errors = storageErrors(document.getElementById('storage-type').value);
+    if (input.id in errors && (event.type === 'change' || input.classList.contains('invalid'))) {
+        setFieldError(input.id, errors[input.id]);
+    }
+    updateStorageGate();
+}
+
+function storageSignature(type) {
+    var form = readStorageForm(type);
+    return form ? JSON.stringify(form) : null;
+}
+
+/**
+ * Storage is ready when it is off, or when the selected backend's form is
+ * valid and these exact settings passed a connection test.
+ */
+function isStorageReady() {
+    var type = document.getElementById('storage-type').value;
+    if (type !== 's3' && type !== 'smb') return true;
+    return !hasErrors(storageErrors(type)) && testedStorage[type] === storageSignature(type);
+}
+
+function updateStorageGate() {
+    var ready = isStorageReady();
+    document.getElementById('btn-step3-next').disabled = !ready;
+    document.getElementById('storage-gate-hint').style.display = ready ? 'none' : 'block';
+}
+
+// ==================== Step 4: Stream Settings ====================
+
+// Resolutions offered by the wizard, highest first
+var RESOLUTION_STEPS = [
+    { label: '2160p', width: 3840, height: 2160 },
+    { label: '1440p', width: 2560, height: 1440 },
+    { label: '1080p', width: 1920, height: 1080 },
+    { label: '720p', width: 1280, height: 720 }
+];
+
+var streamSettings = null;
+var sustainableProfile = null;
+
+function resolutionIndex(label) {
+    for (var i = 0; i < RESOLUTION_STEPS.length; i++) {
+        if (RESOLUTION_STEPS[i].label === label) return i;
+    }
+    // Anything not in the ladder is treated by height, closest step at or below it
+    var height = parseInt(label, 10) || 1080;
+    for (var j = 0; j < RESOLUTION_STEPS.length; j++) {
+        if (RESOLUTION_STEPS[j].height <= height) return j;
+    }
+    return RESOLUTION_STEPS.length - 1;
+}
+
+function initStreamSettingsStep() {
+    document.getElementById('stream-settings-result').className = 'result-banner';
+
+    authFetch('/api/thermal/profile')
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+            sustainableProfile = data.profile || null;
+        })
+        .catch(function() {
+            sustainableProfile = null;
+        })
+        .then(function() {
+            if (streamSettings) {
+                fillStreamSettings(streamSettings);
+            } else {
+                resetStreamSettings();
+            }
+        });
+}
+
+function resetStreamSettings() {
+    var profile = sustainableProfile;
+    if (!profile) {
+        fillStreamSettings({ width: 1920, height: 1080, frameRate: 30, bitrate: 4000000 });
+        return;
+    }
+    var step = RESOLUTION_STEPS[resolutionIndex(profile.sustainableResolution)];
+    fillStreamSettings({
+        width: step.width,
+        height: step.height,
+        frameRate: profile.sustainableFps,
+        bitrate: profile.sustainableBitrateKbps * 1000
+    });
+}
+
+function fillStreamSettings(settings) {
+    var resolution = document.getElementById('stream-resolution');
+    resolution.value = settings.width + 'x' + settings.height;
+    if (!resolution.value) resolution.value = '1920x1080';
+
+    // Frame rates between the offered options round down
+    var fps = document.getElementById('stream-fps');
+    var options = Array.prototype.map.call(fps.options, function(o) { return parseInt(o.value, 10); });
+    var fit = options.filter(function(value) { return value <= settings.frameRate; });
+    fps.value = String(fit.length > 0 ? fit[fit.length - 1] : options[0]);
+
+    document.getElementById('stream-bitrate').value = settings.bitrate / 1000000;
+    updateStreamSettingsHint();
+}
+
+function readStreamSettings() {
+    var size = document.getElementById('stream-resolution').value.split('x');
+    return {
+        width: parseInt(size[0], 10),
+        height: parseInt(size[1], 10),
+        frameRate: parseInt(document.getElementById('stream-fps').value, 10),
+        bitrate: Math.round(parseFloat(document.getElementById('stream-bitrate').value) * 1000000)
     };
+}
 
-    fetch('/api/upload/smb/test', {
-        method: 'POST',
+/**
+ * List the ways the settings go beyond the profile's sustainable values.
+ */
+function sustainableExcess(settings, profile) {
+    var over = [];
+    var maxHeight = parseInt(profile.sustainableResolution, 10);
+    if (maxHeight && Math.min(settings.width, settings.height) > maxHeight) {
+        over.push('resolution ' + Math.min(settings.width, settings.height) + 'p');
+    }
+    if (settings.frameRate > profile.sustainableFps) {
+        over.push(settings.frameRate + ' fps');
+    }
+    if (settings.bitrate > profile.sustainableBitrateKbps * 1000) {
+        over.push((settings.bitrate / 1000000) + ' Mbps');
+    }
+    return over;
+}
+
+function describeSustainable(profile) {
+    return profile.sustainableResolution + profile.sustainableFps + ' at ' +
+        (profile.sustainableBitrateKbps / 1000) + ' Mbps';
+}
+
+function updateStreamSettingsHint() {
+    var hint = document.getElementById('stream-settings-hint');
+    var settings = readStreamSettings();
+    if (!sustainableProfile || isNaN(settings.bitrate)) {
+        hint.style.display = 'none';
+        return;
+    }
+
+    var over = sustainableExcess(settings, sustainableProfile);
+    hint.style.display = 'block';
+    hint.className = 'sustainable-hint ' + (over.length === 0 ? 'within' : 'above');
+    hint.textContent = over.length === 0
+        ? 'Sustainable for ' + sustainableProfile.displayName
+        : 'Above the sustainable settings for ' + sustainableProfile.displayName +
+            ' (' + describeSustainable(sustainableProfile) + '): ' + over.join(', ') +
+            '. Expect thermal throttling on long sessions.';
+}
+
+// Save as the device's stream settings, then move on to the test
+function saveStreamSettings() {
+    var bitrateInput = document.getElementById('stream-bitrate');
+    if (bitrateInput.value === '' || !bitrateInput.checkValidity()) {
+        bitrateInput.reportValidity();
+        return;
+    }
+
+    var settings = readStreamSettings();
+    var resultEl = document.getElementById('stream-settings-result');
+    var nextBtn = document.getElementById('btn-step4-next');
+    nextBtn.disabled = true;
+
+    authFetch('/api/config', {
+        method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(config)
+        body: JSON.stringify({ stream: settings })
     })
-    .then(function(r) { return r.json(); })
-    .then(function(data) {
-        if (data.success) {
-            resultEl.className = 'result-banner success';
-            resultEl.textContent = 'SMB connection successful!';
-        } else {
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+            if (!data.success) {
+                resultEl.className = 'result-banner error';
+                resultEl.textContent = 'Could not save settings: ' + (data.error || 'Unknown error');
+                return;
+            }
+            streamSettings = settings;
+            goToStep(5);
+        })
+        .catch(function(err) {
             resultEl.className = 'result-banner error';
-            resultEl.textContent = 'Connection failed: ' + (data.error || 'Unknown error');
-        }
-    })
-    .catch(function(err) {
-        resultEl.className = 'result-banner error';
-        resultEl.textContent = 'Test failed: ' + err.message;
-    });
+            resultEl.textContent = 'Error: ' + err.message;
+        })
+        .then(function() {
+            nextBtn.disabled = false;
+        });
 }
 
-// ==================== Step 4: Test Stream ====================
+function describeStreamSettings(settings) {
+    return settings.width + 'x' + settings.height + ', ' + settings.frameRate + ' fps, ' +
+        (settings.bitrate / 1000000) + ' Mbps';
+}
+
+// ==================== Step 5: Stress Test ====================
+
+var STRESS_POLL_MS = 3000;
+
+var testStreamConfig = null;
+var testProfile = null;
 
 function initTestStep() {
     isTestStreaming = false;
-    document.getElementById('btn-test-stream').style.display = 'inline-block';
-    document.getElementById('btn-stop-test').style.display = 'none';
+    showTestRunning(false);
     document.getElementById('thermal-status-area').style.display = 'none';
+    hideStressReport();
     setCheckStatus('check-stream', 'pending', 'Not started');
     setCheckStatus('check-thermal-ok', 'pending', 'Monitoring...');
+    loadTestProfile();
+
+    // Pick up a test that is still running, e.g. after a page reload
+    authFetch('/api/thermal/stress-test')
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+            if (data.running) {
+                isTestStreaming = true;
+                showTestRunning(true);
+                document.getElementById('thermal-status-area').style.display = 'block';
+                setCheckStatus('check-stream', 'pass', 'Stress test running');
+                startThermalPolling();
+            }
+        })
+        .catch(function() {});
+}
+
+function loadTestProfile() {
+    authFetch('/api/thermal/profile')
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+            testProfile = data.profile;
+        })
+        .catch(function() {
+            testProfile = null;
+        });
+}
+
+function showTestRunning(running) {
+    document.getElementById('btn-test-stream').style.display = running ? 'none' : 'inline-block';
+    document.getElementById('btn-stop-test').style.display = running ? 'inline-block' : 'none';
+    document.getElementById('stress-duration').disabled = running;
 }
 
 function startTestStream() {
+    var duration = parseInt(document.getElementById('stress-duration').value, 10);
     setCheckStatus('check-stream', 'pending', 'Starting stream...');
+    hideStressReport();
+    document.getElementById('btn-test-stream').disabled = true;
 
-    fetch('/api/stream/start', { method: 'POST' })
+    authFetch('/api/stream/start', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(streamSettings || readStreamSettings())
+    })
         .then(function(r) { return r.json(); })
         .then(function(data) {
-            if (data.success !== false) {
-                isTestStreaming = true;
-                setCheckStatus('check-stream', 'pass', 'Stream running');
-                document.getElementById('btn-test-stream').style.display = 'none';
-                document.getElementById('btn-stop-test').style.display = 'inline-block';
-                document.getElementById('thermal-status-area').style.display = 'block';
-                startThermalPolling();
-            } else {
-                setCheckStatus('check-stream', 'fail', 'Failed to start: ' + (data.error || 'Unknown'));
+            if (data.success === false) {
+                throw new Error('Failed to start: ' + (data.error || 'Unknown'));
             }
+            testStreamConfig = data.config || null;
+            setCheckStatus('check-stream', 'pending', 'Stream running, starting stress test...');
+            return authFetch('/api/thermal/stress-test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ durationSeconds: duration })
+            })
+                .then(function(r) { return r.json(); })
+                .then(function(test) {
+                    if (!test.success) {
+                        authFetch('/api/stream/stop', { method: 'POST' }).catch(function() {});
+                        throw new Error('Stress test failed to start: ' + (test.error || 'Unknown'));
+                    }
+                });
+        })
+        .then(function() {
+            isTestStreaming = true;
+            setCheckStatus('check-stream', 'pass', 'Stream running at ' + describeStreamSettings(testStreamConfig || readStreamSettings()));
+            setCheckStatus('check-thermal-ok', 'pending', 'Monitoring...');
+            showTestRunning(true);
+            document.getElementById('thermal-status-area').style.display = 'block';
+            document.getElementById('stress-curve').innerHTML = '';
+            startThermalPolling();
         })
         .catch(function(err) {
-            setCheckStatus('check-stream', 'fail', 'Error: ' + err.message);
+            setCheckStatus('check-stream', 'fail', err.message);
+        })
+        .then(function() {
+            document.getElementById('btn-test-stream').disabled = false;
         });
 }
 
 function stopTestStream() {
-    fetch('/api/stream/stop', { method: 'POST' })
-        .then(function() {
-            isTestStreaming = false;
-            stopThermalPolling();
-            document.getElementById('btn-test-stream').style.display = 'inline-block';
-            document.getElementById('btn-stop-test').style.display = 'none';
-            setCheckStatus('check-stream', 'pass', 'Stream test completed');
-        })
-        .catch(function() {
-            // Still mark as stopped locally
-            isTestStreaming = false;
-            stopThermalPolling();
+    if (!isTestStreaming) return;
+    authFetch('/api/thermal/stress-test', { method: 'DELETE' })
+        .catch(function() {})
+        .then(function() { return fetchStressTest(); })
+        .then(function(data) {
+            finishStressTest(data ? data.result : null);
         });
 }
 
+function finishStressTest(result) {
+    if (!isTestStreaming) return;
+    isTestStreaming = false;
+    stopThermalPolling();
+    showTestRunning(false);
+
+    authFetch('/api/stream/stop', { method: 'POST' }).catch(function() {});
+
+    if (!result) {
+        setCheckStatus('check-stream', 'warn', 'Stress test ended without any samples');
+        return;
+    }
+
+    setCheckStatus('check-stream', 'pass', result.completed
+        ? 'Stress test completed (' + formatTestDuration(result.durationSeconds) + ')'
+        : 'Stress test stopped after ' + formatTestDuration(result.durationSeconds));
+    drawStressCurve(result.temperatureCurve, result.requestedDurationSeconds, result.testedProfile);
+    updateStressProgress(result.durationSeconds, result.requestedDurationSeconds);
+    renderStressReport(result);
+}
+
 function startThermalPolling() {
     stopThermalPolling();
     pollThermal();
-    thermalPollInterval = setInterval(pollThermal, 3000);
+    pollStressTest();
+    thermalPollInterval = setInterval(function() {
+        pollThermal();
+        pollStressTest();
+    }, STRESS_POLL_MS);
 }
 
 function stopThermalPolling() {
@@ -292,8 +1119,24 @@ function stopThermalPolling() {
     }
 }
 
+function fetchStressTest() {
+    return fetchJson('/api/thermal/stress-test');
+}
+
+function pollStressTest() {
+    fetchStressTest().then(function(data) {
+        if (!data || !isTestStreaming) return;
+        if (data.running) {
+            updateStressProgress(data.elapsedSeconds, data.durationSeconds);
+            drawStressCurve(data.samples || [], data.durationSeconds, testProfile);
+        } else {
+            finishStressTest(data.result);
+        }
+    });
+}
+
 function pollThermal() {
-    fetch('/api/thermal/status')
+    authFetch('/api/thermal/status')
         .then(function(r) { return r.json(); })
         .then(function(data) {
             var cpuTemp = data.cpuTemperatureC || 0;
@@ -312,8 +1155,9 @@ function pollThermal() {
             cpuBar.style.width = cpuPct + '%';
             batteryBar.style.width = batteryPct + '%';
 
-            cpuBar.style.background = tempColor(cpuTemp, 50, 60);
-            batteryBar.style.background = tempColor(batteryTemp, 42, 48);
+            var profile = testProfile || {};
+            cpuBar.style.background = tempColor(cpuTemp, profile.cpuWarnC || 50, profile.cpuCriticalC || 60);
+            batteryBar.style.background = tempColor(batteryTemp, profile.batteryWarnC || 42, profile.batteryCriticalC || 48);
 
             // Overall thermal check
             var level = data.overallLevel || 'NORMAL';
@@ -336,7 +1180,146 @@ function tempColor(temp, warnThreshold, critThreshold) {
     return 'var(--success-color)';
 }
 
-// ==================== Step 5: Activate ====================
+function updateStressProgress(elapsed, duration) {
+    var pct = duration > 0 ? Math.min(100, (elapsed / duration) * 100) : 0;
+    document.getElementById('stress-progress-bar').style.width = pct + '%';
+    document.getElementById('stress-progress-text').textContent =
+        formatTestDuration(Math.min(elapsed, duration)) + ' / ' + formatTestDuration(duration);
+}
+
+/**
+ * Plot CPU and battery temperatures over the full test duration, with the
+ * profile's warning thresholds as dashed lines.
+ */
+function drawStressCurve(samples, duration, profile) {
+    var svg = document.getElementById('stress-curve');
+    var width = 600;
+    var height = 180;
+    var limits = profile ? [profile.cpuWarnC, profile.batteryWarnC] : [];
+
+    var temps = limits.slice();
+    samples.forEach(function(s) { temps.push(s.cpuTempC, s.batteryTempC); });
+    if (temps.length === 0) {
+        svg.innerHTML = '';
+        return;
+    }
+    var minTemp = Math.floor(Math.min.apply(null, temps) - 2);
+    var maxTemp = Math.ceil(Math.max.apply(null, temps) + 2);
+    var span = Math.max(maxTemp - minTemp, 1);
+    var xMax = Math.max(duration, 1);
+
+    function x(sec) { return (Math.min(sec, xMax) / xMax * width).toFixed(1); }
+    function y(temp) { return (height - (temp - minTemp) / span * height).toFixed(1); }
+    function points(key) {
+        return samples.map(function(s) { return x(s.elapsedSec) + ',' + y(s[key]); }).join(' ');
+    }
+
+    var html = '';
+    if (profile) {
+        html += '<line class="limit-cpu" x1="0" x2="' + width + '" y1="' + y(profile.cpuWarnC) + '" y2="' + y(profile.cpuWarnC) + '"/>';
+        html += '<line class="limit-battery" x1="0" x2="' + width + '" y1="' + y(profile.batteryWarnC) + '" y2="' + y(profile.batteryWarnC) + '"/>';
+    }
+    html += '<polyline class="curve-battery" points="' + points('batteryTempC') + '"/>';
+    html += '<polyline class="curve-cpu" points="' + points('cpuTempC') + '"/>';
+    svg.innerHTML = html;
+}
+
+function hideStressReport() {
+    var report = document.getElementById('stress-report');
+    report.className = 'result-banner stress-report';
+    report.innerHTML = '';
+}
+
+function renderStressReport(result) {
+    var report = document.getElementById('stress-report');
+    var profile = result.testedProfile;
+
+    function row(label, value, limit) {
+        var over = value >= limit;
+        return '<tr><td>' + label + '</td>' +
+            '<td' + (over ? ' class="over"' : '') + '>' + value.toFixed(1) + '\u00B0C</td>' +
+            '<td>' + limit.toFixed(1) + '\u00B0C</td></tr>';
+    }
+
+    var html = '<strong>' + (result.passed ? 'Stress test passed' : 'Stress test failed') + '</strong>' +
+        ' against ' + escapeText(profile.displayName);
+    if (!result.completed) {
+        html += '<br>Stopped early after ' + formatTestDuration(result.durationSeconds) + ' of ' +
+            formatTestDuration(result.requestedDurationSeconds) + '; steady-state figures may be low.';
+    }
+    html += '<table><thead><tr><th>Reading</th><th>Measured</th><th>Warning threshold</th></tr></thead><tbody>' +
+        row('Peak CPU', result.peakCpuTempC, profile.cpuWarnC) +
+        row('Steady-state CPU', result.steadyCpuTempC, profile.cpuWarnC) +
+        row('Peak battery', result.peakBatteryTempC, profile.batteryWarnC) +
+        row('Steady-state battery', result.steadyBatteryTempC, profile.batteryWarnC) +
+        '</tbody></table>' +
+        'Throttled samples: ' + result.throttleEvents;
+
+    if (!result.passed) {
+        html += '<br><br><strong>Recommended lower settings</strong><ul>' +
+            recommendLowerSettings(testStreamConfig, result).map(function(tip) {
+                return '<li>' + escapeText(tip) + '</li>';
+            }).join('') + '</ul>';
+    }
+
+    report.className = 'result-banner stress-report ' + (result.passed ? 'success' : 'error');
+    report.innerHTML = html;
+}
+
+/**
+ * Suggest settings below the ones tested. Bitrate drops by a quarter, capped
+ * at what the run suggests is sustainable; resolution and frame rate step
+ * down to the sustainable values, and one step further if the CPU reached
+ * the profile's critical threshold.
+ */
+function recommendLowerSettings(tested, result) {
+    var sustainable = result.recommendedProfile;
+    var profile = result.testedProfile;
+    var critical = result.peakCpuTempC >= profile.cpuCriticalC;
+    var tips = [];
+
+    var sustainableIndex = resolutionIndex(sustainable.sustainableResolution);
+
+    if (!tested) {
+        tips.push('Resolution: ' + sustainable.sustainableResolution);
+        tips.push('Bitrate: ' + sustainable.sustainableBitrateKbps + ' kbps');
+        tips.push('Frame rate: ' + sustainable.sustainableFps + ' fps');
+        return tips;
+    }
+
+    var testedIndex = resolutionIndex(tested.height + 'p');
+    var targetIndex = Math.min(RESOLUTION_STEPS.length - 1,
+        Math.max(sustainableIndex, testedIndex + (critical ? 1 : 0)));
+    if (targetIndex > testedIndex) {
+        tips.push('Resolution: ' + RESOLUTION_STEPS[testedIndex].label + ' \u2192 ' + RESOLUTION_STEPS[targetIndex].label);
+    }
+
+    var testedKbps = Math.round(tested.bitrate / 1000);
+    var targetKbps = Math.max(500, Math.min(sustainable.sustainableBitrateKbps,
+        Math.floor(testedKbps * 0.75 / 500) * 500));
+    if (targetKbps < testedKbps) {
+        tips.push('Bitrate: ' + testedKbps + ' \u2192 ' + targetKbps + ' kbps');
+    }
+
+    var targetFps = Math.min(tested.frameRate, sustainable.sustainableFps);
+    if (critical && targetFps > 24) targetFps = 24;
+    if (targetFps < tested.frameRate) {
+        tips.push('Frame rate: ' + tested.frameRate + ' \u2192 ' + targetFps + ' fps');
+    }
+
+    if (tips.length === 0) {
+        tips.push('Settings are already at the lowest recommended values; improve cooling or airflow around the device');
+    }
+    return tips;
+}
+
+function formatTestDuration(seconds) {
+    var mins = Math.floor(seconds / 60);
+    var secs = seconds % 60;
+    return mins + ':' + (secs < 10 ? '0' : '') + secs;
+}
+
+// ==================== Step 6: Activate ====================
 
 function updateSummary() {
     document.getElementById('summary-preset').textContent =
@@ -350,8 +1333,15 @@ function updateSummary() {
         storageType === 's3' ? 'S3-Compatible' :
         storageType === 'smb' ? 'SMB/CIFS Network Share' : 'Local only';
 
+    document.getElementById('summary-stream').textContent =
+        streamSettings ? describeStreamSettings(streamSettings) : 'Default';
+
+    var storageReady = isStorageReady();
+    document.getElementById('btn-activate').disabled = !storageReady;
+    document.getElementById('activate-storage-hint').style.display = storageReady ? 'none' : 'block';
+
     // Fetch fresh device info
-    fetch('/api/device')
+    authFetch('/api/device')
         .then(function(r) { return r.json(); })
         .then(function(data) {
             document.getElementById('summary-device').textContent =
@@ -359,7 +1349,7 @@ function updateSummary() {
         })
         .catch(function() {});
 
-    fetch('/api/thermal/profile')
+    authFetch('/api/thermal/profile')
         .then(function(r) { return r.json(); })
         .then(function(data) {
             document.getElementById('summary-thermal').textContent =
@@ -369,6 +1359,8 @@ function updateSummary() {
 }
 
 function activateKiosk() {
+    if (!isStorageReady()) return;
+
     var resultEl = document.getElementById('activation-result');
     resultEl.className = 'result-banner';
     resultEl.style.display = 'block';
@@ -382,7 +1374,7 @@ function activateKiosk() {
         ? '/api/kiosk/preset/appliance'
         : '/api/kiosk/preset/interactive';
 
-    fetch(presetUrl, { method: 'POST' })
+    authFetch(presetUrl, { method: 'POST' })
         .then(function(r) { return r.json(); })
         .then(function(data) {
             // Save storage config if set
@@ -390,7 +1382,7 @@ function activateKiosk() {
         })
         .then(function() {
             // Enable kiosk
-            return fetch('/api/kiosk/enable', { method: 'POST' });
+            return authFetch('/api/kiosk/enable', { method: 'POST' });
         })
         .then(function(r) { return r.json(); })
         .then(function(data) {
@@ -401,11 +1393,18 @@ function activateKiosk() {
                     'Preset: ' + (selectedPreset === 'appliance' ? 'Appliance' : 'Interactive') + '<br>' +
                     'The device will enter kiosk mode on next restart, or you can start it from the dashboard.';
 
-                // Mark step 5 as done
-                var step5 = document.querySelector('.step[data-step="5"]');
-                if (step5) {
-                    step5.classList.remove('active');
-                    step5.classList.add('done');
+                // Setup is finished; the next visit starts fresh
+                try {
+                    localStorage.removeItem(SETUP_STORAGE_KEY);
+                } catch (e) {
+                    // Nothing stored
+                }
+
+                // Mark the last step as done
+                var lastStep = document.querySelector('.step[data-step="' + STEP_COUNT + '"]');
+                if (lastStep) {
+                    lastStep.classList.remove('active');
+                    lastStep.classList.add('done');
                 }
             } else {
                 resultEl.className = 'result-banner error';
@@ -424,35 +1423,52 @@ function saveStorageConfig() {
     var storageType = document.getElementById('storage-type').value;
 
     if (storageType === 's3') {
-        return fetch('/api/upload/s3/config', {
+        return authFetch('/api/upload/s3/config', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                endpoint: document.getElementById('s3-endpoint').value,
-                region: document.getElementById('s3-region').value,
-                bucket: document.getElementById('s3-bucket').value,
-                accessKey: document.getElementById('s3-access-key').value,
-                secretKey: document.getElementById('s3-secret-key').value
-            })
+            body: JSON.stringify(readS3Form())
         });
     } else if (storageType === 'smb') {
-        return fetch('/api/upload/smb/config', {
+        return authFetch('/api/upload/smb/config', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                host: document.getElementById('smb-host').value,
-                share: document.getElementById('smb-share').value,
-                username: document.getElementById('smb-username').value,
-                password: document.getElementById('smb-password').value
-            })
+            body: JSON.stringify(readSmbForm())
         });
     }
 
     return Promise.resolve();
 }
 
+// ==================== Utilities ====================
+
+function fetchJson(url) {
+    return authFetch(url)
+        .then(function(r) { return r.json(); })
+        .catch(function() { return null; });
+}
+
+function escapeText(text) {
+    var div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // ==================== Init ====================
 
 document.addEventListener('DOMContentLoaded', function() {
-    runChecks();
+    bindAuthButton(document.getElementById('btn-auth'));
+    document.addEventListener('authchange', function() {
+        if (currentStep === 1) runChecks();
+        prefillStorageConfig();
+    });
+
+    // Typing in the storage forms is saved as it happens
+    var storageStep = document.getElementById('step-3');
+    storageStep.addEventListener('input', saveWizardState);
+    storageStep.addEventListener('change', saveWizardState);
+    storageStep.addEventListener('input', onStorageFieldEdit);
+    storageStep.addEventListener('change', onStorageFieldEdit);
+
+    restoreWizardState();
+    prefillStorageConfig();
 });
@@ -540,24 +540,40 @@ class CameraService : Service() {
 
     /**
      * Set focus mode.
+     * @return false if the current camera does not support the mode
      */
-    fun setFocusMode(mode: FocusMode) {
+    fun setFocusMode(mode: FocusMode): Boolean {
         if (focusController.setFocusMode(mode)) {
             currentConfig = currentConfig.copy(focusMode = mode)
             lensDaemonCameraManager.updateConfig(currentConfig)
+            return true
         }
+        return false
     }
 
     /**
      * Set manual focus distance (0.0 = infinity, 1.0 = closest).
+     * @return false if the current camera does not support manual focus
      */
-    fun setManualFocusDistance(distance: Float) {
+    fun setManualFocusDistance(distance: Float): Boolean {
         if (focusController.setManualFocusDistance(distance)) {
             currentConfig = currentConfig.copy(focusMode = FocusMode.MANUAL)
             lensDaemonCameraManager.updateConfig(currentConfig)
+            return true
         }
+        return false
     }
 
+    /**
+     * Get manual focus distance (0.0 = infinity, 1.0 = closest).
+     */
+    fun getManualFocusDistance(): Float = focusController.focusDistance.value
+
+    /**
+     * Get focus modes supported by the current camera.
+     */
+    fun getSupportedFocusModes(): List<FocusMode> = focusController.getSupportedFocusModes()
+
     /**
      * Check if tap-to-focus is supported.
      */
@@ -47,6 +47,12 @@ data class StreamConfig(
     @SerializedName("keyframe_interval")
     val keyframeInterval: Int = 2,  // seconds
 
+    @SerializedName("bitrate_mode")
+    val bitrateMode: String = "vbr",  // vbr, cbr or cq
+
+    @SerializedName("profile")
+    val profile: String = "high",  // H.264: baseline/main/high, H.265: main/main_10
+
     @SerializedName("autostart")
     val autostart: Boolean = false,
 
@@ -246,8 +246,21 @@ data class EncoderCapabilities(
     val supportedBitrateModes: List<BitrateMode>,
     val bitrateRange: IntRange,
     val supportedFrameRates: IntRange,
-    val supportedProfiles: List<Int>
-)
+    val supportedProfiles: List<Int>,
+    /** Standard frame rates the encoder can sustain at each supported resolution */
+    val frameRatesBySize: Map<Size, List<Int>> = emptyMap()
+) {
+    /** Profile names from [H264Profile] or [H265Profile] supported by this encoder */
+    val supportedProfileNames: List<String>
+        get() = when (codec) {
+            VideoCodec.H264 -> H264Profile.entries.filter { it.value in supportedProfiles }.map { it.name }
+            VideoCodec.H265 -> H265Profile.entries.filter { it.value in supportedProfiles }.map { it.name }
+        }
+
+    /** Check if the encoder can do [frameRate] at [width]x[height] */
+    fun supports(width: Int, height: Int, frameRate: Int): Boolean =
+        frameRatesBySize[Size(width, height)]?.contains(frameRate) == true
+}
 
 /**
  * Encoder statistics for monitoring
@@ -26,6 +26,9 @@ class VideoEncoder(
 ) {
     companion object {
         private const val TAG = "VideoEncoder"
+
+        /** Frame rates probed per resolution when reporting capabilities */
+        private val STANDARD_FRAME_RATES = listOf(15, 24, 30, 60)
         private const val TIMEOUT_US = 10_000L // 10ms timeout for dequeue operations
 
         /**
@@ -71,9 +74,13 @@ class VideoEncoder(
                 Size(2560, 1440),
                 Size(3840, 2160)
             )
+            val frameRatesBySize = mutableMapOf<Size, List<Int>>()
             for (res in standardResolutions) {
                 if (videoCapabilities.isSizeSupported(res.width, res.height)) {
                     supportedResolutions.add(res)
+                    frameRatesBySize[res] = STANDARD_FRAME_RATES.filter { fps ->
+                        videoCapabilities.areSizeAndRateSupported(res.width, res.height, fps.toDouble())
+                    }
                 }
             }
 
@@ -116,7 +123,8 @@ class VideoEncoder(
                 supportedBitrateModes = supportedBitrateModes,
                 bitrateRange = bitrateRange.lower..bitrateRange.upper,
                 supportedFrameRates = frameRateRange.lower.toInt()..frameRateRange.upper.toInt(),
-                supportedProfiles = supportedProfiles
+                supportedProfiles = supportedProfiles,
+                frameRatesBySize = frameRatesBySize
             )
         }
     }
@@ -103,6 +103,37 @@ data class KioskConfig(
     val networkRecovery: NetworkRecoveryConfig = NetworkRecoveryConfig(),
     val crashRecovery: CrashRecoveryConfig = CrashRecoveryConfig()
 ) {
+    /**
+     * Check all fields are within supported ranges.
+     * Returns a description of the first invalid field, or null if valid.
+     */
+    fun validate(): String? {
+        val pin = security.exitPin
+        return when {
+            autoStart.delaySeconds !in 0..300 ->
+                "autoStart.delaySeconds must be between 0 and 300"
+            screen.dimBrightness !in 0..255 ->
+                "screen.dimBrightness must be between 0 and 255"
+            screen.autoOffTimeoutSec !in 0..86400 ->
+                "screen.autoOffTimeoutSec must be between 0 and 86400"
+            pin.isNotEmpty() && (pin.length !in 4..8 || !pin.all { it.isDigit() }) ->
+                "security.exitPin must be 4-8 digits"
+            security.exitGestureTimeoutMs !in 1000L..30000L ->
+                "security.exitGestureTimeoutMs must be between 1000 and 30000"
+            networkRecovery.reconnectIntervalSec !in 5..3600 ->
+                "networkRecovery.reconnectIntervalSec must be between 5 and 3600"
+            networkRecovery.maxReconnectAttempts < 0 ->
+                "networkRecovery.maxReconnectAttempts must not be negative"
+            crashRecovery.restartDelayMs !in 0L..60000L ->
+                "crashRecovery.restartDelayMs must be between 0 and 60000"
+            crashRecovery.maxRestartAttempts !in 0..100 ->
+                "crashRecovery.maxRestartAttempts must be between 0 and 100"
+            crashRecovery.restartWindowMinutes !in 1..1440 ->
+                "crashRecovery.restartWindowMinutes must be between 1 and 1440"
+            else -> null
+        }
+    }
+
     companion object {
         val DEFAULT = KioskConfig()
 
@@ -17,8 +17,31 @@ data class MpegTsUdpConfig(
     val targetHost: String = "",
     val targetPort: Int = 9000,
     val latencyMs: Int = 120,
-    val maxBandwidthBps: Long = 0
-)
+    val maxBandwidthBps: Long = 0,
+    /** Send to a multicast group instead of a single host (caller mode only) */
+    val multicast: Boolean = false,
+    /** Multicast time-to-live (router hops) */
+    val ttl: Int = 1,
+    /** TS packets per UDP datagram; 7 x 188 = 1316 bytes fits a standard MTU */
+    val packetsPerDatagram: Int = 7
+) {
+    val datagramSize: Int get() = packetsPerDatagram * MpegTsUdpPublisher.TS_PACKET_SIZE
+
+    /**
+     * Validate the configuration.
+     * Returns an error message, or null if the configuration is valid.
+     */
+    fun validate(): String? = when {
+        // The local port is only bound in listener mode; callers send from an ephemeral port
+        mode == MpegTsMode.LISTENER && port !in 1024..65535 -> "port must be between 1024 and 65535"
+        mode == MpegTsMode.CALLER && targetHost.isBlank() -> "targetHost is required in caller mode"
+        mode == MpegTsMode.CALLER && targetPort !in 1..65535 -> "targetPort must be between 1 and 65535"
+        multicast && mode != MpegTsMode.CALLER -> "multicast requires caller mode"
+        ttl !in 1..255 -> "ttl must be between 1 and 255"
+        packetsPerDatagram !in 1..7 -> "packetsPerDatagram must be between 1 and 7"
+        else -> null
+    }
+}
 
 data class MpegTsUdpStats(
     val isConnected: Boolean = false,
@@ -28,7 +51,10 @@ data class MpegTsUdpStats(
     val uptimeMs: Long = 0,
     val mode: MpegTsMode = MpegTsMode.LISTENER,
     val port: Int = 9000,
-    val remoteAddress: String = ""
+    val remoteAddress: String = "",
+    val multicast: Boolean = false,
+    val ttl: Int = 1,
+    val datagramSize: Int = 1316
 )
 
 /**
@@ -40,6 +66,7 @@ data class MpegTsUdpStats(
  *
  * Features:
  * - Caller mode (push to remote) and Listener mode (accept incoming pulls)
+ * - Unicast or multicast delivery in caller mode, with configurable TTL
  * - MPEG-TS packetization with periodic PAT/PMT tables
  * - H.264 and H.265 stream type support
  * - Coroutine-based async architecture with SupervisorJob
@@ -49,7 +76,7 @@ class MpegTsUdpPublisher(private val config: MpegTsUdpConfig = MpegTsUdpConfig()
 
     companion object {
         private const val TAG = "MpegTsUdpPublisher"
-        private const val TS_PACKET_SIZE = 188
+        const val TS_PACKET_SIZE = 188
         private const val TS_SYNC_BYTE = 0x47.toByte()
         private const val PAT_PID = 0
         private const val PMT_PID = 4096
@@ -57,11 +84,10 @@ class MpegTsUdpPublisher(private val config: MpegTsUdpConfig = MpegTsUdpConfig()
         private const val H264_STREAM_TYPE = 0x1B
         private const val H265_STREAM_TYPE = 0x24
         private const val PAT_PMT_INTERVAL_MS = 500L
-        private const val TS_PACKETS_PER_DATAGRAM = 7
     }
 
     private val isRunning = AtomicBoolean(false)
-    private val _stats = MutableStateFlow(MpegTsUdpStats(mode = config.mode, port = config.port))
+    private val _stats = MutableStateFlow(idleStats())
     val stats: StateFlow<MpegTsUdpStats> = _stats.asStateFlow()
 
     private var scope: CoroutineScope? = null
@@ -95,19 +121,31 @@ class MpegTsUdpPublisher(private val config: MpegTsUdpConfig = MpegTsUdpConfig()
         }
         return try {
             scope = CoroutineScope(SupervisorJob() + Dispatchers.IO)
-            socket = DatagramSocket(if (config.mode == MpegTsMode.LISTENER) config.port else null)
+            config.validate()?.let { error ->
+                Timber.e("$TAG: Invalid config: $error")
+                cleanup()
+                return false
+            }
 
             when (config.mode) {
                 MpegTsMode.CALLER -> {
-                    if (config.targetHost.isBlank()) {
-                        Timber.e("$TAG: Caller mode requires a target host")
+                    val target = InetAddress.getByName(config.targetHost)
+                    if (config.multicast && !target.isMulticastAddress) {
+                        Timber.e("$TAG: ${config.targetHost} is not a multicast address")
                         cleanup()
                         return false
                     }
-                    remoteAddress = InetSocketAddress(InetAddress.getByName(config.targetHost), config.targetPort)
-                    Timber.i("$TAG: Caller mode targeting ${config.targetHost}:${config.targetPort}")
+                    socket = if (config.multicast) {
+                        MulticastSocket().apply { timeToLive = config.ttl }
+                    } else {
+                        DatagramSocket()
+                    }
+                    remoteAddress = InetSocketAddress(target, config.targetPort)
+                    val delivery = if (config.multicast) "multicast (ttl=${config.ttl})" else "unicast"
+                    Timber.i("$TAG: Caller mode targeting ${config.targetHost}:${config.targetPort} via $delivery")
                 }
                 MpegTsMode.LISTENER -> {
+                    socket = DatagramSocket(config.port)
                     scope?.launch { listenerLoop() }
                     Timber.i("$TAG: Listener mode on port ${config.port}")
                 }
@@ -134,7 +172,7 @@ class MpegTsUdpPublisher(private val config: MpegTsUdpConfig = MpegTsUdpConfig()
         if (!isRunning.compareAndSet(true, false)) return
         Timber.i("$TAG: Stopping MPEG-TS/UDP publisher")
         cleanup()
-        _stats.value = MpegTsUdpStats(mode = config.mode, port = config.port)
+        _stats.value = idleStats()
         Timber.i("$TAG: MPEG-TS/UDP publisher stopped")
     }
 
@@ -200,12 +238,7 @@ class MpegTsUdpPublisher(private val config: MpegTsUdpConfig = MpegTsUdpConfig()
     // --- MPEG-TS table generation ---
 
     private fun sendPatPmt(target: InetSocketAddress) {
-        val combined = ByteArray(TS_PACKET_SIZE * 2)
-        System.arraycopy(buildPatPacket(), 0, combined, 0, TS_PACKET_SIZE)
-        System.arraycopy(buildPmtPacket(), 0, combined, TS_PACKET_SIZE, TS_PACKET_SIZE)
-        socket?.send(DatagramPacket(combined, combined.size, target))
-        packetsSent += 2
-        bytesSent += combined.size
+        sendTsPackets(listOf(buildPatPacket(), buildPmtPacket()), target)
     }
 
     private fun buildPatPacket(): ByteArray {
@@ -369,7 +402,7 @@ class MpegTsUdpPublisher(private val config: MpegTsUdpConfig = MpegTsUdpConfig()
     private fun sendTsPackets(tsPackets: List<ByteArray>, target: InetSocketAddress) {
         var i = 0
         while (i < tsPackets.size) {
-            val batch = (i + TS_PACKETS_PER_DATAGRAM).coerceAtMost(tsPackets.size)
+            val batch = (i + config.packetsPerDatagram).coerceAtMost(tsPackets.size)
             val count = batch - i
             val data = ByteArray(count * TS_PACKET_SIZE)
             for (j in 0 until count) {
@@ -416,10 +449,21 @@ class MpegTsUdpPublisher(private val config: MpegTsUdpConfig = MpegTsUdpConfig()
             uptimeMs = uptimeMs,
             mode = config.mode,
             port = config.port,
-            remoteAddress = remote?.let { "${it.address.hostAddress}:${it.port}" } ?: ""
+            remoteAddress = remote?.let { "${it.address.hostAddress}:${it.port}" } ?: "",
+            multicast = config.multicast,
+            ttl = config.ttl,
+            datagramSize = config.datagramSize
         )
     }
 
+    private fun idleStats() = MpegTsUdpStats(
+        mode = config.mode,
+        port = config.port,
+        multicast = config.multicast,
+        ttl = config.ttl,
+        datagramSize = config.datagramSize
+    )
+
     private fun cleanup() {
         scope?.cancel()
         scope = null
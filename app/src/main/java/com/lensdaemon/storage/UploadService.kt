@@ -317,6 +317,13 @@ class UploadService : Service(), UploadEventListener {
         return client.testConnection()
     }
 
+    /**
+     * Test S3 credentials without saving them
+     */
+    suspend fun testS3Connection(credentials: S3Credentials): Result<Boolean> {
+        return S3Client(credentials).testConnection()
+    }
+
     /**
      * Configure SMB credentials
      */
@@ -336,6 +343,18 @@ class UploadService : Service(), UploadEventListener {
         return client.testConnection()
     }
 
+    /**
+     * Test SMB credentials without saving them
+     */
+    suspend fun testSmbConnection(credentials: SmbCredentials): Result<Boolean> {
+        val client = SmbClient(credentials)
+        return try {
+            client.testConnection()
+        } finally {
+            client.disconnect()
+        }
+    }
+
     /**
      * Clear S3 credentials
      */
@@ -405,6 +424,18 @@ class UploadService : Service(), UploadEventListener {
      */
     fun isSmbConfigured(): Boolean = credentialStore.hasSmbCredentials()
 
+    /**
+     * Get saved S3 credentials unmasked, for merging partial updates.
+     * Never return these from the API.
+     */
+    fun getS3Credentials(): S3Credentials? = credentialStore.getS3Credentials()
+
+    /**
+     * Get saved SMB credentials unmasked, for merging partial updates.
+     * Never return these from the API.
+     */
+    fun getSmbCredentials(): SmbCredentials? = credentialStore.getSmbCredentials()
+
     /**
      * Get S3 credentials (for display - sensitive fields masked)
      */
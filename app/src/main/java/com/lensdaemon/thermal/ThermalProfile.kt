@@ -43,6 +43,35 @@ data class ThermalProfile(
             sustainableResolution = "1080p",
             sustainableFps = 30
         )
+
+        val SUSTAINABLE_BITRATE_RANGE_KBPS = 500..100_000
+        val SUSTAINABLE_FPS_RANGE = 1..120
+        private val RESOLUTION_PATTERN = Regex("^\\d{3,4}p$")
+    }
+
+    /**
+     * Check the profile for inconsistent values.
+     *
+     * @return Human-readable problems; empty if the profile is valid
+     */
+    fun validate(): List<String> {
+        val errors = mutableListOf<String>()
+        if (cpuWarnC >= cpuCriticalC || cpuCriticalC >= cpuEmergencyC) {
+            errors.add("CPU thresholds must be in ascending order: warn < critical < emergency")
+        }
+        if (batteryWarnC >= batteryCriticalC || batteryCriticalC >= batteryEmergencyC) {
+            errors.add("Battery thresholds must be in ascending order: warn < critical < emergency")
+        }
+        if (sustainableBitrateKbps !in SUSTAINABLE_BITRATE_RANGE_KBPS) {
+            errors.add("Sustainable bitrate must be between ${SUSTAINABLE_BITRATE_RANGE_KBPS.first} and ${SUSTAINABLE_BITRATE_RANGE_KBPS.last} kbps")
+        }
+        if (!RESOLUTION_PATTERN.matches(sustainableResolution)) {
+            errors.add("Sustainable resolution must look like 720p or 1080p")
+        }
+        if (sustainableFps !in SUSTAINABLE_FPS_RANGE) {
+            errors.add("Sustainable frame rate must be between ${SUSTAINABLE_FPS_RANGE.first} and ${SUSTAINABLE_FPS_RANGE.last} fps")
+        }
+        return errors
     }
 
     /**
@@ -131,6 +160,14 @@ class ThermalProfileManager(private val context: Context) {
      */
     fun getBuiltInProfiles(): List<ThermalProfile> = builtInProfiles.toList()
 
+    /**
+     * Find a built-in profile (or the generic default) by its deviceModel key
+     */
+    fun findProfile(deviceModel: String): ThermalProfile? {
+        if (deviceModel == ThermalProfile.DEFAULT.deviceModel) return ThermalProfile.DEFAULT
+        return builtInProfiles.firstOrNull { it.deviceModel == deviceModel }
+    }
+
     /**
      * Get current device identification
      */
@@ -74,6 +74,7 @@ class ThermalService : Service(), ThermalGovernorListener {
     private lateinit var monitor: ThermalMonitor
     private lateinit var history: ThermalHistory
     private lateinit var governor: ThermalGovernor
+    private lateinit var stressTest: ThermalStressTest
     private var batteryBypass: BatteryBypass? = null
 
     // Configuration
@@ -102,6 +103,7 @@ class ThermalService : Service(), ThermalGovernorListener {
         // Wire up governor
         governor.initialize(monitor, history, batteryBypass)
         governor.addListener(this)
+        stressTest = ThermalStressTest(monitor, governor)
 
         // Wire up throttle callbacks
         governor.onReduceBitrate = { percent -> onReduceBitrate?.invoke(percent) }
@@ -134,6 +136,7 @@ class ThermalService : Service(), ThermalGovernorListener {
         super.onDestroy()
         Timber.tag(TAG).i("ThermalService destroyed")
 
+        stressTest.release()
         governor.release()
         serviceScope.cancel()
     }
@@ -179,6 +182,11 @@ class ThermalService : Service(), ThermalGovernorListener {
      */
     fun getHistory(): ThermalHistory = history
 
+    /**
+     * Get thermal stress test runner
+     */
+    fun getStressTest(): ThermalStressTest = stressTest
+
     /**
      * Get battery bypass manager
      */
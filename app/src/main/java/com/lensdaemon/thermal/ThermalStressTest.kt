@@ -10,6 +10,8 @@ import kotlinx.coroutines.delay
 import kotlinx.coroutines.isActive
 import kotlinx.coroutines.launch
 import timber.log.Timber
+import java.util.Locale
+import kotlin.math.ceil
 
 /**
  * Thermal stress test for profiling device thermal behavior.
@@ -21,6 +23,9 @@ import timber.log.Timber
  * The stress test does not directly start encoding — it relies on the caller
  * (typically the web API) to ensure streaming is active. It monitors temperatures
  * via ThermalMonitor and records the thermal response.
+ *
+ * When the run ends, its peak and steady-state temperatures are checked against
+ * the active profile's warning thresholds to give a pass/fail verdict.
  */
 class ThermalStressTest(
     private val monitor: ThermalMonitor,
@@ -30,33 +35,82 @@ class ThermalStressTest(
     companion object {
         private const val TAG = "ThermalStressTest"
         private const val SAMPLE_INTERVAL_MS = 5000L
-        private const val MIN_DURATION_SEC = 60
-        private const val MAX_DURATION_SEC = 600
+        const val MIN_DURATION_SEC = 60
+        const val MAX_DURATION_SEC = 1800
+        const val DEFAULT_DURATION_SEC = 300
+
+        /** Share of the run, counted from the end, treated as steady state */
+        private const val STEADY_STATE_FRACTION = 1.0 / 3
+
+        /**
+         * Average of the last third of a run's readings, by which point the
+         * device has usually stopped heating up.
+         */
+        fun steadyStateTemp(temps: List<Float>): Float {
+            if (temps.isEmpty()) return 0f
+            val count = ceil(temps.size * STEADY_STATE_FRACTION).toInt().coerceAtLeast(1)
+            return temps.takeLast(count).average().toFloat()
+        }
+
+        /**
+         * Compare a run's peak and steady-state temperatures against a
+         * profile's warning thresholds.
+         *
+         * @return One reason per exceeded threshold; empty if the run passed
+         */
+        fun checkAgainstProfile(
+            peakCpu: Float,
+            steadyCpu: Float,
+            peakBattery: Float,
+            steadyBattery: Float,
+            profile: ThermalProfile
+        ): List<String> {
+            val failures = mutableListOf<String>()
+            if (peakCpu >= profile.cpuWarnC) {
+                failures.add("Peak CPU ${formatTemp(peakCpu)}°C reached the ${formatTemp(profile.cpuWarnC)}°C warning threshold")
+            }
+            if (steadyCpu >= profile.cpuWarnC) {
+                failures.add("Steady-state CPU ${formatTemp(steadyCpu)}°C is at or above the ${formatTemp(profile.cpuWarnC)}°C warning threshold")
+            }
+            if (peakBattery >= profile.batteryWarnC) {
+                failures.add("Peak battery ${formatTemp(peakBattery)}°C reached the ${formatTemp(profile.batteryWarnC)}°C warning threshold")
+            }
+            if (steadyBattery >= profile.batteryWarnC) {
+                failures.add("Steady-state battery ${formatTemp(steadyBattery)}°C is at or above the ${formatTemp(profile.batteryWarnC)}°C warning threshold")
+            }
+            return failures
+        }
+
+        private fun formatTemp(tempC: Float): String = String.format(Locale.US, "%.1f", tempC)
     }
 
     private val scope = CoroutineScope(SupervisorJob() + Dispatchers.IO)
     private var testJob: Job? = null
 
+    @Volatile
     private var running = false
     private var startTimeMs = 0L
-    private var durationSec = 300
+    private var durationSec = DEFAULT_DURATION_SEC
+    private var stoppedEarly = false
     private val samples = mutableListOf<TemperatureSample>()
     private var throttleEventCount = 0
+    @Volatile
     private var lastResult: StressTestResult? = null
 
     /**
      * Start a stress test.
      *
-     * @param durationSeconds How long to run (clamped to 60-600 seconds)
+     * @param durationSeconds How long to run (clamped to 60-1800 seconds)
      */
-    fun start(durationSeconds: Int = 300) {
+    fun start(durationSeconds: Int = DEFAULT_DURATION_SEC) {
         if (running) {
             Timber.tag(TAG).w("Stress test already running")
             return
         }
 
         durationSec = durationSeconds.coerceIn(MIN_DURATION_SEC, MAX_DURATION_SEC)
-        samples.clear()
+        synchronized(samples) { samples.clear() }
+        stoppedEarly = false
         throttleEventCount = 0
         lastResult = null
         running = true
@@ -72,13 +126,15 @@ class ThermalStressTest(
                 val cpuTemp = monitor.cpuTemperature.value
                 val batteryTemp = monitor.batteryTemperature.value
 
-                samples.add(
-                    TemperatureSample(
-                        elapsedSec = elapsed,
-                        cpuTempC = cpuTemp,
-                        batteryTempC = batteryTemp
+                synchronized(samples) {
+                    samples.add(
+                        TemperatureSample(
+                            elapsedSec = elapsed,
+                            cpuTempC = cpuTemp,
+                            batteryTempC = batteryTemp
+                        )
                     )
-                )
+                }
 
                 // Count throttle events from governor status
                 val status = governor.status.value
@@ -102,6 +158,7 @@ class ThermalStressTest(
         Timber.tag(TAG).i("Stopping stress test early")
         testJob?.cancel()
         testJob = null
+        stoppedEarly = true
         finishTest()
     }
 
@@ -118,6 +175,16 @@ class ThermalStressTest(
         return ((System.currentTimeMillis() - startTimeMs) / 1000).toInt()
     }
 
+    /**
+     * Get the requested duration of the current or last test.
+     */
+    fun getDurationSeconds(): Int = durationSec
+
+    /**
+     * Get the samples recorded so far, for plotting a run in progress.
+     */
+    fun getSamples(): List<TemperatureSample> = synchronized(samples) { samples.toList() }
+
     /**
      * Get the result of the last completed stress test, or null if none.
      */
@@ -137,35 +204,48 @@ class ThermalStressTest(
         running = false
         val actualDuration = ((System.currentTimeMillis() - startTimeMs) / 1000).toInt()
 
-        if (samples.isEmpty()) {
+        val curve = getSamples()
+        if (curve.isEmpty()) {
             Timber.tag(TAG).w("Stress test finished with no samples")
             return
         }
 
-        val cpuTemps = samples.map { it.cpuTempC }
-        val batteryTemps = samples.map { it.batteryTempC }
+        val cpuTemps = curve.map { it.cpuTempC }
+        val batteryTemps = curve.map { it.batteryTempC }
 
         val peakCpu = cpuTemps.maxOrNull() ?: 0f
         val peakBattery = batteryTemps.maxOrNull() ?: 0f
         val avgCpu = cpuTemps.average().toFloat()
         val avgBattery = batteryTemps.average().toFloat()
+        val steadyCpu = steadyStateTemp(cpuTemps)
+        val steadyBattery = steadyStateTemp(batteryTemps)
 
+        val testedProfile = governor.profileManager.getActiveProfile()
+        val failures = checkAgainstProfile(peakCpu, steadyCpu, peakBattery, steadyBattery, testedProfile)
         val recommendedProfile = generateRecommendedProfile(peakCpu, peakBattery, avgCpu)
 
         lastResult = StressTestResult(
             durationSeconds = actualDuration,
+            requestedDurationSeconds = durationSec,
+            completed = !stoppedEarly,
             peakCpuTempC = peakCpu,
             peakBatteryTempC = peakBattery,
             avgCpuTempC = avgCpu,
             avgBatteryTempC = avgBattery,
+            steadyCpuTempC = steadyCpu,
+            steadyBatteryTempC = steadyBattery,
             throttleEvents = throttleEventCount,
-            temperatureCurve = samples.toList(),
+            temperatureCurve = curve,
+            testedProfile = testedProfile,
+            passed = failures.isEmpty(),
+            failures = failures,
             recommendedProfile = recommendedProfile
         )
 
         Timber.tag(TAG).i(
             "Stress test complete: ${actualDuration}s, peak CPU=${peakCpu}°C, " +
-            "peak battery=${peakBattery}°C, throttle events=$throttleEventCount"
+            "peak battery=${peakBattery}°C, throttle events=$throttleEventCount, " +
+            "passed=${failures.isEmpty()}"
         )
     }
 
@@ -267,11 +347,20 @@ data class TemperatureSample(
  */
 data class StressTestResult(
     val durationSeconds: Int,
+    val requestedDurationSeconds: Int,
+    /** False if the test was stopped before its requested duration */
+    val completed: Boolean,
     val peakCpuTempC: Float,
     val peakBatteryTempC: Float,
     val avgCpuTempC: Float,
     val avgBatteryTempC: Float,
+    val steadyCpuTempC: Float,
+    val steadyBatteryTempC: Float,
     val throttleEvents: Int,
     val temperatureCurve: List<TemperatureSample>,
+    /** Profile whose warning thresholds the run was judged against */
+    val testedProfile: ThermalProfile,
+    val passed: Boolean,
+    val failures: List<String>,
     val recommendedProfile: ThermalProfile
 )
@@ -3,12 +3,18 @@ package com.lensdaemon.web
 import android.content.Context
 import android.os.Build
 import com.lensdaemon.camera.CameraService
+import com.lensdaemon.camera.FocusMode
 import com.lensdaemon.camera.LensType
+import com.lensdaemon.config.ConfigManager
+import com.lensdaemon.config.StreamConfig
 import com.lensdaemon.director.DirectorManager
 import com.lensdaemon.encoder.EncoderState
+import com.lensdaemon.encoder.VideoCodec
+import com.lensdaemon.encoder.VideoEncoder
 import com.lensdaemon.kiosk.KioskManager
 import com.lensdaemon.storage.UploadService
 import com.lensdaemon.thermal.ThermalGovernor
+import com.lensdaemon.thermal.ThermalStressTest
 import com.lensdaemon.web.handlers.DirectorApiHandler
 import com.lensdaemon.web.handlers.KioskApiHandler
 import com.lensdaemon.web.handlers.StreamApiHandler
@@ -43,6 +49,9 @@ class ApiRoutes(
         private const val DEFAULT_PREVIEW_WIDTH = 1920
         private const val DEFAULT_PREVIEW_HEIGHT = 1080
 
+        // Zoom ratios are relative to each lens; every lens starts at 1x
+        private const val LENS_MIN_ZOOM = 1.0f
+
         // HTTP 429 Too Many Requests (not in NanoHTTPD's Status enum)
         private val TOO_MANY_REQUESTS = object : NanoHTTPD.Response.IStatus {
             override fun getRequestStatus() = 429
@@ -75,6 +84,12 @@ class ApiRoutes(
             thermalHandler.thermalGovernor = value
         }
 
+    var thermalStressTest: ThermalStressTest? = null
+        set(value) {
+            field = value
+            thermalHandler.stressTest = value
+        }
+
     var kioskManager: KioskManager? = null
         set(value) {
             field = value
@@ -103,6 +118,9 @@ class ApiRoutes(
     private val kioskHandler = KioskApiHandler()
     private val directorHandler = DirectorApiHandler(context)
 
+    // Persisted stream settings used to pre-fill the dashboard form
+    private val configManager by lazy { ConfigManager.getInstance(context) }
+
     /**
      * Check API authentication.
      * Returns an error response if auth fails, null if auth passes.
@@ -184,7 +202,7 @@ class ApiRoutes(
             uri.startsWith("/api/mpegts/") ||
             uri.startsWith("/api/recording/") || uri.startsWith("/api/recordings") ||
             uri.startsWith("/api/storage/") -> {
-                streamHandler.handleRequest(uri, method, body)?.let { return it }
+                streamHandler.handleRequest(uri, method, body, session.headers)?.let { return it }
             }
             uri.startsWith("/api/upload/") -> {
                 uploadHandler.handleRequest(uri, method, body)?.let { return it }
@@ -213,6 +231,8 @@ class ApiRoutes(
             // Camera control
             uri == "/api/zoom" && method == NanoHTTPD.Method.POST -> setZoom(body)
             uri == "/api/focus" && method == NanoHTTPD.Method.POST -> triggerFocus(body)
+            uri == "/api/focus" && method == NanoHTTPD.Method.GET -> getFocus()
+            uri == "/api/focus" && method == NanoHTTPD.Method.PUT -> updateFocus(body)
             uri == "/api/exposure" && method == NanoHTTPD.Method.POST -> setExposure(body)
 
             // Snapshot
@@ -264,6 +284,7 @@ class ApiRoutes(
                 val currentLens = camera?.getCurrentLens()?.value
                 put("currentLens", currentLens?.lensType?.name ?: "none")
                 put("zoom", camera?.currentZoom?.value ?: 1.0f)
+                camera?.getZoomRange()?.let { put("zoomRange", zoomRangeJson(it.start, it.endInclusive)) }
             })
 
             // Encoder status
@@ -286,6 +307,36 @@ class ApiRoutes(
                 put("playing", camera?.getRtspPlayingCount() ?: 0)
             })
 
+            // MPEG-TS/UDP status
+            put("mpegts", JSONObject().apply {
+                put("running", camera?.isMpegTsRunning() ?: false)
+                camera?.getMpegTsStats()?.let { stats ->
+                    put("connected", stats.isConnected)
+                    put("mode", stats.mode.name)
+                    put("port", stats.port)
+                    put("remoteAddress", stats.remoteAddress)
+                    put("multicast", stats.multicast)
+                    put("ttl", stats.ttl)
+                    put("packetSize", stats.datagramSize)
+                    put("bytesSent", stats.bytesSent)
+                    put("packetsSent", stats.packetsSent)
+                }
+            })
+
+            // Recording status
+            put("recording", JSONObject().apply {
+                put("active", camera?.isRecording() ?: false)
+                put("paused", camera?.isRecordingPaused() ?: false)
+                val stats = camera?.getRecordingStats()
+                if (stats != null) {
+                    put("state", stats.state.name)
+                    put("currentFile", stats.currentFilePath ?: "")
+                    put("bytesInSegment", stats.bytesInSegment)
+                    put("segmentIndex", stats.segmentIndex)
+                    put("durationSec", stats.durationSec)
+                }
+            })
+
             // Director status
             directorManager?.let { director ->
                 put("director", JSONObject().apply {
@@ -295,16 +346,20 @@ class ApiRoutes(
                     put("currentScene", status.currentScene ?: "")
                     put("currentCue", status.currentCue ?: "")
                     put("currentTake", status.takeNumber)
+                    val session = director.currentSession.value
+                    put("scriptId", session?.script?.id ?: "")
+                    put("sceneIndex", session?.currentSceneIndex ?: -1)
+                    put("cueIndex", session?.currentCueIndex ?: -1)
                     put("stats", JSONObject().apply {
                         val takeManager = director.getTakeManager()
                         val takes = takeManager.recordedTakes.value
-                        val goodTakes = takes.count { it.qualityScore >= 7.0f }
+                        val goodTakes = takes.count { DirectorApiHandler.displayScore(it.qualityScore) >= 7.0 }
                         val avgScore = if (takes.isNotEmpty()) {
                             takes.map { it.qualityScore }.average().toFloat()
                         } else 0f
                         put("totalTakes", takes.size)
                         put("goodTakes", goodTakes)
-                        put("averageScore", avgScore)
+                        put("averageScore", DirectorApiHandler.displayScore(avgScore))
                         put("sessionTime", director.getSessionDuration())
                     })
                 })
@@ -333,23 +388,30 @@ class ApiRoutes(
         val camera = cameraService ?: return serviceUnavailable()
 
         val lensName = uri.substringAfterLast("/")
-        val lensType = when (lensName.lowercase()) {
-            "wide", "ultrawide" -> LensType.WIDE
-            "main", "primary" -> LensType.MAIN
-            "tele", "telephoto", "zoom" -> LensType.TELEPHOTO
-            else -> return NanoHTTPD.newFixedLengthResponse(
-                Status.BAD_REQUEST,
+        // Accept the type names reported by /api/lenses as well as the short aliases
+        val lensType = LensType.entries.find { it.name.equals(lensName, ignoreCase = true) }
+            ?: when (lensName.lowercase()) {
+                "wide", "ultrawide" -> LensType.WIDE
+                "main", "primary" -> LensType.MAIN
+                "tele", "telephoto", "zoom" -> LensType.TELEPHOTO
+                else -> return badRequest("Unknown lens type: $lensName")
+            }
+
+        val lens = camera.getAvailableLenses().find { it.lensType == lensType }
+            ?: return NanoHTTPD.newFixedLengthResponse(
+                Status.NOT_FOUND,
                 WebServer.MIME_JSON,
-                """{"error": "Unknown lens type: $lensName"}"""
+                """{"error": "Lens not available on this device: ${lensType.name}"}"""
             )
-        }
 
         camera.switchLens(lensType)
 
-        return NanoHTTPD.newFixedLengthResponse(
-            Status.OK, WebServer.MIME_JSON,
-            """{"success": true, "lens": "${lensType.name}"}"""
-        )
+        val json = JSONObject().apply {
+            put("success", true)
+            put("lens", lensType.name)
+            put("zoomRange", zoomRangeJson(LENS_MIN_ZOOM, lens.maxZoom))
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
     private fun getLenses(): NanoHTTPD.Response {
@@ -360,14 +422,19 @@ class ApiRoutes(
 
         val json = JSONObject().apply {
             put("current", currentLens?.lensType?.name ?: "none")
+            put("zoom", camera.currentZoom.value.toDouble())
+            put("zoomRange", camera.getZoomRange().let { zoomRangeJson(it.start, it.endInclusive) })
             put("available", JSONArray().apply {
                 lenses.forEach { lens ->
                     put(JSONObject().apply {
                         put("type", lens.lensType.name)
                         put("displayName", lens.lensType.displayName)
+                        put("zoomFactor", lens.lensType.zoomFactor)
                         put("cameraId", lens.cameraId)
                         put("focalLength", lens.focalLength)
                         put("aperture", lens.aperture)
+                        put("hasOis", lens.hasOis)
+                        put("zoomRange", zoomRangeJson(LENS_MIN_ZOOM, lens.maxZoom))
                     })
                 }
             })
@@ -408,6 +475,54 @@ class ApiRoutes(
         )
     }
 
+    private fun getFocus(): NanoHTTPD.Response {
+        val camera = cameraService ?: return serviceUnavailable()
+
+        val json = JSONObject().apply {
+            put("mode", camera.getConfig().focusMode.name)
+            put("state", camera.focusState.value.name)
+            put("distance", camera.getManualFocusDistance().toDouble())
+            put("tapToFocusSupported", camera.isTapToFocusSupported())
+            put("manualFocusSupported", camera.isManualFocusSupported())
+            put("supportedModes", JSONArray().apply {
+                camera.getSupportedFocusModes().forEach { put(it.name) }
+            })
+        }
+
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
+    }
+
+    /**
+     * Set the focus mode, or a manual focus distance (which implies MANUAL mode).
+     */
+    private fun updateFocus(body: JSONObject?): NanoHTTPD.Response {
+        val camera = cameraService ?: return serviceUnavailable()
+        body ?: return badRequest("Request body required")
+
+        if (body.has("distance")) {
+            val distance = body.optDouble("distance", Double.NaN)
+            if (distance.isNaN() || distance < 0.0 || distance > 1.0) {
+                return badRequest("distance must be between 0.0 and 1.0")
+            }
+            if (!camera.setManualFocusDistance(distance.toFloat())) {
+                return badRequest("Manual focus not supported by current lens")
+            }
+        } else if (body.has("mode")) {
+            val mode = FocusMode.entries.find { it.name == body.optString("mode").uppercase() }
+                ?: return badRequest("Unknown focus mode")
+            if (!camera.setFocusMode(mode)) {
+                return badRequest("Focus mode ${mode.name} not supported by current lens")
+            }
+        } else {
+            return badRequest("mode or distance required")
+        }
+
+        return NanoHTTPD.newFixedLengthResponse(
+            Status.OK, WebServer.MIME_JSON,
+            """{"success": true, "mode": "${camera.getConfig().focusMode.name}"}"""
+        )
+    }
+
     private fun setExposure(body: JSONObject?): NanoHTTPD.Response {
         val camera = cameraService ?: return serviceUnavailable()
 
@@ -462,6 +577,19 @@ class ApiRoutes(
                     put("keyframeInterval", encoderConfig.keyframeIntervalSec)
                 }
             })
+            put("stream", JSONObject().apply {
+                val stream = configManager.streamConfig
+                val (width, height) = parseResolution(stream.resolution) ?: (1920 to 1080)
+                put("width", width)
+                put("height", height)
+                put("frameRate", stream.framerate)
+                put("bitrate", stream.bitrate)
+                put("codec", stream.codec.uppercase())
+                put("keyframeInterval", stream.keyframeInterval)
+                put("bitrateMode", stream.bitrateMode.uppercase())
+                put("profile", stream.profile.uppercase())
+                put("rtspPort", stream.rtspPort)
+            })
             put("camera", JSONObject().apply {
                 put("resolution", "${captureConfig.resolution.width}x${captureConfig.resolution.height}")
                 put("focusMode", captureConfig.focusMode.name)
@@ -483,6 +611,13 @@ class ApiRoutes(
             """{"error": "Request body required"}"""
         )
 
+        // Saved stream settings are validated first so a bad request changes nothing
+        body.optJSONObject("stream")?.let { stream ->
+            val updated = mergeStreamConfig(configManager.streamConfig, stream)
+            validateStreamConfig(updated)?.let { error -> return badRequest(error) }
+            configManager.updateConfig { it.copy(stream = updated) }
+        }
+
         if (body.has("bitrate")) {
             camera.updateEncoderBitrate(body.optInt("bitrate", 0))
         }
@@ -501,11 +636,73 @@ class ApiRoutes(
 
     // ==================== Encoder ====================
 
+    /**
+     * Apply a partial "stream" object from PUT /api/config on top of the saved settings.
+     */
+    private fun mergeStreamConfig(current: StreamConfig, stream: JSONObject): StreamConfig {
+        val resolution = if (stream.has("width") && stream.has("height")) {
+            "${stream.optInt("width")}x${stream.optInt("height")}"
+        } else {
+            current.resolution
+        }
+        return current.copy(
+            resolution = resolution,
+            framerate = stream.optInt("frameRate", current.framerate),
+            bitrate = stream.optInt("bitrate", current.bitrate),
+            codec = stream.optString("codec", current.codec).lowercase(),
+            keyframeInterval = stream.optInt("keyframeInterval", current.keyframeInterval),
+            bitrateMode = stream.optString("bitrateMode", current.bitrateMode).lowercase(),
+            profile = stream.optString("profile", current.profile).lowercase(),
+            rtspPort = stream.optInt("rtspPort", current.rtspPort)
+        )
+    }
+
+    /**
+     * Check stream settings against what this device's encoders can do.
+     * Returns an error message, or null if the settings are usable.
+     */
+    private fun validateStreamConfig(config: StreamConfig): String? {
+        val codec = VideoCodec.entries.find { it.name.equals(config.codec, ignoreCase = true) }
+            ?: return "Unknown codec: ${config.codec}"
+        val caps = VideoEncoder.getCapabilities(codec)
+            ?: return "${codec.name} encoding not supported on this device"
+        val (width, height) = parseResolution(config.resolution)
+            ?: return "Invalid resolution: ${config.resolution}"
+
+        return when {
+            !caps.supports(width, height, config.framerate) ->
+                "${codec.name} cannot encode ${width}x$height at ${config.framerate} fps on this device"
+            config.bitrate !in caps.bitrateRange ->
+                "Bitrate must be between ${caps.bitrateRange.first} and ${caps.bitrateRange.last} bps"
+            caps.supportedBitrateModes.none { it.name.equals(config.bitrateMode, ignoreCase = true) } ->
+                "Bitrate mode ${config.bitrateMode.uppercase()} not supported by ${codec.name} encoder"
+            caps.supportedProfileNames.isNotEmpty() &&
+                caps.supportedProfileNames.none { it.equals(config.profile, ignoreCase = true) } ->
+                "Profile ${config.profile.uppercase()} not supported by ${codec.name} encoder"
+            config.keyframeInterval !in 1..10 ->
+                "Keyframe interval must be between 1 and 10 seconds"
+            config.rtspPort !in 1024..65535 ->
+                "RTSP port must be between 1024 and 65535"
+            else -> null
+        }
+    }
+
+    private fun parseResolution(resolution: String): Pair<Int, Int>? {
+        val parts = resolution.split("x")
+        val width = parts.getOrNull(0)?.toIntOrNull() ?: return null
+        val height = parts.getOrNull(1)?.toIntOrNull() ?: return null
+        return width to height
+    }
+
+    /**
+     * Report encoder capabilities. The top-level lists are the options the
+     * dashboard offers; "encoders" narrows them to what each codec supports here.
+     */
     private fun getEncoderCapabilities(): NanoHTTPD.Response {
+        val encoders = VideoCodec.entries.mapNotNull { VideoEncoder.getCapabilities(it) }
         val json = JSONObject().apply {
             put("codecs", JSONArray().apply {
-                put("H264")
-                put("H265")
+                encoders.forEach { put(it.codec.name) }
             })
             put("resolutions", JSONArray().apply {
                 put(JSONObject().apply { put("name", "720p"); put("width", 1280); put("height", 720) })
@@ -518,6 +715,29 @@ class ApiRoutes(
                 put("min", 500000)
                 put("max", 20000000)
             })
+            put("encoders", JSONObject().apply {
+                encoders.forEach { caps ->
+                    put(caps.codec.name, JSONObject().apply {
+                        put("name", caps.codecName)
+                        put("hardware", caps.isHardwareAccelerated)
+                        put("bitrateRange", JSONObject().apply {
+                            put("min", caps.bitrateRange.first)
+                            put("max", caps.bitrateRange.last)
+                        })
+                        put("bitrateModes", JSONArray(caps.supportedBitrateModes.map { it.name }))
+                        put("profiles", JSONArray(caps.supportedProfileNames))
+                        put("modes", JSONArray().apply {
+                            caps.frameRatesBySize.forEach { (size, rates) ->
+                                put(JSONObject().apply {
+                                    put("width", size.width)
+                                    put("height", size.height)
+                                    put("frameRates", JSONArray(rates))
+                                })
+                            }
+                        })
+                    })
+                }
+            })
         }
 
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
@@ -532,4 +752,19 @@ class ApiRoutes(
             """{"error": "Camera service not available"}"""
         )
     }
+
+    private fun zoomRangeJson(min: Float, max: Float): JSONObject {
+        return JSONObject().apply {
+            put("min", min.toDouble())
+            put("max", max.toDouble())
+        }
+    }
+
+    private fun badRequest(message: String): NanoHTTPD.Response {
+        return NanoHTTPD.newFixedLengthResponse(
+            Status.BAD_REQUEST,
+            WebServer.MIME_JSON,
+            """{"error": "$message"}"""
+        )
+    }
 }
@@ -143,6 +143,7 @@ class WebServerService : Service() {
 
             // Connect thermal governor to API routes
             apiRoutes?.thermalGovernor = thermalService?.getGovernor()
+            apiRoutes?.thermalStressTest = thermalService?.getStressTest()
 
             Timber.i("$TAG: ThermalService connected")
         }
@@ -151,6 +152,7 @@ class WebServerService : Service() {
             thermalService = null
             thermalBound = false
             apiRoutes?.thermalGovernor = null
+            apiRoutes?.thermalStressTest = null
             Timber.i("$TAG: ThermalService disconnected")
         }
     }
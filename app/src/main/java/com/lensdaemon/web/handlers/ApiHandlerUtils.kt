@@ -4,6 +4,7 @@ import com.lensdaemon.web.WebServer
 import fi.iki.elonen.NanoHTTPD
 import fi.iki.elonen.NanoHTTPD.Response.Status
 import java.io.File
+import java.io.InputStream
 
 /**
  * Shared utilities for API route handlers.
@@ -35,6 +36,52 @@ object ApiHandlerUtils {
                file.canonicalPath == directory.canonicalPath
     }
 
+    /**
+     * Parse a single-range HTTP Range header ("bytes=start-end", "bytes=start-"
+     * or "bytes=-suffix") against a resource of [length] bytes.
+     * Returns the inclusive byte range, or null if the header is absent,
+     * malformed, multi-range or unsatisfiable.
+     */
+    fun parseByteRange(header: String?, length: Long): LongRange? {
+        if (header.isNullOrBlank() || length <= 0) return null
+        val spec = header.trim()
+        if (!spec.startsWith("bytes=") || spec.contains(",")) return null
+        val parts = spec.removePrefix("bytes=").split("-", limit = 2)
+        if (parts.size != 2) return null
+        val startStr = parts[0].trim()
+        val endStr = parts[1].trim()
+
+        if (startStr.isEmpty()) {
+            val suffix = endStr.toLongOrNull() ?: return null
+            if (suffix <= 0) return null
+            return maxOf(0L, length - suffix) until length
+        }
+
+        val start = startStr.toLongOrNull() ?: return null
+        val end = if (endStr.isEmpty()) length - 1 else endStr.toLongOrNull() ?: return null
+        if (start < 0 || start >= length || end < start) return null
+        return start..minOf(end, length - 1)
+    }
+
+    /**
+     * Skip exactly [count] bytes of [input]; InputStream.skip may skip fewer.
+     * Returns false if the stream ends first (e.g. the file shrank).
+     */
+    fun skipFully(input: InputStream, count: Long): Boolean {
+        var remaining = count
+        while (remaining > 0) {
+            val skipped = input.skip(remaining)
+            if (skipped > 0) {
+                remaining -= skipped
+            } else {
+                // skip() returning 0 does not mean end of stream; a read does
+                if (input.read() == -1) return false
+                remaining--
+            }
+        }
+        return true
+    }
+
     fun jsonResponse(status: Status, json: String): NanoHTTPD.Response {
         return NanoHTTPD.newFixedLengthResponse(status, WebServer.MIME_JSON, json)
     }
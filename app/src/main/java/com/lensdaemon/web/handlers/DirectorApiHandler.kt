@@ -4,14 +4,40 @@ import android.content.Context
 import com.lensdaemon.director.DirectorConfig
 import com.lensdaemon.director.DirectorManager
 import com.lensdaemon.director.InferenceMode
+import com.lensdaemon.director.LlmConfig
+import com.lensdaemon.director.RecordedTake
+import com.lensdaemon.director.RemoteLlmClient
 import com.lensdaemon.director.TakeQuality
 import com.lensdaemon.web.WebServer
 import fi.iki.elonen.NanoHTTPD
 import fi.iki.elonen.NanoHTTPD.Response.Status
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.SupervisorJob
+import kotlinx.coroutines.delay
+import kotlinx.coroutines.flow.combine
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.filterIsInstance
+import kotlinx.coroutines.flow.flow
+import kotlinx.coroutines.flow.map
+import kotlinx.coroutines.flow.merge
+import kotlinx.coroutines.launch
+import kotlinx.coroutines.runBlocking
 import org.json.JSONArray
 import org.json.JSONObject
 import timber.log.Timber
+import java.io.ByteArrayInputStream
+import java.io.ByteArrayOutputStream
 import java.io.File
+import java.io.IOException
+import java.io.PipedInputStream
+import java.io.PipedOutputStream
+import java.text.ParseException
+import java.text.SimpleDateFormat
+import java.util.Date
+import java.util.Locale
+import java.util.zip.ZipEntry
+import java.util.zip.ZipOutputStream
 
 /**
  * Handles all /api/director/ routes including script file management and take-recording linking.
@@ -24,6 +50,9 @@ class DirectorApiHandler(
 
     var directorManager: DirectorManager? = null
 
+    // Runs the open /api/director/events streams
+    private val eventScope = CoroutineScope(SupervisorJob() + Dispatchers.IO)
+
     /**
      * Handle a director API request.
      *
@@ -40,6 +69,8 @@ class DirectorApiHandler(
             uri == "/api/director/disable" && method == NanoHTTPD.Method.POST -> disableDirector()
             uri == "/api/director/config" && method == NanoHTTPD.Method.GET -> getDirectorConfig()
             uri == "/api/director/config" && method == NanoHTTPD.Method.PUT -> updateDirectorConfig(body)
+            uri == "/api/director/config/test-llm" && method == NanoHTTPD.Method.POST -> testLlmEndpoint(body)
+            uri == "/api/director/script" && method == NanoHTTPD.Method.GET -> getScriptOutline()
             uri == "/api/director/script" && method == NanoHTTPD.Method.POST -> loadDirectorScript(body)
             uri == "/api/director/start" && method == NanoHTTPD.Method.POST -> startDirector()
             uri == "/api/director/stop" && method == NanoHTTPD.Method.POST -> stopDirector()
@@ -53,7 +84,8 @@ class DirectorApiHandler(
             uri == "/api/director/takes" && method == NanoHTTPD.Method.GET -> getDirectorTakes()
             uri == "/api/director/takes/mark" && method == NanoHTTPD.Method.POST -> markTake(body)
             uri == "/api/director/takes/best" && method == NanoHTTPD.Method.GET -> getBestTakes()
-            uri == "/api/director/takes/compare" && method == NanoHTTPD.Method.GET -> compareTakes()
+            (uri == "/api/director/takes/compare" || uri.startsWith("/api/director/takes/compare/")) &&
+                method == NanoHTTPD.Method.GET -> compareTakes(uri)
             uri == "/api/director/takes/link" && method == NanoHTTPD.Method.POST -> linkTakeToRecording(body)
             uri == "/api/director/takes/markers" && method == NanoHTTPD.Method.GET -> getTakeMarkers()
 
@@ -68,6 +100,7 @@ class DirectorApiHandler(
             uri == "/api/director/scripts" && method == NanoHTTPD.Method.GET -> listScriptFiles()
             uri == "/api/director/scripts/save" && method == NanoHTTPD.Method.POST -> saveScriptFile(body)
             uri == "/api/director/scripts/export" && method == NanoHTTPD.Method.GET -> exportCurrentScript()
+            uri == "/api/director/scripts/export" && method == NanoHTTPD.Method.POST -> exportScriptBundle(body)
             uri == "/api/director/scripts/import" && method == NanoHTTPD.Method.POST -> importScript(body)
 
             // Script file wildcard routes (must be after specific /scripts/ routes)
@@ -115,34 +148,132 @@ class DirectorApiHandler(
 
     private fun getDirectorConfig(): NanoHTTPD.Response {
         val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
-        val status = director.getStatus()
-        val json = JSONObject().apply {
-            put("enabled", status.enabled)
-            put("inferenceMode", status.inferenceMode.name)
-            put("thermalProtectionActive", status.thermalProtectionActive)
+        val json = configJson(director.getConfig()).apply {
+            put("enabled", director.isEnabled())
+            put("thermalProtectionActive", director.getStatus().thermalProtectionActive)
         }
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
+    /**
+     * Partial update: fields missing from the body keep their current values.
+     */
     private fun updateDirectorConfig(body: JSONObject?): NanoHTTPD.Response {
         val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
         body ?: return ApiHandlerUtils.bodyRequired()
-        val enabled = body.optBoolean("enabled", director.isEnabled())
-        val inferenceModeStr = body.optString("inferenceMode", "PRE_PARSED")
-        val inferenceMode = try { InferenceMode.valueOf(inferenceModeStr.uppercase()) } catch (e: Exception) { InferenceMode.PRE_PARSED }
-        val config = DirectorConfig(
-            enabled = enabled, inferenceMode = inferenceMode,
-            autoTakeSeparation = body.optBoolean("autoTakeSeparation", true),
-            qualityScoring = body.optBoolean("qualityScoring", true),
-            thermalAutoDisable = body.optBoolean("thermalAutoDisable", true),
-            thermalThresholdInference = body.optInt("thermalThresholdInference", 50),
-            thermalThresholdDisable = body.optInt("thermalThresholdDisable", 55),
-            defaultTransitionDurationMs = body.optLong("defaultTransitionDurationMs", 1000),
-            defaultHoldDurationMs = body.optLong("defaultHoldDurationMs", 2000)
+        val current = director.getConfig()
+        val inferenceMode = if (body.has("inferenceMode")) {
+            try {
+                InferenceMode.valueOf(body.optString("inferenceMode").uppercase())
+            } catch (e: IllegalArgumentException) {
+                return ApiHandlerUtils.errorJson(Status.BAD_REQUEST,
+                    "inferenceMode must be one of ${InferenceMode.values().joinToString()}")
+            }
+        } else current.inferenceMode
+        val config = current.copy(
+            enabled = body.optBoolean("enabled", director.isEnabled()),
+            inferenceMode = inferenceMode,
+            llmConfig = mergeLlmConfig(current.llmConfig, body.optJSONObject("llmConfig")),
+            autoTakeSeparation = body.optBoolean("autoTakeSeparation", current.autoTakeSeparation),
+            qualityScoring = body.optBoolean("qualityScoring", current.qualityScoring),
+            thermalAutoDisable = body.optBoolean("thermalAutoDisable", current.thermalAutoDisable),
+            thermalThresholdInference = body.optInt("thermalThresholdInference", current.thermalThresholdInference),
+            thermalThresholdDisable = body.optInt("thermalThresholdDisable", current.thermalThresholdDisable),
+            thermalThresholdResume = body.optInt("thermalThresholdResume", current.thermalThresholdResume),
+            defaultTransitionDurationMs = body.optLong("defaultTransitionDurationMs", current.defaultTransitionDurationMs),
+            defaultHoldDurationMs = body.optLong("defaultHoldDurationMs", current.defaultHoldDurationMs)
         )
+
+        val errors = config.validate()
+        if (errors.isNotEmpty()) {
+            val json = JSONObject().apply {
+                put("success", false)
+                put("error", errors.first())
+                put("errors", JSONArray(errors))
+            }
+            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, json.toString())
+        }
+
         director.updateConfig(config)
-        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON,
-            """{"success": true, "message": "Director configuration updated"}""")
+        val json = JSONObject().apply {
+            put("success", true)
+            put("message", "Director configuration updated")
+            put("config", configJson(config))
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
+    }
+
+    /**
+     * Send a short prompt to the LLM endpoint. Settings in the body override
+     * the saved ones so the dialog can test before saving.
+     */
+    private fun testLlmEndpoint(body: JSONObject?): NanoHTTPD.Response {
+        val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
+        val llmConfig = mergeLlmConfig(director.getConfig().llmConfig, body?.optJSONObject("llmConfig"))
+        val endpoint = llmConfig.endpoint.ifEmpty { RemoteLlmClient.DEFAULT_ENDPOINT }
+        RemoteLlmClient.checkEndpoint(endpoint).exceptionOrNull()?.let { error ->
+            val json = JSONObject().apply {
+                put("success", false)
+                put("error", error.message ?: "Invalid LLM endpoint")
+            }
+            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, json.toString())
+        }
+
+        val client = RemoteLlmClient(llmConfig)
+        val result = try {
+            runBlocking { client.testConnection() }
+        } finally {
+            client.destroy()
+        }
+        val json = JSONObject().apply {
+            put("endpoint", endpoint)
+            put("model", llmConfig.model)
+            if (result.isSuccess) {
+                put("success", true)
+                put("message", result.getOrNull())
+            } else {
+                Timber.tag(TAG).w("LLM endpoint test failed: ${result.exceptionOrNull()?.message}")
+                put("success", false)
+                put("error", result.exceptionOrNull()?.message ?: "Connection failed")
+            }
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
+    }
+
+    /**
+     * The API key is write-only: omitting it keeps the saved key and an empty
+     * string clears it.
+     */
+    private fun mergeLlmConfig(current: LlmConfig, json: JSONObject?): LlmConfig {
+        json ?: return current
+        return current.copy(
+            endpoint = json.optString("endpoint", current.endpoint).trim(),
+            apiKey = if (json.has("apiKey")) json.optString("apiKey").trim() else current.apiKey,
+            model = json.optString("model", current.model).trim(),
+            maxTokens = json.optInt("maxTokens", current.maxTokens),
+            temperature = json.optDouble("temperature", current.temperature.toDouble()).toFloat()
+        )
+    }
+
+    /** Configuration as returned by the API; the API key is reported only as set or not */
+    private fun configJson(config: DirectorConfig): JSONObject = JSONObject().apply {
+        put("enabled", config.enabled)
+        put("inferenceMode", config.inferenceMode.name)
+        put("autoTakeSeparation", config.autoTakeSeparation)
+        put("qualityScoring", config.qualityScoring)
+        put("thermalAutoDisable", config.thermalAutoDisable)
+        put("thermalThresholdInference", config.thermalThresholdInference)
+        put("thermalThresholdDisable", config.thermalThresholdDisable)
+        put("thermalThresholdResume", config.thermalThresholdResume)
+        put("defaultTransitionDurationMs", config.defaultTransitionDurationMs)
+        put("defaultHoldDurationMs", config.defaultHoldDurationMs)
+        put("llmConfig", JSONObject().apply {
+            put("endpoint", config.llmConfig.endpoint)
+            put("model", config.llmConfig.model)
+            put("maxTokens", config.llmConfig.maxTokens)
+            put("temperature", config.llmConfig.temperature.toDouble())
+            put("apiKeySet", config.llmConfig.apiKey.isNotEmpty())
+        })
     }
 
     private fun loadDirectorScript(body: JSONObject?): NanoHTTPD.Response {
@@ -162,11 +293,17 @@ class DirectorApiHandler(
                 put("totalCues", script.totalCues)
                 put("estimatedDuration", script.estimatedDurationFormatted)
                 put("errors", JSONArray().apply { script.errors.forEach { put(it) } })
+                put("warnings", JSONArray(script.warnings))
             }
             NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
         } else {
-            Timber.tag(TAG).w("Script load failed: ${result.exceptionOrNull()?.message}")
-            NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"success": false, "error": "Failed to parse script"}""")
+            val reason = result.exceptionOrNull()?.message
+            Timber.tag(TAG).w("Script load failed: $reason")
+            val json = JSONObject().apply {
+                put("success", false)
+                put("error", "Failed to parse script" + (reason?.let { ": $it" } ?: ""))
+            }
+            NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, json.toString())
         }
     }
 
@@ -232,14 +369,25 @@ class DirectorApiHandler(
     private fun jumpToScene(body: JSONObject?): NanoHTTPD.Response {
         val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
         body ?: return ApiHandlerUtils.bodyRequired()
-        val sceneIndex = body.optInt("sceneIndex", -1)
+        val sceneIndex = body.optInt("index", body.optInt("sceneIndex", -1))
         if (sceneIndex < 0) {
-            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "sceneIndex is required and must be >= 0"}""")
+            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "index is required and must be >= 0"}""")
         }
-        val success = director.jumpToScene(sceneIndex)
-        return NanoHTTPD.newFixedLengthResponse(
-            if (success) Status.OK else Status.BAD_REQUEST, WebServer.MIME_JSON,
-            """{"success": $success, "sceneIndex": $sceneIndex}""")
+        if (!director.jumpToScene(sceneIndex)) {
+            val json = JSONObject().apply {
+                put("success", false)
+                put("error", if (director.currentSession.value == null) "No script loaded" else "No scene at index $sceneIndex")
+                put("sceneIndex", sceneIndex)
+            }
+            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, json.toString())
+        }
+        val json = JSONObject().apply {
+            put("success", true)
+            put("scene", director.currentSession.value?.currentScene?.label ?: "")
+            put("sceneIndex", sceneIndex)
+            put("cueIndex", 0)
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
     // ---- Takes ----
@@ -249,33 +397,10 @@ class DirectorApiHandler(
         val takeManager = director.getTakeManager()
         val takes = takeManager.recordedTakes.value
         val json = JSONObject().apply {
+            put("success", true)
             put("count", takes.size)
             put("takes", JSONArray().apply {
-                takes.forEach { take ->
-                    put(JSONObject().apply {
-                        put("takeNumber", take.takeNumber)
-                        put("sceneId", take.sceneId)
-                        put("sceneLabel", take.sceneLabel)
-                        put("startTimeMs", take.startTimeMs)
-                        put("endTimeMs", take.endTimeMs)
-                        put("durationMs", take.durationMs)
-                        put("durationFormatted", take.durationFormatted)
-                        put("filePath", take.filePath ?: "")
-                        put("qualityScore", take.qualityScore)
-                        put("qualityFactors", JSONObject().apply {
-                            put("focusLockPercent", take.qualityFactors.focusLockPercent)
-                            put("exposureStability", take.qualityFactors.exposureStability)
-                            put("motionStability", take.qualityFactors.motionStability)
-                            put("audioLevelOk", take.qualityFactors.audioLevelOk)
-                            put("cueTimingAccuracy", take.qualityFactors.cueTimingAccuracy)
-                        })
-                        put("cuesExecuted", take.cuesExecuted)
-                        put("cuesFailed", take.cuesFailed)
-                        put("manualMark", take.manualMark.name)
-                        put("suggested", take.suggested)
-                        put("notes", take.notes)
-                    })
-                }
+                takes.forEach { take -> put(takeJson(take)) }
             })
         }
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
@@ -285,18 +410,25 @@ class DirectorApiHandler(
         val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
         body ?: return ApiHandlerUtils.bodyRequired()
         val takeNumber = body.optInt("takeNumber", -1)
-        val qualityStr = body.optString("quality", "")
-        val notes = body.optString("notes", "")
+        // "quality" is the original field name; "mark" matches the takes list
+        val qualityStr = body.optString("mark", body.optString("quality", ""))
         if (takeNumber < 0) {
             return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "takeNumber is required"}""")
         }
         val quality = try { TakeQuality.valueOf(qualityStr.uppercase()) } catch (e: Exception) {
             return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "Invalid quality. Use: UNMARKED, GOOD, BAD, CIRCLE, HOLD"}""")
         }
-        val success = director.getTakeManager().markTake(takeNumber, quality, notes)
+        val takeManager = director.getTakeManager()
+        // Keep existing notes unless the caller sends new ones
+        val notes = if (body.has("notes")) {
+            body.optString("notes", "")
+        } else {
+            takeManager.recordedTakes.value.find { it.takeNumber == takeNumber }?.notes ?: ""
+        }
+        val success = takeManager.markTake(takeNumber, quality, notes)
         return NanoHTTPD.newFixedLengthResponse(
             if (success) Status.OK else Status.NOT_FOUND, WebServer.MIME_JSON,
-            """{"success": $success, "takeNumber": $takeNumber, "quality": "${quality.name}"}""")
+            """{"success": $success, "takeNumber": $takeNumber, "quality": "${quality.name}", "mark": "${quality.name}"}""")
     }
 
     private fun getBestTakes(): NanoHTTPD.Response {
@@ -304,14 +436,17 @@ class DirectorApiHandler(
         val takeManager = director.getTakeManager()
         val bestTakes = takeManager.getAllBestTakes()
         val json = JSONObject().apply {
+            put("success", true)
             put("count", bestTakes.size)
             put("bestTakes", JSONObject().apply {
                 bestTakes.forEach { (sceneId, take) ->
                     put(sceneId, JSONObject().apply {
                         put("takeNumber", take.takeNumber)
+                        put("sceneId", take.sceneId)
                         put("sceneLabel", take.sceneLabel)
-                        put("qualityScore", take.qualityScore)
+                        put("qualityScore", displayScore(take.qualityScore))
                         put("durationFormatted", take.durationFormatted)
+                        put("mark", take.manualMark.name)
                     })
                 }
             })
@@ -319,40 +454,104 @@ class DirectorApiHandler(
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
-    private fun compareTakes(): NanoHTTPD.Response {
+    /**
+     * Rank the takes of one scene. Without a scene ID in the path the
+     * session's current scene is used.
+     */
+    private fun compareTakes(uri: String): NanoHTTPD.Response {
         val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
-        val session = director.currentSession.value
-        if (session == null) {
-            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "No active session"}""")
-        }
-        val currentScene = session.currentScene
-        if (currentScene == null) {
-            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "No current scene"}""")
+        val requestedId = uri.removePrefix("/api/director/takes/compare").removePrefix("/")
+        val sceneId: String
+        val sceneLabel: String
+        if (requestedId.isNotEmpty()) {
+            val takes = director.getTakeManager().getTakesForScene(requestedId)
+            val scene = director.currentSession.value?.script?.scenes?.find { it.id == requestedId }
+            if (takes.isEmpty() && scene == null) {
+                return ApiHandlerUtils.errorJson(Status.NOT_FOUND, "Unknown scene")
+            }
+            sceneId = requestedId
+            sceneLabel = scene?.label ?: takes.first().sceneLabel
+        } else {
+            val session = director.currentSession.value
+            if (session == null) {
+                return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "No active session"}""")
+            }
+            val currentScene = session.currentScene
+            if (currentScene == null) {
+                return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "No current scene"}""")
+            }
+            sceneId = currentScene.id
+            sceneLabel = currentScene.label
         }
-        val comparison = director.getTakeManager().compareTakes(currentScene.id)
+        val comparison = director.getTakeManager().compareTakes(sceneId)
         val json = JSONObject().apply {
-            put("sceneId", currentScene.id)
-            put("sceneLabel", currentScene.label)
+            put("success", true)
+            put("sceneId", sceneId)
+            put("sceneLabel", sceneLabel)
             put("recommendation", comparison.recommendation)
             put("bestTake", if (comparison.bestTake != null) {
                 JSONObject().apply {
                     put("takeNumber", comparison.bestTake.takeNumber)
-                    put("qualityScore", comparison.bestTake.qualityScore)
+                    put("qualityScore", displayScore(comparison.bestTake.qualityScore))
                 }
             } else null)
             put("rankings", JSONArray().apply {
                 comparison.rankings.forEach { (take, rank) ->
-                    put(JSONObject().apply {
-                        put("rank", rank)
-                        put("takeNumber", take.takeNumber)
-                        put("qualityScore", take.qualityScore)
-                    })
+                    put(takeJson(take).apply { put("rank", rank) })
                 }
             })
         }
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
+    /**
+     * Serialize a take. Scores and factors are reported on a 0-10 scale; the raw
+     * factors are kept under qualityFactors.
+     */
+    private fun takeJson(take: RecordedTake): JSONObject = JSONObject().apply {
+        put("takeNumber", take.takeNumber)
+        put("sceneId", take.sceneId)
+        put("sceneLabel", take.sceneLabel)
+        put("startTimeMs", take.startTimeMs)
+        put("endTimeMs", take.endTimeMs)
+        put("durationMs", take.durationMs)
+        put("duration", take.durationMs / 1000.0)
+        put("durationFormatted", take.durationFormatted)
+        put("filePath", take.filePath ?: "")
+        put("linkedFile", take.filePath?.let { File(it).name } ?: "")
+        put("recordingStartMs", take.recordingStartMs)
+        put("qualityScore", displayScore(take.qualityScore))
+        put("factors", JSONObject().apply {
+            put("focus", displayScore(take.qualityFactors.focusLockPercent / 100f))
+            put("exposure", displayScore(take.qualityFactors.exposureStability))
+            put("stability", displayScore(take.qualityFactors.motionStability))
+            put("timing", displayScore(take.qualityFactors.cueTimingAccuracy))
+            put("audioOk", take.qualityFactors.audioLevelOk)
+        })
+        put("qualityFactors", JSONObject().apply {
+            put("focusLockPercent", take.qualityFactors.focusLockPercent)
+            put("exposureStability", take.qualityFactors.exposureStability)
+            put("motionStability", take.qualityFactors.motionStability)
+            put("audioLevelOk", take.qualityFactors.audioLevelOk)
+            put("cueTimingAccuracy", take.qualityFactors.cueTimingAccuracy)
+        })
+        put("cuesExecuted", take.cuesExecuted)
+        put("cuesFailed", take.cuesFailed)
+        put("mark", take.manualMark.name)
+        put("manualMark", take.manualMark.name)
+        put("suggested", take.suggested)
+        put("notes", take.notes)
+        put("cueMarkers", JSONArray().apply {
+            take.cueMarkers.forEach { marker ->
+                put(JSONObject().apply {
+                    put("offsetMs", marker.offsetMs)
+                    put("cue", marker.cue)
+                    put("success", marker.success)
+                })
+            }
+        })
+    }
+
     private fun linkTakeToRecording(body: JSONObject?): NanoHTTPD.Response {
         val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
         body ?: return ApiHandlerUtils.bodyRequired()
@@ -361,9 +560,21 @@ class DirectorApiHandler(
         if (takeNumber < 0 || filePath.isEmpty()) {
             return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "takeNumber and filePath are required"}""")
         }
-        director.getTakeManager().linkTakeToFile(takeNumber, filePath)
-        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON,
-            """{"success": true, "takeNumber": $takeNumber, "filePath": "$filePath"}""")
+        // An explicit start wins; otherwise use the time in the recorder's file name
+        val recordingStartMs = body.optLong("recordingStartMs", 0).takeIf { it > 0 }
+            ?: recordingStartFromName(File(filePath).name)
+            ?: 0L
+        if (!director.getTakeManager().linkTakeToFile(takeNumber, filePath, recordingStartMs)) {
+            return ApiHandlerUtils.errorJson(Status.NOT_FOUND, "Take not found")
+        }
+        val json = JSONObject().apply {
+            put("success", true)
+            put("takeNumber", takeNumber)
+            put("filePath", filePath)
+            put("linkedFile", File(filePath).name)
+            put("recordingStartMs", recordingStartMs)
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
     private fun getTakeMarkers(): NanoHTTPD.Response {
@@ -378,14 +589,26 @@ class DirectorApiHandler(
                 put("sceneId", take.sceneId)
                 put("sceneLabel", take.sceneLabel)
                 put("timestampMs", take.startTimeMs)
+                put("linkedFile", take.filePath?.let { File(it).name } ?: "")
             })
+            take.cueMarkers.forEach { marker ->
+                markers.add(JSONObject().apply {
+                    put("type", "CUE")
+                    put("takeNumber", take.takeNumber)
+                    put("sceneId", take.sceneId)
+                    put("timestampMs", take.startTimeMs + marker.offsetMs)
+                    put("offsetMs", marker.offsetMs)
+                    put("cueText", marker.cue)
+                    put("cueSuccess", marker.success)
+                })
+            }
             if (take.endTimeMs > 0) {
                 markers.add(JSONObject().apply {
                     put("type", "TAKE_END")
                     put("takeNumber", take.takeNumber)
                     put("sceneId", take.sceneId)
                     put("timestampMs", take.endTimeMs)
-                    put("qualityScore", take.qualityScore)
+                    put("qualityScore", displayScore(take.qualityScore))
                     put("durationMs", take.durationMs)
                 })
             }
@@ -421,32 +644,187 @@ class DirectorApiHandler(
             put("stats", JSONObject().apply {
                 put("totalTakes", stats.totalTakes)
                 put("uniqueScenes", stats.uniqueScenes)
-                put("avgQualityScore", stats.avgQualityScore)
+                put("avgQualityScore", displayScore(stats.avgQualityScore))
                 put("bestTakeCount", stats.bestTakeCount)
                 put("circledTakes", stats.circledTakes)
                 put("totalDuration", stats.totalDurationFormatted)
                 put("cueSuccessRate", stats.cueSuccessRate)
             })
+            putSessionReport(this, director)
         }
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
+    /**
+     * Adds the session report sections: timing, per-scene take counts,
+     * quality distribution, cue success per take and thermal pauses.
+     */
+    private fun putSessionReport(json: JSONObject, director: DirectorManager) {
+        val session = director.currentSession.value
+        val takes = director.getTakeManager().recordedTakes.value
+        val bestTakes = director.getTakeManager().getAllBestTakes()
+
+        json.put("startTimeMs", session?.startTimeMs ?: 0L)
+        json.put("durationSec", director.getSessionDuration())
+
+        // Script scenes first (including those without takes), then any
+        // scenes only known from takes of an earlier script
+        val sceneLabels = LinkedHashMap<String, String>()
+        session?.script?.scenes?.forEach { sceneLabels[it.id] = it.label }
+        takes.forEach { sceneLabels.putIfAbsent(it.sceneId, it.sceneLabel) }
+        json.put("scenes", JSONArray().apply {
+            sceneLabels.forEach { (sceneId, label) ->
+                val sceneTakes = takes.filter { it.sceneId == sceneId }
+                put(JSONObject().apply {
+                    put("sceneId", sceneId)
+                    put("label", label)
+                    put("takes", sceneTakes.size)
+                    put("circled", sceneTakes.count { it.manualMark == TakeQuality.CIRCLE })
+                    put("bestTake", bestTakes[sceneId]?.takeNumber ?: JSONObject.NULL)
+                    put("bestScore", displayScore(sceneTakes.maxOfOrNull { it.qualityScore } ?: 0f))
+                    put("averageScore", displayScore(
+                        if (sceneTakes.isEmpty()) 0f else sceneTakes.map { it.qualityScore }.average().toFloat()
+                    ))
+                })
+            }
+        })
+
+        json.put("qualityDistribution", JSONObject().apply {
+            val scores = takes.map { displayScore(it.qualityScore) }
+            put("excellent", scores.count { it >= 9.0 })
+            put("good", scores.count { it >= 7.0 && it < 9.0 })
+            put("fair", scores.count { it >= 5.0 && it < 7.0 })
+            put("poor", scores.count { it < 5.0 })
+        })
+
+        json.put("cueTimeline", JSONArray().apply {
+            takes.sortedBy { it.startTimeMs }.forEach { take ->
+                val total = take.cuesExecuted + take.cuesFailed
+                put(JSONObject().apply {
+                    put("takeNumber", take.takeNumber)
+                    put("sceneLabel", take.sceneLabel)
+                    put("startTimeMs", take.startTimeMs)
+                    put("executed", take.cuesExecuted)
+                    put("failed", take.cuesFailed)
+                    put("successRate", if (total > 0) take.cuesExecuted.toDouble() / total else JSONObject.NULL)
+                })
+            }
+        })
+
+        json.put("thermalPauses", JSONArray().apply {
+            director.thermalPauses.value.forEach { pause ->
+                put(JSONObject().apply {
+                    put("startTimeMs", pause.startTimeMs)
+                    put("endTimeMs", pause.endTimeMs)
+                    put("durationSec", pause.durationMs / 1000)
+                    put("temperature", pause.temperature)
+                    put("hold", pause.hold)
+                    put("action", pause.action)
+                })
+            }
+        })
+
+        json.put("takes", JSONArray().apply {
+            takes.forEach { put(takeJson(it)) }
+        })
+    }
+
+    /**
+     * Scenes and cues of the loaded script with the current position.
+     */
+    private fun getScriptOutline(): NanoHTTPD.Response {
+        val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
+        val session = director.currentSession.value
+        val json = JSONObject().apply {
+            put("hasScript", session != null)
+            if (session != null) {
+                put("scriptId", session.script.id)
+                put("sceneIndex", session.currentSceneIndex)
+                put("cueIndex", session.currentCueIndex)
+                put("scenes", JSONArray().apply {
+                    session.script.scenes.forEachIndexed { index, scene ->
+                        put(JSONObject().apply {
+                            put("index", index)
+                            put("id", scene.id)
+                            put("label", scene.label)
+                            put("description", scene.description)
+                            put("lineNumber", scene.startLine)
+                            put("cues", JSONArray().apply {
+                                scene.cues.forEachIndexed { cueIndex, cue ->
+                                    put(JSONObject().apply {
+                                        put("index", cueIndex)
+                                        put("type", cue.type.name)
+                                        put("text", cue.rawText)
+                                        put("lineNumber", cue.lineNumber)
+                                    })
+                                }
+                            })
+                        })
+                    }
+                })
+            }
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
+    }
+
+    /**
+     * Keep the connection open and push a state event whenever the director
+     * state or script position changes, and a take event when a take ends.
+     * The stream ends when a write fails, i.e. the client went away.
+     */
     private fun getDirectorEvents(): NanoHTTPD.Response {
         val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
+        val output = PipedOutputStream()
+        val input = PipedInputStream(output, SSE_BUFFER_BYTES)
+
+        val stateEvents = combine(director.state, director.currentSession) { _, _ ->
+            directorStateEvent(director).toString()
+        }.distinctUntilChanged()
+        val takeEvents = director.events
+            .filterIsInstance<DirectorManager.DirectorEvent.TakeEnded>()
+            .map { JSONObject().put("type", "take").toString() }
+        // Comment lines keep proxies from timing out and surface a closed client
+        val keepalive = flow<String?> {
+            while (true) {
+                delay(SSE_KEEPALIVE_MS)
+                emit(null)
+            }
+        }
+
+        eventScope.launch {
+            try {
+                merge(stateEvents, takeEvents, keepalive).collect { data ->
+                    val chunk = if (data != null) "data: $data\n\n" else ": keepalive\n\n"
+                    output.write(chunk.toByteArray())
+                    output.flush()
+                }
+            } catch (e: IOException) {
+                Timber.tag(TAG).d("Director event stream closed")
+            } finally {
+                try { output.close() } catch (e: IOException) { /* already closed */ }
+            }
+        }
+
+        return NanoHTTPD.newChunkedResponse(Status.OK, "text/event-stream", input).apply {
+            addHeader("Cache-Control", "no-cache")
+            addHeader("Connection", "keep-alive")
+            addHeader("Access-Control-Allow-Origin", "*")
+        }
+    }
+
+    private fun directorStateEvent(director: DirectorManager): JSONObject {
         val status = director.getStatus()
-        val initialEvent = JSONObject().apply {
+        val session = director.currentSession.value
+        return JSONObject().apply {
             put("type", "state")
             put("enabled", status.enabled)
             put("state", status.state.name)
             put("currentScene", status.currentScene ?: "")
             put("currentCue", status.currentCue ?: "")
             put("currentTake", status.takeNumber)
-        }
-        val sseData = "data: ${initialEvent.toString()}\n\n"
-        return NanoHTTPD.newFixedLengthResponse(Status.OK, "text/event-stream", sseData).apply {
-            addHeader("Cache-Control", "no-cache")
-            addHeader("Connection", "keep-alive")
-            addHeader("Access-Control-Allow-Origin", "*")
+            put("scriptId", session?.script?.id ?: "")
+            put("sceneIndex", session?.currentSceneIndex ?: -1)
+            put("cueIndex", session?.currentCueIndex ?: -1)
         }
     }
 
@@ -530,6 +908,8 @@ class DirectorApiHandler(
                     val script = loadResult.getOrNull()!!
                     put("scenes", script.scenes.size)
                     put("totalCues", script.totalCues)
+                    put("errors", JSONArray(script.errors))
+                    put("warnings", JSONArray(script.warnings))
                 }
             }
             NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
@@ -572,47 +952,157 @@ class DirectorApiHandler(
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
+    /**
+     * Bundle the requested saved scripts into a single zip download.
+     * Body: {"files": ["a.txt", "b.txt"]}
+     */
+    private fun exportScriptBundle(body: JSONObject?): NanoHTTPD.Response {
+        body ?: return ApiHandlerUtils.bodyRequired()
+        val names = body.optJSONArray("files")
+        if (names == null || names.length() == 0) {
+            return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "files must list at least one script")
+        }
+        val scriptsDir = File(context.filesDir, "director_scripts")
+        val files = (0 until names.length()).map { i ->
+            val fileName = ApiHandlerUtils.sanitizeFileName(names.optString(i))
+                ?: return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "Invalid file name")
+            val file = File(scriptsDir, fileName)
+            if (!ApiHandlerUtils.validateFileInDirectory(file, scriptsDir)) {
+                return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "Invalid file name")
+            }
+            if (!file.isFile) {
+                return ApiHandlerUtils.errorJson(Status.NOT_FOUND, "Script file not found: $fileName")
+            }
+            file
+        }.distinct()
+
+        return try {
+            val bytes = ByteArrayOutputStream()
+            ZipOutputStream(bytes).use { zip ->
+                files.forEach { file ->
+                    zip.putNextEntry(ZipEntry(file.name).apply { time = file.lastModified() })
+                    file.inputStream().use { it.copyTo(zip) }
+                    zip.closeEntry()
+                }
+            }
+            val data = bytes.toByteArray()
+            val stamp = SimpleDateFormat("yyyyMMdd-HHmmss", Locale.US).format(Date())
+            NanoHTTPD.newFixedLengthResponse(Status.OK, "application/zip", ByteArrayInputStream(data), data.size.toLong()).apply {
+                addHeader("Content-Disposition", "attachment; filename=\"director-scripts-$stamp.zip\"")
+            }
+        } catch (e: Exception) {
+            Timber.tag(TAG).e(e, "Failed to export scripts")
+            ApiHandlerUtils.errorJson(Status.INTERNAL_ERROR, "Failed to export scripts")
+        }
+    }
+
+    /**
+     * Import a script. By default it is loaded into the director; with "save" it is also
+     * written to the scripts directory. "load": false saves without touching the session.
+     * "onConflict" decides what happens when the file already exists:
+     * "overwrite" (default), "rename" (adds a -2, -3, ... suffix) or "skip".
+     */
     private fun importScript(body: JSONObject?): NanoHTTPD.Response {
-        val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
         body ?: return ApiHandlerUtils.bodyRequired()
         val scriptText = body.optString("script", "")
         val fileName = body.optString("fileName", "")
         val saveToFile = body.optBoolean("save", false)
+        val loadScript = body.optBoolean("load", true)
+        val onConflict = body.optString("onConflict", "overwrite")
         if (scriptText.isEmpty()) {
             return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "script field is required"}""")
         }
-        val result = director.loadScript(scriptText)
+        if (onConflict !in IMPORT_CONFLICT_POLICIES) {
+            return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "onConflict must be one of: ${IMPORT_CONFLICT_POLICIES.joinToString()}")
+        }
+        if (!loadScript && (!saveToFile || fileName.isEmpty())) {
+            return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "Nothing to do: set load, or save with a fileName")
+        }
+
+        val result = if (loadScript) {
+            val director = directorManager ?: return ApiHandlerUtils.serviceUnavailable("Director service")
+            director.loadScript(scriptText)
+        } else null
+        if (result != null && result.isFailure) {
+            Timber.tag(TAG).w("Script import failed: ${result.exceptionOrNull()?.message}")
+            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"success": false, "error": "Failed to parse script"}""")
+        }
+
         var saved = false
-        if (result.isSuccess && saveToFile && fileName.isNotEmpty()) {
+        var skipped = false
+        var savedFileName: String? = null
+        if (saveToFile && fileName.isNotEmpty()) {
             val safeName = ApiHandlerUtils.sanitizeFileName(fileName)
-            if (safeName != null) {
-                val scriptsDir = File(context.filesDir, "director_scripts")
-                scriptsDir.mkdirs()
-                val actualFileName = if (safeName.endsWith(".txt")) safeName else "$safeName.txt"
-                val file = File(scriptsDir, actualFileName)
-                if (ApiHandlerUtils.validateFileInDirectory(file, scriptsDir)) {
+                ?: return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "Invalid file name")
+            val scriptsDir = File(context.filesDir, "director_scripts")
+            scriptsDir.mkdirs()
+            val baseName = safeName.removeSuffix(".txt").removeSuffix(".fountain")
+            var file = File(scriptsDir, "$baseName.txt")
+            if (!ApiHandlerUtils.validateFileInDirectory(file, scriptsDir)) {
+                return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "Invalid file name")
+            }
+            if (file.exists() && onConflict == "rename") {
+                var suffix = 2
+                while (file.exists()) {
+                    file = File(scriptsDir, "$baseName-${suffix++}.txt")
+                }
+            }
+            if (file.exists() && onConflict == "skip") {
+                skipped = true
+            } else {
+                try {
                     file.writeText(scriptText)
                     saved = true
+                    savedFileName = file.name
+                } catch (e: Exception) {
+                    Timber.tag(TAG).e(e, "Failed to save imported script")
+                    return ApiHandlerUtils.errorJson(Status.INTERNAL_ERROR, "Failed to save script")
                 }
             }
         }
-        return if (result.isSuccess) {
-            val script = result.getOrNull()!!
-            val json = JSONObject().apply {
-                put("success", true)
-                put("message", "Script imported")
+
+        val json = JSONObject().apply {
+            put("success", true)
+            put("message", if (skipped) "Script skipped" else "Script imported")
+            put("loaded", result != null)
+            result?.getOrNull()?.let { script ->
                 put("scenes", script.scenes.size)
                 put("totalCues", script.totalCues)
-                put("saved", saved)
+                put("warnings", JSONArray(script.warnings))
             }
-            NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
-        } else {
-            Timber.tag(TAG).w("Script import failed: ${result.exceptionOrNull()?.message}")
-            NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"success": false, "error": "Failed to parse script"}""")
+            put("saved", saved)
+            put("skipped", skipped)
+            savedFileName?.let { put("fileName", it) }
         }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
     companion object {
         private const val TAG = "DirectorApiHandler"
+        private const val SSE_BUFFER_BYTES = 64 * 1024
+        private const val SSE_KEEPALIVE_MS = 15_000L
+        private val IMPORT_CONFLICT_POLICIES = listOf("overwrite", "rename", "skip")
+
+        /**
+         * TakeManager scores takes from 0 to 1; the API reports them from 0 to 10
+         * with one decimal place.
+         */
+        fun displayScore(score: Float): Double = Math.round(score * 100.0) / 10.0
+
+        private val RECORDING_TIMESTAMP = Regex("""_(\d{8}_\d{6})(_seg\d+)?\.\w+$""")
+
+        /**
+         * Start time FileWriter encodes in a recording's name
+         * (LensDaemon_{device}_{yyyyMMdd_HHmmss}[_segNNN].mp4, device local time),
+         * or null for names without one.
+         */
+        fun recordingStartFromName(name: String): Long? {
+            val stamp = RECORDING_TIMESTAMP.find(name)?.groupValues?.get(1) ?: return null
+            return try {
+                SimpleDateFormat("yyyyMMdd_HHmmss", Locale.US).apply { isLenient = false }.parse(stamp)?.time
+            } catch (e: ParseException) {
+                null
+            }
+        }
     }
 }
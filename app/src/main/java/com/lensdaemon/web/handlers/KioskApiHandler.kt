@@ -71,6 +71,7 @@ class KioskApiHandler(
                 """{"success": false, "error": "Device Owner not set. Run: adb shell dpm set-device-owner com.lensdaemon/.AdminReceiver"}"""
             )
         }
+        kiosk.updateConfig(kiosk.getConfig().copy(enabled = true))
         val json = JSONObject().apply {
             put("success", true)
             put("message", "Kiosk mode will be enabled. Restart app or use the dashboard to activate.")
@@ -203,6 +204,9 @@ class KioskApiHandler(
             networkRecovery = networkRecovery,
             crashRecovery = crashRecovery
         )
+        newConfig.validate()?.let { error ->
+            return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, error)
+        }
         kiosk.updateConfig(newConfig)
         return NanoHTTPD.newFixedLengthResponse(
             Status.OK, WebServer.MIME_JSON,
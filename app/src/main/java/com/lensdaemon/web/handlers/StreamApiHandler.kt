@@ -1,16 +1,25 @@
 package com.lensdaemon.web.handlers
 
+import android.media.MediaMetadataRetriever
 import com.lensdaemon.camera.CameraService
+import com.lensdaemon.encoder.BitrateMode
 import com.lensdaemon.encoder.EncoderConfig
+import com.lensdaemon.encoder.H264Profile
+import com.lensdaemon.encoder.H265Profile
 import com.lensdaemon.encoder.VideoCodec
 import com.lensdaemon.output.SegmentDuration
 import com.lensdaemon.output.MpegTsUdpConfig
 import com.lensdaemon.output.MpegTsMode
+import com.lensdaemon.output.MpegTsUdpPublisher
+import com.lensdaemon.storage.RecordingFile
 import com.lensdaemon.web.WebServer
 import fi.iki.elonen.NanoHTTPD
 import fi.iki.elonen.NanoHTTPD.Response.Status
 import org.json.JSONArray
 import org.json.JSONObject
+import java.io.File
+import java.io.FileInputStream
+import java.util.concurrent.ConcurrentHashMap
 
 /**
  * API handler for stream, RTSP, recording, and storage endpoints.
@@ -20,17 +29,35 @@ import org.json.JSONObject
  * - /api/rtsp/*       - RTSP server control
  * - /api/mpegts/*     - MPEG-TS/UDP publisher control
  * - /api/recording/*  - Local recording control
- * - /api/recordings   - Recording file management
+ * - /api/recordings   - Recording file management and playback
  * - /api/storage/*    - Storage status and cleanup
  */
 class StreamApiHandler {
 
     var cameraService: CameraService? = null
 
+    // Recording metadata keyed by "path:lastModified" so each file is probed once
+    private val videoInfoCache = ConcurrentHashMap<String, VideoInfo>()
+
+    /** Container metadata of a recording; size and frame rate are null when not reported */
+    private data class VideoInfo(
+        val durationSec: Float,
+        val width: Int?,
+        val height: Int?,
+        val frameRate: Float?
+    )
+
     /**
      * Handle request if URI matches. Returns null for unhandled URIs.
+     *
+     * @param headers Request headers (lower-case keys), used for Range requests on recordings
      */
-    fun handleRequest(uri: String, method: NanoHTTPD.Method, body: JSONObject?): NanoHTTPD.Response? {
+    fun handleRequest(
+        uri: String,
+        method: NanoHTTPD.Method,
+        body: JSONObject?,
+        headers: Map<String, String> = emptyMap()
+    ): NanoHTTPD.Response? {
         return when {
             // Stream control
             uri == "/api/stream/start" && method == NanoHTTPD.Method.POST -> startStream(body)
@@ -56,6 +83,7 @@ class StreamApiHandler {
 
             // Recordings management
             uri == "/api/recordings" && method == NanoHTTPD.Method.GET -> listRecordings()
+            uri.startsWith("/api/recordings/") && method == NanoHTTPD.Method.GET -> serveRecording(uri, headers)
             uri.startsWith("/api/recordings/") && method == NanoHTTPD.Method.DELETE -> deleteRecording(uri)
 
             // Storage
@@ -71,19 +99,7 @@ class StreamApiHandler {
     private fun startStream(body: JSONObject?): NanoHTTPD.Response {
         val camera = cameraService ?: return cameraUnavailable()
 
-        val width = body?.optInt("width", 1920) ?: 1920
-        val height = body?.optInt("height", 1080) ?: 1080
-        val bitrate = body?.optInt("bitrate", 4_000_000) ?: 4_000_000
-        val frameRate = body?.optInt("frameRate", 30) ?: 30
-        val codecStr = body?.optString("codec", "H264") ?: "H264"
-        val codec = try { VideoCodec.valueOf(codecStr) } catch (e: Exception) { VideoCodec.H264 }
-
-        val config = EncoderConfig(
-            codec = codec,
-            resolution = android.util.Size(width, height),
-            bitrateBps = bitrate,
-            frameRate = frameRate
-        )
+        val config = parseEncoderConfig(body)
 
         camera.startStreaming(config)
 
@@ -91,11 +107,13 @@ class StreamApiHandler {
             put("success", true)
             put("message", "Streaming started")
             put("config", JSONObject().apply {
-                put("width", width)
-                put("height", height)
-                put("bitrate", bitrate)
-                put("frameRate", frameRate)
-                put("codec", codec.name)
+                put("width", config.width)
+                put("height", config.height)
+                put("bitrate", config.bitrateBps)
+                put("frameRate", config.frameRate)
+                put("codec", config.codec.name)
+                put("keyframeInterval", config.keyframeIntervalSec)
+                put("bitrateMode", config.bitrateMode.name)
             })
         }
 
@@ -149,16 +167,7 @@ class StreamApiHandler {
         val camera = cameraService ?: return cameraUnavailable()
 
         val port = body?.optInt("port", 8554) ?: 8554
-        val width = body?.optInt("width", 1920) ?: 1920
-        val height = body?.optInt("height", 1080) ?: 1080
-        val bitrate = body?.optInt("bitrate", 4_000_000) ?: 4_000_000
-        val frameRate = body?.optInt("frameRate", 30) ?: 30
-
-        val config = EncoderConfig(
-            resolution = android.util.Size(width, height),
-            bitrateBps = bitrate,
-            frameRate = frameRate
-        )
+        val config = parseEncoderConfig(body)
 
         val success = camera.startRtspStreaming(config, port)
 
@@ -219,26 +228,34 @@ class StreamApiHandler {
         val targetHost = body?.optString("targetHost", "") ?: ""
         val targetPort = body?.optInt("targetPort", 9000) ?: 9000
         val latencyMs = body?.optInt("latencyMs", 120) ?: 120
-        val width = body?.optInt("width", 1920) ?: 1920
-        val height = body?.optInt("height", 1080) ?: 1080
-        val bitrate = body?.optInt("bitrate", 4_000_000) ?: 4_000_000
-        val frameRate = body?.optInt("frameRate", 30) ?: 30
+        val multicast = body?.optBoolean("multicast", false) ?: false
+        val ttl = body?.optInt("ttl", 1) ?: 1
+        val packetSize = body?.optInt("packetSize", 1316) ?: 1316
 
         val mode = if (modeStr.equals("caller", ignoreCase = true)) MpegTsMode.CALLER else MpegTsMode.LISTENER
 
+        if (packetSize % MpegTsUdpPublisher.TS_PACKET_SIZE != 0) {
+            return ApiHandlerUtils.errorJson(
+                Status.BAD_REQUEST,
+                "packetSize must be a multiple of ${MpegTsUdpPublisher.TS_PACKET_SIZE} bytes"
+            )
+        }
+
         val mpegtsConfig = MpegTsUdpConfig(
             port = port,
             mode = mode,
             targetHost = targetHost,
             targetPort = targetPort,
-            latencyMs = latencyMs
+            latencyMs = latencyMs,
+            multicast = multicast,
+            ttl = ttl,
+            packetsPerDatagram = packetSize / MpegTsUdpPublisher.TS_PACKET_SIZE
         )
+        mpegtsConfig.validate()?.let { error ->
+            return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, error)
+        }
 
-        val encoderConfig = EncoderConfig(
-            resolution = android.util.Size(width, height),
-            bitrateBps = bitrate,
-            frameRate = frameRate
-        )
+        val encoderConfig = parseEncoderConfig(body)
 
         val success = camera.startMpegTsStreaming(encoderConfig, mpegtsConfig)
 
@@ -248,6 +265,7 @@ class StreamApiHandler {
                 put("message", "MPEG-TS/UDP streaming started")
                 put("port", port)
                 put("mode", mode.name)
+                put("multicast", multicast)
             } else {
                 put("message", "Failed to start MPEG-TS/UDP streaming")
             }
@@ -285,6 +303,9 @@ class StreamApiHandler {
                 put("packetsSent", stats.packetsSent)
                 put("framesSent", stats.framesSent)
                 put("uptime", stats.uptimeMs)
+                put("multicast", stats.multicast)
+                put("ttl", stats.ttl)
+                put("packetSize", stats.datagramSize)
             }
         }
 
@@ -296,10 +317,6 @@ class StreamApiHandler {
     private fun startRecording(body: JSONObject?): NanoHTTPD.Response {
         val camera = cameraService ?: return cameraUnavailable()
 
-        val width = body?.optInt("width", 1920) ?: 1920
-        val height = body?.optInt("height", 1080) ?: 1080
-        val bitrate = body?.optInt("bitrate", 4_000_000) ?: 4_000_000
-        val frameRate = body?.optInt("frameRate", 30) ?: 30
         val segmentMinutes = body?.optInt("segmentMinutes", 5) ?: 5
 
         val segmentDuration = when (segmentMinutes) {
@@ -312,11 +329,7 @@ class StreamApiHandler {
             else -> SegmentDuration.FIVE_MINUTES
         }
 
-        val config = EncoderConfig(
-            resolution = android.util.Size(width, height),
-            bitrateBps = bitrate,
-            frameRate = frameRate
-        )
+        val config = parseEncoderConfig(body)
 
         val success = camera.startRecording(config, segmentDuration)
 
@@ -423,6 +436,11 @@ class StreamApiHandler {
                         put("lastModified", rec.lastModifiedMs)
                         put("lastModifiedFormatted", rec.lastModifiedFormatted)
                         put("ageHours", rec.ageHours)
+                        val info = probeVideoInfo(rec)
+                        put("durationSec", rec.durationSec ?: info?.durationSec ?: JSONObject.NULL)
+                        put("width", info?.width ?: JSONObject.NULL)
+                        put("height", info?.height ?: JSONObject.NULL)
+                        put("frameRate", info?.frameRate ?: JSONObject.NULL)
                     })
                 }
             })
@@ -458,6 +476,84 @@ class StreamApiHandler {
         )
     }
 
+    /**
+     * Stream a recording file as video/mp4. Honours single-range Range headers
+     * so browsers can seek within the file.
+     */
+    private fun serveRecording(uri: String, headers: Map<String, String>): NanoHTTPD.Response {
+        val camera = cameraService ?: return cameraUnavailable()
+
+        val filename = uri.substringAfterLast("/")
+        // Only files from the recordings listing can be served, which rules out path traversal
+        val recording = camera.listRecordings().find { it.name == filename }
+            ?: return ApiHandlerUtils.errorJson(Status.NOT_FOUND, "Recording not found: $filename")
+
+        val file = File(recording.path)
+        val length = file.length()
+        val rangeHeader = headers["range"]
+        val range = ApiHandlerUtils.parseByteRange(rangeHeader, length)
+
+        if (rangeHeader != null && range == null) {
+            return NanoHTTPD.newFixedLengthResponse(
+                Status.RANGE_NOT_SATISFIABLE, WebServer.MIME_JSON,
+                """{"error": "Invalid range"}"""
+            ).apply { addHeader("Content-Range", "bytes */$length") }
+        }
+
+        val response = if (range != null) {
+            val input = FileInputStream(file)
+            if (!ApiHandlerUtils.skipFully(input, range.first)) {
+                input.close()
+                return NanoHTTPD.newFixedLengthResponse(
+                    Status.RANGE_NOT_SATISFIABLE, WebServer.MIME_JSON,
+                    """{"error": "Invalid range"}"""
+                ).apply { addHeader("Content-Range", "bytes */$length") }
+            }
+            NanoHTTPD.newFixedLengthResponse(
+                Status.PARTIAL_CONTENT, MIME_MP4, input, range.last - range.first + 1
+            ).apply { addHeader("Content-Range", "bytes ${range.first}-${range.last}/$length") }
+        } else {
+            NanoHTTPD.newFixedLengthResponse(Status.OK, MIME_MP4, FileInputStream(file), length)
+        }
+        response.addHeader("Accept-Ranges", "bytes")
+        return response
+    }
+
+    /**
+     * Read an MP4's duration, display size and average frame rate from its
+     * container metadata. Returns null for files that cannot be parsed yet
+     * (e.g. the segment currently being written).
+     */
+    private fun probeVideoInfo(recording: RecordingFile): VideoInfo? {
+        val key = "${recording.path}:${recording.lastModifiedMs}"
+        videoInfoCache[key]?.let { return it }
+
+        val retriever = MediaMetadataRetriever()
+        return try {
+            retriever.setDataSource(recording.path)
+            fun metadata(keyCode: Int) = retriever.extractMetadata(keyCode)
+            val durationMs = metadata(MediaMetadataRetriever.METADATA_KEY_DURATION)
+                ?.toLongOrNull() ?: return null
+            val width = metadata(MediaMetadataRetriever.METADATA_KEY_VIDEO_WIDTH)?.toIntOrNull()
+            val height = metadata(MediaMetadataRetriever.METADATA_KEY_VIDEO_HEIGHT)?.toIntOrNull()
+            // Portrait recordings are stored landscape with a rotation flag
+            val rotated = (metadata(MediaMetadataRetriever.METADATA_KEY_VIDEO_ROTATION)?.toIntOrNull() ?: 0) % 180 != 0
+            val frameCount = metadata(MediaMetadataRetriever.METADATA_KEY_VIDEO_FRAME_COUNT)?.toLongOrNull()
+            val frameRate = frameCount?.takeIf { it > 0 && durationMs > 0 }
+                ?.let { (Math.round(it * 100_000.0 / durationMs) / 100.0).toFloat() }
+            VideoInfo(
+                durationSec = durationMs / 1000f,
+                width = if (rotated) height else width,
+                height = if (rotated) width else height,
+                frameRate = frameRate
+            ).also { videoInfoCache[key] = it }
+        } catch (e: Exception) {
+            null
+        } finally {
+            retriever.release()
+        }
+    }
+
     // ==================== Storage ====================
 
     private fun getStorageStatus(): NanoHTTPD.Response {
@@ -499,7 +595,34 @@ class StreamApiHandler {
 
     // ==================== Helpers ====================
 
+    /**
+     * Build an encoder config from a start request body.
+     * Missing or unrecognised fields fall back to the defaults; "profile" is
+     * matched against the H.264 or H.265 profiles depending on the codec.
+     */
+    private fun parseEncoderConfig(body: JSONObject?): EncoderConfig {
+        val json = body ?: JSONObject()
+        val codecStr = json.optString("codec", "H264").uppercase()
+        val modeStr = json.optString("bitrateMode", "VBR").uppercase()
+        val profileStr = json.optString("profile", "").uppercase()
+
+        return EncoderConfig(
+            codec = VideoCodec.entries.find { it.name == codecStr } ?: VideoCodec.H264,
+            resolution = android.util.Size(json.optInt("width", 1920), json.optInt("height", 1080)),
+            bitrateBps = json.optInt("bitrate", 4_000_000),
+            frameRate = json.optInt("frameRate", 30),
+            keyframeIntervalSec = json.optInt("keyframeInterval", 2),
+            bitrateMode = BitrateMode.entries.find { it.name == modeStr } ?: BitrateMode.VBR,
+            h264Profile = H264Profile.entries.find { it.name == profileStr } ?: H264Profile.HIGH,
+            h265Profile = H265Profile.entries.find { it.name == profileStr } ?: H265Profile.MAIN
+        )
+    }
+
     private fun cameraUnavailable(): NanoHTTPD.Response {
         return ApiHandlerUtils.serviceUnavailable("Camera service")
     }
+
+    companion object {
+        private const val MIME_MP4 = "video/mp4"
+    }
 }
@@ -1,7 +1,9 @@
 package com.lensdaemon.web.handlers
 
+import com.lensdaemon.thermal.TemperatureSample
 import com.lensdaemon.thermal.ThermalGovernor
 import com.lensdaemon.thermal.ThermalProfile
+import com.lensdaemon.thermal.ThermalStressTest
 import com.lensdaemon.web.WebServer
 import fi.iki.elonen.NanoHTTPD
 import fi.iki.elonen.NanoHTTPD.Response.Status
@@ -38,6 +40,7 @@ class ThermalApiHandler(
             uri == "/api/thermal/profile" && method == NanoHTTPD.Method.PUT -> setProfileOverride(body)
             uri == "/api/thermal/profile" && method == NanoHTTPD.Method.DELETE -> clearProfileOverride()
             uri == "/api/thermal/profile/device" && method == NanoHTTPD.Method.GET -> getDeviceInfo()
+            uri == "/api/thermal/profile/device" && method == NanoHTTPD.Method.PUT -> setDeviceProfile(body)
             uri == "/api/thermal/profiles" && method == NanoHTTPD.Method.GET -> listProfiles()
             uri == "/api/thermal/stress-test" && method == NanoHTTPD.Method.POST -> startStressTest(body)
             uri == "/api/thermal/stress-test" && method == NanoHTTPD.Method.GET -> getStressTestStatus()
@@ -46,8 +49,17 @@ class ThermalApiHandler(
         }
     }
 
+    companion object {
+        /** Defaults for fields a custom profile request leaves out */
+        private val CUSTOM_PROFILE_BASE = ThermalProfile(
+            deviceModel = "custom",
+            displayName = "Custom Override",
+            notes = "User-defined override"
+        )
+    }
+
     // Stress test reference (set externally by WebServerService or similar)
-    var stressTest: com.lensdaemon.thermal.ThermalStressTest? = null
+    var stressTest: ThermalStressTest? = null
 
     private fun getThermalStatus(): NanoHTTPD.Response {
         val thermal = thermalGovernor ?: return ApiHandlerUtils.serviceUnavailable("Thermal service")
@@ -198,34 +210,9 @@ class ThermalApiHandler(
         val thermal = thermalGovernor ?: return ApiHandlerUtils.serviceUnavailable("Thermal service")
         body ?: return ApiHandlerUtils.bodyRequired()
 
-        val profile = ThermalProfile(
-            deviceModel = body.optString("deviceModel", "custom"),
-            displayName = body.optString("displayName", "Custom Override"),
-            cpuWarnC = body.optDouble("cpuWarnC", 50.0).toFloat(),
-            cpuCriticalC = body.optDouble("cpuCriticalC", 55.0).toFloat(),
-            cpuEmergencyC = body.optDouble("cpuEmergencyC", 60.0).toFloat(),
-            batteryWarnC = body.optDouble("batteryWarnC", 42.0).toFloat(),
-            batteryCriticalC = body.optDouble("batteryCriticalC", 45.0).toFloat(),
-            batteryEmergencyC = body.optDouble("batteryEmergencyC", 48.0).toFloat(),
-            sustainableBitrateKbps = body.optInt("sustainableBitrateKbps", 4000),
-            sustainableResolution = body.optString("sustainableResolution", "1080p"),
-            sustainableFps = body.optInt("sustainableFps", 30),
-            notes = body.optString("notes", "User-defined override")
-        )
-
-        // Validate thresholds are in ascending order
-        if (profile.cpuWarnC >= profile.cpuCriticalC || profile.cpuCriticalC >= profile.cpuEmergencyC) {
-            return ApiHandlerUtils.errorJson(
-                Status.BAD_REQUEST,
-                "CPU thresholds must be in ascending order: warn < critical < emergency"
-            )
-        }
-        if (profile.batteryWarnC >= profile.batteryCriticalC || profile.batteryCriticalC >= profile.batteryEmergencyC) {
-            return ApiHandlerUtils.errorJson(
-                Status.BAD_REQUEST,
-                "Battery thresholds must be in ascending order: warn < critical < emergency"
-            )
-        }
+        val profile = parseProfile(body, CUSTOM_PROFILE_BASE)
+        val errors = profile.validate()
+        if (errors.isNotEmpty()) return invalidProfile(errors)
 
         thermal.profileManager.setOverrideProfile(profile)
         thermal.applyActiveProfile()
@@ -262,6 +249,45 @@ class ThermalApiHandler(
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
+    /**
+     * Choose the profile for this device: either a built-in profile by
+     * deviceModel, or a custom one when "custom" is true. Picking the
+     * auto-detected profile clears any override.
+     */
+    private fun setDeviceProfile(body: JSONObject?): NanoHTTPD.Response {
+        val thermal = thermalGovernor ?: return ApiHandlerUtils.serviceUnavailable("Thermal service")
+        body ?: return ApiHandlerUtils.bodyRequired()
+        val pm = thermal.profileManager
+
+        if (body.optBoolean("custom", false)) {
+            val profile = parseProfile(body, CUSTOM_PROFILE_BASE)
+            val errors = profile.validate()
+            if (errors.isNotEmpty()) return invalidProfile(errors)
+            pm.setOverrideProfile(profile)
+        } else {
+            val deviceModel = body.optString("deviceModel", "")
+            if (deviceModel.isEmpty()) {
+                return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, "deviceModel is required unless custom is true")
+            }
+            val profile = pm.findProfile(deviceModel)
+                ?: return ApiHandlerUtils.errorJson(Status.NOT_FOUND, "Unknown thermal profile: $deviceModel")
+            if (profile.deviceModel == pm.getDetectedProfile().deviceModel) {
+                pm.clearOverride()
+            } else {
+                pm.setOverrideProfile(profile)
+            }
+        }
+        thermal.applyActiveProfile()
+
+        val json = JSONObject().apply {
+            put("success", true)
+            put("message", "Thermal profile applied")
+            put("source", if (pm.isOverrideActive()) "override" else "auto-detected")
+            put("profile", profileToJson(pm.getActiveProfile()))
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
+    }
+
     private fun listProfiles(): NanoHTTPD.Response {
         val thermal = thermalGovernor ?: return ApiHandlerUtils.serviceUnavailable("Thermal service")
         val profiles = thermal.profileManager.getBuiltInProfiles()
@@ -269,6 +295,10 @@ class ThermalApiHandler(
         val json = JSONObject().apply {
             put("count", profiles.size)
             put("activeProfile", active.deviceModel)
+            put("detectedProfile", thermal.profileManager.getDetectedProfile().deviceModel)
+            put("overrideActive", thermal.profileManager.isOverrideActive())
+            put("active", profileToJson(active))
+            put("generic", profileToJson(ThermalProfile.DEFAULT))
             put("profiles", JSONArray().apply {
                 profiles.forEach { put(profileToJson(it)) }
             })
@@ -276,6 +306,32 @@ class ThermalApiHandler(
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
+    private fun parseProfile(body: JSONObject, base: ThermalProfile): ThermalProfile {
+        return ThermalProfile(
+            deviceModel = body.optString("deviceModel", base.deviceModel),
+            displayName = body.optString("displayName", base.displayName),
+            cpuWarnC = body.optDouble("cpuWarnC", base.cpuWarnC.toDouble()).toFloat(),
+            cpuCriticalC = body.optDouble("cpuCriticalC", base.cpuCriticalC.toDouble()).toFloat(),
+            cpuEmergencyC = body.optDouble("cpuEmergencyC", base.cpuEmergencyC.toDouble()).toFloat(),
+            batteryWarnC = body.optDouble("batteryWarnC", base.batteryWarnC.toDouble()).toFloat(),
+            batteryCriticalC = body.optDouble("batteryCriticalC", base.batteryCriticalC.toDouble()).toFloat(),
+            batteryEmergencyC = body.optDouble("batteryEmergencyC", base.batteryEmergencyC.toDouble()).toFloat(),
+            sustainableBitrateKbps = body.optInt("sustainableBitrateKbps", base.sustainableBitrateKbps),
+            sustainableResolution = body.optString("sustainableResolution", base.sustainableResolution),
+            sustainableFps = body.optInt("sustainableFps", base.sustainableFps),
+            notes = body.optString("notes", base.notes)
+        )
+    }
+
+    private fun invalidProfile(errors: List<String>): NanoHTTPD.Response {
+        val json = JSONObject().apply {
+            put("success", false)
+            put("error", errors.first())
+            put("errors", JSONArray(errors))
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, json.toString())
+    }
+
     private fun profileToJson(profile: ThermalProfile): JSONObject {
         return JSONObject().apply {
             put("deviceModel", profile.deviceModel)
@@ -302,8 +358,9 @@ class ThermalApiHandler(
             return ApiHandlerUtils.errorJson(Status.CONFLICT, "Stress test already running")
         }
 
-        val durationSec = body?.optInt("durationSeconds", 300) ?: 300
-        val clampedDuration = durationSec.coerceIn(60, 600)
+        val durationSec = body?.optInt("durationSeconds", ThermalStressTest.DEFAULT_DURATION_SEC)
+            ?: ThermalStressTest.DEFAULT_DURATION_SEC
+        val clampedDuration = durationSec.coerceIn(ThermalStressTest.MIN_DURATION_SEC, ThermalStressTest.MAX_DURATION_SEC)
         test.start(clampedDuration)
 
         return NanoHTTPD.newFixedLengthResponse(
@@ -315,26 +372,30 @@ class ThermalApiHandler(
     private fun getStressTestStatus(): NanoHTTPD.Response {
         val test = stressTest ?: return ApiHandlerUtils.serviceUnavailable("Stress test")
         val result = test.getResult()
+        val running = test.isRunning()
         val json = JSONObject().apply {
-            put("running", test.isRunning())
+            put("running", running)
             put("elapsedSeconds", test.getElapsedSeconds())
+            put("durationSeconds", test.getDurationSeconds())
+            if (running) {
+                put("samples", curveToJson(test.getSamples()))
+            }
             if (result != null) {
                 put("result", JSONObject().apply {
                     put("durationSeconds", result.durationSeconds)
+                    put("requestedDurationSeconds", result.requestedDurationSeconds)
+                    put("completed", result.completed)
+                    put("passed", result.passed)
+                    put("failures", JSONArray(result.failures))
                     put("peakCpuTempC", result.peakCpuTempC)
                     put("peakBatteryTempC", result.peakBatteryTempC)
                     put("avgCpuTempC", result.avgCpuTempC)
                     put("avgBatteryTempC", result.avgBatteryTempC)
+                    put("steadyCpuTempC", result.steadyCpuTempC)
+                    put("steadyBatteryTempC", result.steadyBatteryTempC)
                     put("throttleEvents", result.throttleEvents)
-                    put("temperatureCurve", JSONArray().apply {
-                        result.temperatureCurve.forEach { point ->
-                            put(JSONObject().apply {
-                                put("elapsedSec", point.elapsedSec)
-                                put("cpuTempC", point.cpuTempC)
-                                put("batteryTempC", point.batteryTempC)
-                            })
-                        }
-                    })
+                    put("temperatureCurve", curveToJson(result.temperatureCurve))
+                    put("testedProfile", profileToJson(result.testedProfile))
                     put("recommendedProfile", profileToJson(result.recommendedProfile))
                 })
             }
@@ -342,6 +403,18 @@ class ThermalApiHandler(
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, json.toString())
     }
 
+    private fun curveToJson(samples: List<TemperatureSample>): JSONArray {
+        return JSONArray().apply {
+            samples.forEach { point ->
+                put(JSONObject().apply {
+                    put("elapsedSec", point.elapsedSec)
+                    put("cpuTempC", point.cpuTempC)
+                    put("batteryTempC", point.batteryTempC)
+                })
+            }
+        }
+    }
+
     private fun stopStressTest(): NanoHTTPD.Response {
         val test = stressTest ?: return ApiHandlerUtils.serviceUnavailable("Stress test")
         if (!test.isRunning()) {
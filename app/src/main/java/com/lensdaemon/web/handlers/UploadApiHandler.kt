@@ -43,11 +43,11 @@ class UploadApiHandler {
             uri == "/api/upload/s3/config" && method == NanoHTTPD.Method.GET -> getS3Config()
             uri == "/api/upload/s3/config" && method == NanoHTTPD.Method.POST -> configureS3(body)
             uri == "/api/upload/s3/config" && method == NanoHTTPD.Method.DELETE -> clearS3Config()
-            uri == "/api/upload/s3/test" && method == NanoHTTPD.Method.POST -> testS3Connection()
+            uri == "/api/upload/s3/test" && method == NanoHTTPD.Method.POST -> testS3Connection(body)
             uri == "/api/upload/smb/config" && method == NanoHTTPD.Method.GET -> getSmbConfig()
             uri == "/api/upload/smb/config" && method == NanoHTTPD.Method.POST -> configureSmb(body)
             uri == "/api/upload/smb/config" && method == NanoHTTPD.Method.DELETE -> clearSmbConfig()
-            uri == "/api/upload/smb/test" && method == NanoHTTPD.Method.POST -> testSmbConnection()
+            uri == "/api/upload/smb/test" && method == NanoHTTPD.Method.POST -> testSmbConnection(body)
             else -> null
         }
     }
@@ -204,17 +204,37 @@ class UploadApiHandler {
     private fun configureS3(body: JSONObject?): NanoHTTPD.Response {
         val upload = uploadService ?: return ApiHandlerUtils.serviceUnavailable("Upload service")
         body ?: return ApiHandlerUtils.bodyRequired()
-        val endpoint = body.optString("endpoint", "")
-        val region = body.optString("region", "us-east-1")
+        val credentials = try {
+            parseS3Credentials(body, upload)
+        } catch (e: IllegalArgumentException) {
+            return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, e.message ?: "Invalid S3 configuration")
+        }
+        upload.configureS3(credentials)
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON,
+            """{"success": true, "message": "S3 configured", "backend": "${credentials.backend.name}", "bucket": "${credentials.bucket}"}""")
+    }
+
+    /**
+     * Build S3 credentials from a config body. A blank access key or secret keeps
+     * the saved one, so forms pre-filled from the masked GET response need not
+     * resend them, but only for the saved endpoint and bucket: otherwise any
+     * caller could have the device sign requests to a host they control with
+     * the stored secret. An http:// or https:// prefix on the endpoint sets useHttps.
+     *
+     * @throws IllegalArgumentException if required fields are missing
+     */
+    private fun parseS3Credentials(body: JSONObject, upload: UploadService): S3Credentials {
+        val rawEndpoint = body.optString("endpoint", "").trim()
+        val endpoint = rawEndpoint.substringAfter("://").trimEnd('/')
+        val useHttps = when {
+            rawEndpoint.startsWith("http://", ignoreCase = true) -> false
+            rawEndpoint.startsWith("https://", ignoreCase = true) -> true
+            else -> body.optBoolean("useHttps", true)
+        }
+        val region = body.optString("region", "").ifEmpty { "us-east-1" }
         val bucket = body.optString("bucket", "")
-        val accessKeyId = body.optString("accessKeyId", "")
-        val secretAccessKey = body.optString("secretAccessKey", "")
         val pathPrefix = body.optString("pathPrefix", "")
-        val useHttps = body.optBoolean("useHttps", true)
         val backendStr = body.optString("backend", "S3")
-        if (bucket.isEmpty() || accessKeyId.isEmpty() || secretAccessKey.isEmpty()) {
-            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "bucket, accessKeyId, and secretAccessKey are required"}""")
-        }
         val backend = try { StorageBackend.valueOf(backendStr.uppercase()) } catch (e: Exception) { StorageBackend.S3 }
         val effectiveEndpoint = if (endpoint.isEmpty()) {
             when (backend) {
@@ -223,17 +243,28 @@ class UploadApiHandler {
                 else -> ""
             }
         } else { endpoint }
-        if (effectiveEndpoint.isEmpty()) {
-            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "endpoint is required for this backend type"}""")
+        require(effectiveEndpoint.isNotEmpty()) { "endpoint is required for this backend type" }
+
+        val saved = upload.getS3Credentials()?.takeIf {
+            it.endpoint.equals(effectiveEndpoint, ignoreCase = true) && it.useHttps == useHttps && it.bucket == bucket
         }
-        val credentials = S3Credentials(
+        val accessKeyId = body.optString("accessKeyId", "").ifEmpty { saved?.accessKeyId.orEmpty() }
+        val secretAccessKey = body.optString("secretAccessKey", "").ifEmpty {
+            saved?.takeIf { it.accessKeyId == accessKeyId }?.secretAccessKey.orEmpty()
+        }
+        require(bucket.isNotEmpty() && accessKeyId.isNotEmpty()) { "bucket and accessKeyId are required" }
+        require(secretAccessKey.isNotEmpty()) {
+            if (upload.getS3Credentials() != null) {
+                "secretAccessKey is required when the endpoint, bucket or access key differs from the saved settings"
+            } else {
+                "secretAccessKey is required"
+            }
+        }
+        return S3Credentials(
             endpoint = effectiveEndpoint, region = region, bucket = bucket,
             accessKeyId = accessKeyId, secretAccessKey = secretAccessKey,
             pathPrefix = pathPrefix, useHttps = useHttps, backend = backend
         )
-        upload.configureS3(credentials)
-        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON,
-            """{"success": true, "message": "S3 configured", "backend": "${backend.name}", "bucket": "$bucket"}""")
     }
 
     private fun clearS3Config(): NanoHTTPD.Response {
@@ -242,13 +273,23 @@ class UploadApiHandler {
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, """{"success": true, "message": "S3 credentials cleared"}""")
     }
 
-    private fun testS3Connection(): NanoHTTPD.Response {
+    /**
+     * Test the saved S3 settings, or the settings in the body without saving them.
+     */
+    private fun testS3Connection(body: JSONObject?): NanoHTTPD.Response {
         val upload = uploadService ?: return ApiHandlerUtils.serviceUnavailable("Upload service")
-        if (!upload.isS3Configured()) {
+        val credentials = if (body != null && body.length() > 0) {
+            try {
+                parseS3Credentials(body, upload)
+            } catch (e: IllegalArgumentException) {
+                return testFailed(e.message ?: "Invalid S3 configuration")
+            }
+        } else null
+        if (credentials == null && !upload.isS3Configured()) {
             return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"success": false, "error": "S3 not configured"}""")
         }
         return runBlocking {
-            val result = upload.testS3Connection()
+            val result = if (credentials != null) upload.testS3Connection(credentials) else upload.testS3Connection()
             if (result.isSuccess) {
                 NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, """{"success": true, "message": "S3 connection successful"}""")
             } else {
@@ -279,23 +320,49 @@ class UploadApiHandler {
     private fun configureSmb(body: JSONObject?): NanoHTTPD.Response {
         val upload = uploadService ?: return ApiHandlerUtils.serviceUnavailable("Upload service")
         body ?: return ApiHandlerUtils.bodyRequired()
+        val credentials = try {
+            parseSmbCredentials(body, upload)
+        } catch (e: IllegalArgumentException) {
+            return ApiHandlerUtils.errorJson(Status.BAD_REQUEST, e.message ?: "Invalid SMB configuration")
+        }
+        upload.configureSmb(credentials)
+        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON,
+            """{"success": true, "message": "SMB configured", "server": "${credentials.server}", "share": "${credentials.share}"}""")
+    }
+
+    /**
+     * Build SMB credentials from a config body. A blank password keeps the
+     * saved one (GET never returns it), but only for the saved server, share
+     * and username, so the password is never sent to a different server.
+     *
+     * @throws IllegalArgumentException if required fields are missing
+     */
+    private fun parseSmbCredentials(body: JSONObject, upload: UploadService): SmbCredentials {
         val server = body.optString("server", "")
         val share = body.optString("share", "")
         val username = body.optString("username", "")
-        val password = body.optString("password", "")
-        val domain = body.optString("domain", "")
-        val port = body.optInt("port", 445)
-        val pathPrefix = body.optString("pathPrefix", "")
-        if (server.isEmpty() || share.isEmpty() || username.isEmpty() || password.isEmpty()) {
-            return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"error": "server, share, username, and password are required"}""")
+        require(server.isNotEmpty() && share.isNotEmpty() && username.isNotEmpty()) {
+            "server, share, and username are required"
+        }
+        val saved = upload.getSmbCredentials()
+        val password = body.optString("password", "").ifEmpty {
+            saved?.takeIf {
+                it.server.equals(server, ignoreCase = true) && it.share == share && it.username == username
+            }?.password.orEmpty()
         }
-        val credentials = SmbCredentials(
-            server = server, share = share, username = username,
-            password = password, domain = domain, port = port, pathPrefix = pathPrefix
+        require(password.isNotEmpty()) {
+            if (saved != null) {
+                "password is required when the server, share or username differs from the saved settings"
+            } else {
+                "password is required"
+            }
+        }
+        return SmbCredentials(
+            server = server, share = share, username = username, password = password,
+            domain = body.optString("domain", ""),
+            port = body.optInt("port", 445),
+            pathPrefix = body.optString("pathPrefix", "")
         )
-        upload.configureSmb(credentials)
-        return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON,
-            """{"success": true, "message": "SMB configured", "server": "$server", "share": "$share"}""")
     }
 
     private fun clearSmbConfig(): NanoHTTPD.Response {
@@ -304,13 +371,23 @@ class UploadApiHandler {
         return NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, """{"success": true, "message": "SMB credentials cleared"}""")
     }
 
-    private fun testSmbConnection(): NanoHTTPD.Response {
+    /**
+     * Test the saved SMB settings, or the settings in the body without saving them.
+     */
+    private fun testSmbConnection(body: JSONObject?): NanoHTTPD.Response {
         val upload = uploadService ?: return ApiHandlerUtils.serviceUnavailable("Upload service")
-        if (!upload.isSmbConfigured()) {
+        val credentials = if (body != null && body.length() > 0) {
+            try {
+                parseSmbCredentials(body, upload)
+            } catch (e: IllegalArgumentException) {
+                return testFailed(e.message ?: "Invalid SMB configuration")
+            }
+        } else null
+        if (credentials == null && !upload.isSmbConfigured()) {
             return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, """{"success": false, "error": "SMB not configured"}""")
         }
         return runBlocking {
-            val result = upload.testSmbConnection()
+            val result = if (credentials != null) upload.testSmbConnection(credentials) else upload.testSmbConnection()
             if (result.isSuccess) {
                 NanoHTTPD.newFixedLengthResponse(Status.OK, WebServer.MIME_JSON, """{"success": true, "message": "SMB connection successful"}""")
             } else {
@@ -320,6 +397,14 @@ class UploadApiHandler {
         }
     }
 
+    private fun testFailed(message: String): NanoHTTPD.Response {
+        val json = JSONObject().apply {
+            put("success", false)
+            put("error", message)
+        }
+        return NanoHTTPD.newFixedLengthResponse(Status.BAD_REQUEST, WebServer.MIME_JSON, json.toString())
+    }
+
     companion object {
         private const val TAG = "UploadApiHandler"
     }
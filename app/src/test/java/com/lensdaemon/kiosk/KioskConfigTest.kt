@@ -0,0 +1,58 @@
+package com.lensdaemon.kiosk
+
+import org.junit.Assert.*
+import org.junit.Test
+
+class KioskConfigTest {
+
+    // -------------------------------------------------------
+    // 1. Presets
+    // -------------------------------------------------------
+
+    @Test
+    fun presets_areValid() {
+        assertNull(KioskConfig.DEFAULT.validate())
+        assertNull(KioskConfig.APPLIANCE.validate())
+        assertNull(KioskConfig.INTERACTIVE.validate())
+    }
+
+    // -------------------------------------------------------
+    // 2. Range validation
+    // -------------------------------------------------------
+
+    @Test
+    fun validate_rejectsBrightnessOutOfRange() {
+        val config = KioskConfig(screen = ScreenConfig(dimBrightness = 256))
+        assertEquals("screen.dimBrightness must be between 0 and 255", config.validate())
+    }
+
+    @Test
+    fun validate_rejectsNegativeReconnectAttempts() {
+        val config = KioskConfig(networkRecovery = NetworkRecoveryConfig(maxReconnectAttempts = -1))
+        assertNotNull(config.validate())
+    }
+
+    @Test
+    fun validate_rejectsZeroRestartWindow() {
+        val config = KioskConfig(crashRecovery = CrashRecoveryConfig(restartWindowMinutes = 0))
+        assertNotNull(config.validate())
+    }
+
+    // -------------------------------------------------------
+    // 3. Exit PIN
+    // -------------------------------------------------------
+
+    @Test
+    fun validate_acceptsEmptyOrNumericPin() {
+        assertNull(KioskConfig(security = SecurityConfig(exitPin = "")).validate())
+        assertNull(KioskConfig(security = SecurityConfig(exitPin = "1234")).validate())
+        assertNull(KioskConfig(security = SecurityConfig(exitPin = "12345678")).validate())
+    }
+
+    @Test
+    fun validate_rejectsMalformedPin() {
+        assertNotNull(KioskConfig(security = SecurityConfig(exitPin = "123")).validate())
+        assertNotNull(KioskConfig(security = SecurityConfig(exitPin = "123456789")).validate())
+        assertNotNull(KioskConfig(security = SecurityConfig(exitPin = "12ab")).validate())
+    }
+}
@@ -0,0 +1,66 @@
+package com.lensdaemon.output
+
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNotNull
+import org.junit.Assert.assertNull
+import org.junit.Test
+
+/**
+ * Unit tests for [MpegTsUdpConfig] validation.
+ */
+class MpegTsUdpConfigTest {
+
+    @Test
+    fun defaults_areValid() {
+        assertNull(MpegTsUdpConfig().validate())
+        assertEquals(1316, MpegTsUdpConfig().datagramSize)
+    }
+
+    @Test
+    fun caller_requiresTargetHost() {
+        val config = MpegTsUdpConfig(mode = MpegTsMode.CALLER, targetHost = "")
+        assertEquals("targetHost is required in caller mode", config.validate())
+    }
+
+    @Test
+    fun listener_rejectsPrivilegedPort() {
+        assertEquals(
+            "port must be between 1024 and 65535",
+            MpegTsUdpConfig(mode = MpegTsMode.LISTENER, port = 554).validate()
+        )
+    }
+
+    @Test
+    fun caller_allowsTargetPortBelow1024() {
+        val config = MpegTsUdpConfig(mode = MpegTsMode.CALLER, targetHost = "192.168.1.50", targetPort = 554)
+        assertNull(config.validate())
+        assertNotNull(config.copy(targetPort = 0).validate())
+    }
+
+    @Test
+    fun multicast_requiresCallerMode() {
+        val listener = MpegTsUdpConfig(mode = MpegTsMode.LISTENER, multicast = true)
+        assertNotNull(listener.validate())
+
+        val caller = MpegTsUdpConfig(
+            mode = MpegTsMode.CALLER,
+            targetHost = "239.0.0.1",
+            multicast = true,
+            ttl = 16
+        )
+        assertNull(caller.validate())
+    }
+
+    @Test
+    fun validate_rejectsOutOfRangeTtl() {
+        assertNotNull(MpegTsUdpConfig(ttl = 0).validate())
+        assertNotNull(MpegTsUdpConfig(ttl = 256).validate())
+    }
+
+    @Test
+    fun validate_rejectsOversizedDatagrams() {
+        assertNull(MpegTsUdpConfig(packetsPerDatagram = 1).validate())
+        assertNotNull(MpegTsUdpConfig(packetsPerDatagram = 8).validate())
+        assertEquals(188, MpegTsUdpConfig(packetsPerDatagram = 1).datagramSize)
+    }
+}
@@ -0,0 +1,43 @@
+package com.lensdaemon.thermal
+
+import org.junit.Assert.*
+import org.junit.Test
+
+class ThermalProfileTest {
+
+    @Test
+    fun validate_defaultProfileIsValid() {
+        assertTrue(ThermalProfile.DEFAULT.validate().isEmpty())
+    }
+
+    @Test
+    fun validate_rejectsCpuThresholdsOutOfOrder() {
+        val profile = ThermalProfile(deviceModel = "custom", cpuWarnC = 55f, cpuCriticalC = 55f)
+        assertEquals(1, profile.validate().size)
+    }
+
+    @Test
+    fun validate_rejectsBatteryThresholdsOutOfOrder() {
+        val profile = ThermalProfile(deviceModel = "custom", batteryCriticalC = 50f, batteryEmergencyC = 48f)
+        assertEquals(1, profile.validate().size)
+    }
+
+    @Test
+    fun validate_rejectsBadSustainableSettings() {
+        val profile = ThermalProfile(
+            deviceModel = "custom",
+            sustainableBitrateKbps = 0,
+            sustainableResolution = "full hd",
+            sustainableFps = 0
+        )
+        assertEquals(3, profile.validate().size)
+    }
+
+    @Test
+    fun validate_acceptsCommonResolutions() {
+        listOf("720p", "1080p", "1440p", "2160p").forEach { resolution ->
+            val profile = ThermalProfile(deviceModel = "custom", sustainableResolution = resolution)
+            assertTrue(resolution, profile.validate().isEmpty())
+        }
+    }
+}
@@ -0,0 +1,68 @@
+package com.lensdaemon.thermal
+
+import org.junit.Assert.*
+import org.junit.Test
+
+class ThermalStressTestTest {
+
+    private val profile = ThermalProfile(
+        deviceModel = "test",
+        cpuWarnC = 50f,
+        batteryWarnC = 42f
+    )
+
+    // -------------------------------------------------------
+    // 1. Steady-state temperature
+    // -------------------------------------------------------
+
+    @Test
+    fun steadyStateTemp_averagesLastThird() {
+        val temps = listOf(30f, 35f, 40f, 44f, 46f, 48f)
+        assertEquals(47f, ThermalStressTest.steadyStateTemp(temps), 0.01f)
+    }
+
+    @Test
+    fun steadyStateTemp_usesAtLeastOneSample() {
+        assertEquals(41f, ThermalStressTest.steadyStateTemp(listOf(41f)), 0.01f)
+    }
+
+    @Test
+    fun steadyStateTemp_emptyIsZero() {
+        assertEquals(0f, ThermalStressTest.steadyStateTemp(emptyList()), 0.01f)
+    }
+
+    // -------------------------------------------------------
+    // 2. Pass/fail against profile thresholds
+    // -------------------------------------------------------
+
+    @Test
+    fun checkAgainstProfile_passesBelowWarnThresholds() {
+        val failures = ThermalStressTest.checkAgainstProfile(
+            peakCpu = 49f, steadyCpu = 46f,
+            peakBattery = 41f, steadyBattery = 39f,
+            profile = profile
+        )
+        assertTrue(failures.isEmpty())
+    }
+
+    @Test
+    fun checkAgainstProfile_failsOnPeakSpike() {
+        val failures = ThermalStressTest.checkAgainstProfile(
+            peakCpu = 52f, steadyCpu = 46f,
+            peakBattery = 40f, steadyBattery = 39f,
+            profile = profile
+        )
+        assertEquals(1, failures.size)
+        assertTrue(failures[0].startsWith("Peak CPU"))
+    }
+
+    @Test
+    fun checkAgainstProfile_reportsEachExceededThreshold() {
+        val failures = ThermalStressTest.checkAgainstProfile(
+            peakCpu = 55f, steadyCpu = 51f,
+            peakBattery = 44f, steadyBattery = 42f,
+            profile = profile
+        )
+        assertEquals(4, failures.size)
+    }
+}
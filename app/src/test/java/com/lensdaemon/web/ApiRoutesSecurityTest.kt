@@ -3,13 +3,16 @@ package com.lensdaemon.web
 import com.lensdaemon.web.handlers.ApiHandlerUtils
 import org.junit.Assert.*
 import org.junit.Test
+import java.io.ByteArrayInputStream
 import java.io.File
+import java.io.FilterInputStream
 
 /**
  * Tests for security-related functionality in API route handlers.
  *
  * Tests the public sanitizeFileName and validateFileInDirectory methods
- * in ApiHandlerUtils which protect against path traversal attacks.
+ * in ApiHandlerUtils which protect against path traversal attacks, and
+ * parseByteRange and skipFully which bound client-supplied Range headers.
  */
 class ApiRoutesSecurityTest {
 
@@ -125,4 +128,58 @@ class ApiRoutesSecurityTest {
         // Various unicode tricks that could bypass path validation
         assertNull(callSanitize("\u2025/etc/passwd"))  // TWO DOT LEADER
     }
+
+    // ==================== parseByteRange Tests ====================
+
+    @Test
+    fun `range absent or blank returns null`() {
+        assertNull(ApiHandlerUtils.parseByteRange(null, 1000))
+        assertNull(ApiHandlerUtils.parseByteRange("", 1000))
+    }
+
+    @Test
+    fun `range with explicit start and end`() {
+        assertEquals(0L..499L, ApiHandlerUtils.parseByteRange("bytes=0-499", 1000))
+    }
+
+    @Test
+    fun `open-ended range runs to end of file`() {
+        assertEquals(500L..999L, ApiHandlerUtils.parseByteRange("bytes=500-", 1000))
+    }
+
+    @Test
+    fun `suffix range returns last bytes`() {
+        assertEquals(900L..999L, ApiHandlerUtils.parseByteRange("bytes=-100", 1000))
+        assertEquals(0L..999L, ApiHandlerUtils.parseByteRange("bytes=-5000", 1000))
+    }
+
+    @Test
+    fun `range end is clamped to file length`() {
+        assertEquals(900L..999L, ApiHandlerUtils.parseByteRange("bytes=900-5000", 1000))
+    }
+
+    @Test
+    fun `unsatisfiable or malformed ranges are rejected`() {
+        assertNull(ApiHandlerUtils.parseByteRange("bytes=1000-", 1000))
+        assertNull(ApiHandlerUtils.parseByteRange("bytes=500-100", 1000))
+        assertNull(ApiHandlerUtils.parseByteRange("bytes=abc-", 1000))
+        assertNull(ApiHandlerUtils.parseByteRange("items=0-10", 1000))
+        assertNull(ApiHandlerUtils.parseByteRange("bytes=0-10,20-30", 1000))
+    }
+
+    @Test
+    fun `skipFully skips the whole offset even when skip comes up short`() {
+        val data = ByteArray(100) { it.toByte() }
+        // Skips at most 7 bytes per call, like a stream that skips partially
+        val input = object : FilterInputStream(ByteArrayInputStream(data)) {
+            override fun skip(n: Long): Long = super.skip(minOf(n, 7L))
+        }
+        assertTrue(ApiHandlerUtils.skipFully(input, 50))
+        assertEquals(50, input.read())
+    }
+
+    @Test
+    fun `skipFully fails past end of stream`() {
+        assertFalse(ApiHandlerUtils.skipFully(ByteArrayInputStream(ByteArray(10)), 20))
+    }
 }
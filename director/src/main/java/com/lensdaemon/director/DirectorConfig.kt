@@ -173,13 +173,16 @@ data class RecordedTake(
     val startTimeMs: Long,
     val endTimeMs: Long = 0,
     val filePath: String? = null,
+    /** Wall-clock start of the linked recording, or 0 if unknown */
+    val recordingStartMs: Long = 0,
     val qualityScore: Float = 0f,
     val qualityFactors: TakeQualityFactors = TakeQualityFactors(),
     val cuesExecuted: Int = 0,
     val cuesFailed: Int = 0,
     val manualMark: TakeQuality = TakeQuality.UNMARKED,
     val suggested: Boolean = false,
-    val notes: String = ""
+    val notes: String = "",
+    val cueMarkers: List<TakeCueMarker> = emptyList()
 ) {
     val durationMs: Long get() = if (endTimeMs > 0) endTimeMs - startTimeMs else 0
     val durationFormatted: String get() {
@@ -191,6 +194,15 @@ data class RecordedTake(
     }
 }
 
+/**
+ * A cue executed during a take, positioned relative to the take start
+ */
+data class TakeCueMarker(
+    val offsetMs: Long,
+    val cue: String,                    // Cue text as written in the script
+    val success: Boolean
+)
+
 /**
  * Quality factors for a take
  */
@@ -212,7 +224,9 @@ data class ParsedScript(
     val totalCues: Int,
     val estimatedDurationMs: Long,
     val parseTimestamp: Long = System.currentTimeMillis(),
-    val errors: List<String> = emptyList()
+    val errors: List<String> = emptyList(),
+    /** Non-fatal issues from validation and shot mapping */
+    val warnings: List<String> = emptyList()
 ) {
     val estimatedDurationFormatted: String get() {
         val totalSeconds = estimatedDurationMs / 1000
@@ -240,6 +254,20 @@ data class DirectorSession(
     val bestTake: RecordedTake? get() = takes.filter { it.qualityScore > 0 }.maxByOrNull { it.qualityScore }
 }
 
+/**
+ * A thermal event during a session. Holds pause the director until it cools
+ * down (endTimeMs is 0 while still held); warnings only restrict inference.
+ */
+data class ThermalPause(
+    val startTimeMs: Long,
+    val temperature: Int,
+    val action: String,
+    val hold: Boolean,
+    val endTimeMs: Long = 0
+) {
+    val durationMs: Long get() = if (endTimeMs > 0) endTimeMs - startTimeMs else 0
+}
+
 /**
  * Director status for API responses
  */
@@ -294,20 +322,70 @@ data class DirectorConfig(
     val thermalAutoDisable: Boolean = true,
     val thermalThresholdInference: Int = 50,    // °C - disable inference above this
     val thermalThresholdDisable: Int = 55,      // °C - disable director entirely above this
+    val thermalThresholdResume: Int = 45,       // °C - release a thermal hold at or below this
     val defaultTransitionDurationMs: Long = 1000,
     val defaultHoldDurationMs: Long = 2000,
     val shotPresets: Map<String, ShotPreset> = ShotPreset.DEFAULTS.associateBy { it.name }
 ) {
+    /**
+     * Check value ranges and threshold ordering.
+     *
+     * @return Human-readable problems, empty when the configuration is usable
+     */
+    fun validate(): List<String> {
+        val errors = mutableListOf<String>()
+        if (thermalThresholdDisable !in THERMAL_RANGE) {
+            errors.add("Thermal pause threshold must be between ${THERMAL_RANGE.first} and ${THERMAL_RANGE.last} °C")
+        }
+        if (thermalThresholdInference !in THERMAL_RANGE) {
+            errors.add("Inference threshold must be between ${THERMAL_RANGE.first} and ${THERMAL_RANGE.last} °C")
+        }
+        if (thermalThresholdResume !in THERMAL_RANGE) {
+            errors.add("Thermal resume threshold must be between ${THERMAL_RANGE.first} and ${THERMAL_RANGE.last} °C")
+        }
+        if (thermalThresholdResume >= thermalThresholdDisable) {
+            errors.add("Thermal resume threshold must be below the pause threshold")
+        }
+        if (thermalThresholdInference > thermalThresholdDisable) {
+            errors.add("Inference threshold must not exceed the pause threshold")
+        }
+        if (defaultHoldDurationMs !in HOLD_DURATION_RANGE_MS) {
+            errors.add("Default hold duration must be between 0 and ${HOLD_DURATION_RANGE_MS.last / 1000} seconds")
+        }
+        if (defaultTransitionDurationMs !in HOLD_DURATION_RANGE_MS) {
+            errors.add("Default transition duration must be between 0 and ${HOLD_DURATION_RANGE_MS.last / 1000} seconds")
+        }
+        if (llmConfig.endpoint.isNotEmpty()) {
+            RemoteLlmClient.checkEndpoint(llmConfig.endpoint).exceptionOrNull()?.let {
+                errors.add(it.message ?: "Invalid LLM endpoint")
+            }
+        }
+        if (llmConfig.model.isBlank()) {
+            errors.add("LLM model is required")
+        }
+        if (llmConfig.temperature !in 0f..2f) {
+            errors.add("LLM temperature must be between 0 and 2")
+        }
+        if (llmConfig.maxTokens !in 1..8192) {
+            errors.add("LLM max tokens must be between 1 and 8192")
+        }
+        return errors
+    }
+
     companion object {
         val DEFAULT = DirectorConfig()
 
+        val THERMAL_RANGE = 30..80
+        val HOLD_DURATION_RANGE_MS = 0L..60_000L
+
         /** Configuration for thermal-safe operation with pre-parsed scripts */
         val THERMAL_SAFE = DirectorConfig(
             enabled = true,
             inferenceMode = InferenceMode.PRE_PARSED,
             thermalAutoDisable = true,
             thermalThresholdInference = 45,
-            thermalThresholdDisable = 50
+            thermalThresholdDisable = 50,
+            thermalThresholdResume = 42
         )
 
         /** Configuration with remote LLM for dynamic interpretation */
@@ -353,6 +431,7 @@ class DirectorConfigStore(private val context: Context) {
             put("thermalAutoDisable", config.thermalAutoDisable)
             put("thermalThresholdInference", config.thermalThresholdInference)
             put("thermalThresholdDisable", config.thermalThresholdDisable)
+            put("thermalThresholdResume", config.thermalThresholdResume)
             put("defaultTransitionDurationMs", config.defaultTransitionDurationMs)
             put("defaultHoldDurationMs", config.defaultHoldDurationMs)
         }
@@ -391,6 +470,7 @@ class DirectorConfigStore(private val context: Context) {
                 thermalAutoDisable = json.optBoolean("thermalAutoDisable", true),
                 thermalThresholdInference = json.optInt("thermalThresholdInference", 50),
                 thermalThresholdDisable = json.optInt("thermalThresholdDisable", 55),
+                thermalThresholdResume = json.optInt("thermalThresholdResume", 45),
                 defaultTransitionDurationMs = json.optLong("defaultTransitionDurationMs", 1000),
                 defaultHoldDurationMs = json.optLong("defaultHoldDurationMs", 2000)
             )
@@ -72,10 +72,17 @@ class DirectorManager(
     private val scope = CoroutineScope(Dispatchers.Default + SupervisorJob())
     private var cueExecutionJob: Job? = null
 
+    // Incremented by jumpToScene so the cue loop does not advance past the new position
+    @Volatile
+    private var sceneJumps = 0
+
     // Thermal monitoring
     private var thermalCheckJob: Job? = null
     private var lastThermalCheck = 0L
 
+    private val _thermalPauses = MutableStateFlow<List<ThermalPause>>(emptyList())
+    val thermalPauses: StateFlow<List<ThermalPause>> = _thermalPauses.asStateFlow()
+
     init {
         // Load saved config
         config = configStore.loadConfig()
@@ -140,20 +147,20 @@ class DirectorManager(
         emitEvent(DirectorEvent.StateChanged(DirectorState.PARSING))
 
         return try {
-            val parsedScript = scriptParser.parseScript(scriptText)
-            val errors = scriptParser.getErrors()
-            val warnings = scriptParser.validateScript(parsedScript)
+            val parsed = scriptParser.parseScript(scriptText)
+            val warnings = scriptParser.validateScript(parsed)
 
-            if (parsedScript.scenes.isEmpty() || parsedScript.totalCues == 0) {
+            if (parsed.scenes.isEmpty() || parsed.totalCues == 0) {
                 _state.value = DirectorState.IDLE
                 return Result.failure(IllegalArgumentException("Script contains no valid scenes or cues"))
             }
 
             // Validate against camera capabilities
-            val mappingIssues = shotMapper.validateMapping(parsedScript)
+            val mappingIssues = shotMapper.validateMapping(parsed)
             if (mappingIssues.isNotEmpty()) {
                 Timber.tag(TAG).w("Script mapping issues: $mappingIssues")
             }
+            val parsedScript = parsed.copy(warnings = warnings + mappingIssues)
 
             // Create new session
             _currentSession.value = DirectorSession(
@@ -200,6 +207,10 @@ class DirectorManager(
             return false
         }
 
+        if (session.startTimeMs == 0L) {
+            _currentSession.value = session.copy(startTimeMs = System.currentTimeMillis())
+        }
+
         _state.value = DirectorState.RUNNING
         emitEvent(DirectorEvent.StateChanged(DirectorState.RUNNING))
 
@@ -281,7 +292,8 @@ class DirectorManager(
             takeManager.recordCueExecution(
                 cueId = cue.id,
                 expectedTimeMs = System.currentTimeMillis(),
-                success = success
+                success = success,
+                cueText = cue.rawText
             )
         }
 
@@ -364,6 +376,7 @@ class DirectorManager(
             currentSceneIndex = sceneIndex,
             currentCueIndex = 0
         )
+        sceneJumps++
 
         // Start new take
         val scene = session.script.scenes[sceneIndex]
@@ -412,6 +425,11 @@ class DirectorManager(
         )
     }
 
+    /**
+     * Get current configuration
+     */
+    fun getConfig(): DirectorConfig = config
+
     /**
      * Update configuration
      */
@@ -420,6 +438,11 @@ class DirectorManager(
         config = newConfig
         configStore.saveConfig(config)
 
+        // Thermal checks stop with auto-disable off, so nothing else would lift the hold
+        if (!config.thermalAutoDisable && _state.value == DirectorState.THERMAL_HOLD) {
+            releaseThermalHold()
+        }
+
         if (!wasEnabled && config.enabled) {
             enable()
         } else if (wasEnabled && !config.enabled) {
@@ -452,6 +475,7 @@ class DirectorManager(
             while (isActive && _state.value == DirectorState.RUNNING) {
                 val session = _currentSession.value ?: break
                 val cue = session.currentCue
+                val jumpsAtCue = sceneJumps
 
                 if (cue != null) {
                     // Execute current cue
@@ -461,7 +485,7 @@ class DirectorManager(
                     } else false
 
                     emitEvent(DirectorEvent.CueExecuted(cue, success))
-                    takeManager.recordCueExecution(cue.id, System.currentTimeMillis(), success)
+                    takeManager.recordCueExecution(cue.id, System.currentTimeMillis(), success, cue.rawText)
 
                     // Wait for cue duration
                     val waitTime = when (cue.type) {
@@ -474,8 +498,10 @@ class DirectorManager(
                         delay(waitTime)
                     }
 
-                    // Advance to next cue
-                    advanceCue() ?: break
+                    // A scene jump during the wait has already set the next position
+                    if (sceneJumps == jumpsAtCue) {
+                        advanceCue() ?: break
+                    }
                 } else {
                     // No more cues, try next scene
                     if (advanceScene() == null) break
@@ -535,22 +561,56 @@ class DirectorManager(
 
         when {
             temp >= config.thermalThresholdDisable -> {
-                Timber.tag(TAG).w("Thermal threshold exceeded ($temp°C), disabling director")
-                _state.value = DirectorState.THERMAL_HOLD
-                stopExecution()
-                emitEvent(DirectorEvent.ThermalWarning(temp, "Director disabled due to high temperature"))
-                emitEvent(DirectorEvent.StateChanged(DirectorState.THERMAL_HOLD))
+                if (_state.value != DirectorState.THERMAL_HOLD) {
+                    Timber.tag(TAG).w("Thermal threshold exceeded ($temp°C), disabling director")
+                    // Stop first: stopExecution() resets the state to READY/IDLE
+                    stopExecution()
+                    _state.value = DirectorState.THERMAL_HOLD
+                    val action = "Director disabled due to high temperature"
+                    _thermalPauses.value = _thermalPauses.value + ThermalPause(now, temp, action, hold = true)
+                    emitEvent(DirectorEvent.ThermalWarning(temp, action))
+                    emitEvent(DirectorEvent.StateChanged(DirectorState.THERMAL_HOLD))
+                }
                 return false
             }
+            _state.value == DirectorState.THERMAL_HOLD -> {
+                // Stay held until the device has cooled past the resume threshold
+                if (temp > config.thermalThresholdResume) return false
+                Timber.tag(TAG).i("Temperature back to $temp°C, releasing thermal hold")
+                releaseThermalHold()
+            }
             temp >= config.thermalThresholdInference && config.inferenceMode == InferenceMode.REMOTE -> {
-                Timber.tag(TAG).w("Thermal warning ($temp°C), disabling remote inference")
-                emitEvent(DirectorEvent.ThermalWarning(temp, "Remote inference disabled due to temperature"))
+                // One event per warning period, not one per check
+                if (_thermalPauses.value.none { !it.hold && it.endTimeMs == 0L }) {
+                    Timber.tag(TAG).w("Thermal warning ($temp°C), disabling remote inference")
+                    val action = "Remote inference disabled due to temperature"
+                    _thermalPauses.value = _thermalPauses.value + ThermalPause(now, temp, action, hold = false)
+                    emitEvent(DirectorEvent.ThermalWarning(temp, action))
+                }
             }
+            else -> endThermalWarning(now)
         }
 
         return true
     }
 
+    private fun endThermalWarning(now: Long) {
+        if (_thermalPauses.value.none { !it.hold && it.endTimeMs == 0L }) return
+        Timber.tag(TAG).i("Temperature below inference threshold, thermal warning cleared")
+        _thermalPauses.value = _thermalPauses.value.map {
+            if (!it.hold && it.endTimeMs == 0L) it.copy(endTimeMs = now) else it
+        }
+    }
+
+    private fun releaseThermalHold() {
+        val now = System.currentTimeMillis()
+        _thermalPauses.value = _thermalPauses.value.map {
+            if (it.hold && it.endTimeMs == 0L) it.copy(endTimeMs = now) else it
+        }
+        _state.value = if (_currentSession.value != null) DirectorState.READY else DirectorState.IDLE
+        emitEvent(DirectorEvent.StateChanged(_state.value))
+    }
+
     private fun startThermalMonitoring() {
         if (config.thermalAutoDisable) {
             thermalCheckJob = scope.launch {
@@ -578,6 +638,7 @@ class DirectorManager(
      */
     fun getSessionDuration(): Long {
         val session = _currentSession.value ?: return 0
+        if (session.startTimeMs == 0L) return 0
         return (System.currentTimeMillis() - session.startTimeMs) / 1000
     }
 
@@ -587,6 +648,7 @@ class DirectorManager(
     fun clearScript() {
         stopExecution()
         _currentSession.value = null
+        _thermalPauses.value = emptyList()
         if (_state.value != DirectorState.DISABLED) {
             _state.value = DirectorState.IDLE
             emitEvent(DirectorEvent.StateChanged(DirectorState.IDLE))
@@ -21,7 +21,35 @@ class RemoteLlmClient(
         private const val TAG = "RemoteLlmClient"
         private const val CONNECT_TIMEOUT_MS = 10_000
         private const val READ_TIMEOUT_MS = 30_000
-        private const val DEFAULT_ENDPOINT = "http://localhost:11434"
+        const val DEFAULT_ENDPOINT = "http://localhost:11434"
+
+        /**
+         * Validate that an endpoint is localhost (the only allowed target).
+         */
+        fun checkEndpoint(endpoint: String): Result<Unit> {
+            return try {
+                val url = URL(endpoint)
+                val protocol = url.protocol.lowercase()
+                if (protocol != "http" && protocol != "https") {
+                    return Result.failure(IllegalArgumentException("Only HTTP/HTTPS protocols are allowed"))
+                }
+                if (!isLocalEndpoint(endpoint)) {
+                    return Result.failure(IllegalArgumentException("Only localhost endpoints are allowed (Ollama)"))
+                }
+                Result.success(Unit)
+            } catch (e: Exception) {
+                Result.failure(IllegalArgumentException("Invalid endpoint URL: ${e.message}"))
+            }
+        }
+
+        private fun isLocalEndpoint(endpoint: String): Boolean {
+            return try {
+                val host = URL(endpoint).host.lowercase()
+                host == "localhost" || host == "127.0.0.1" || host == "::1"
+            } catch (e: Exception) {
+                false
+            }
+        }
     }
 
     /**
@@ -64,30 +92,7 @@ class RemoteLlmClient(
     /**
      * Validate that an endpoint is localhost (the only allowed target).
      */
-    fun validateEndpoint(endpoint: String): Result<Unit> {
-        return try {
-            val url = URL(endpoint)
-            val protocol = url.protocol.lowercase()
-            if (protocol != "http" && protocol != "https") {
-                return Result.failure(IllegalArgumentException("Only HTTP/HTTPS protocols are allowed"))
-            }
-            if (!isLocalEndpoint(endpoint)) {
-                return Result.failure(IllegalArgumentException("Only localhost endpoints are allowed (Ollama)"))
-            }
-            Result.success(Unit)
-        } catch (e: Exception) {
-            Result.failure(IllegalArgumentException("Invalid endpoint URL: ${e.message}"))
-        }
-    }
-
-    private fun isLocalEndpoint(endpoint: String): Boolean {
-        return try {
-            val host = URL(endpoint).host.lowercase()
-            host == "localhost" || host == "127.0.0.1" || host == "::1"
-        } catch (e: Exception) {
-            false
-        }
-    }
+    fun validateEndpoint(endpoint: String): Result<Unit> = checkEndpoint(endpoint)
 
     /**
      * Interpret a script fragment and return camera cues
@@ -199,6 +204,10 @@ Output camera cues in the specified format, one per line."""
                 readTimeout = READ_TIMEOUT_MS
                 doOutput = true
                 setRequestProperty("Content-Type", "application/json")
+                // Only needed when the local server sits behind an authenticating proxy
+                if (config.apiKey.isNotEmpty()) {
+                    setRequestProperty("Authorization", "Bearer ${config.apiKey}")
+                }
             }
 
             OutputStreamWriter(connection.outputStream).use { writer ->
@@ -31,12 +31,12 @@ class ScriptParser(
         )
 
         private val SHOT_PATTERN = Pattern.compile(
-            """\[SHOT[:\s]+(ESTABLISHING|WIDE|FULL[_\s]?SHOT|MEDIUM[_\s]?CLOSE|MEDIUM|CLOSE[_\s]?UP|EXTREME[_\s]?CLOSE[_\s]?UP|ECU|OVER[_\s]?SHOULDER|OTS)\]""",
+            """\[SHOT[:\s]+(ESTABLISHING|WIDE|FULL[_\s-]?SHOT|MEDIUM[_\s-]?CLOSE|MEDIUM|CLOSE[_\s-]?UP|EXTREME[_\s-]?CLOSE[_\s-]?UP|ECU|OVER[_\s-]?SHOULDER|OTS)\]""",
             Pattern.CASE_INSENSITIVE
         )
 
         private val TRANSITION_PATTERN = Pattern.compile(
-            """\[TRANSITION[:\s]+(PUSH[_\s]?IN|PULL[_\s]?BACK|RACK[_\s]?FOCUS|CUT|HOLD)\](?:\s*-?\s*(\d+(?:\.\d+)?)\s*s?)?""",
+            """\[TRANSITION[:\s]+(PUSH[_\s-]?IN|PULL[_\s-]?BACK|RACK[_\s-]?FOCUS|CUT|HOLD)\](?:\s*-?\s*(\d+(?:\.\d+)?)\s*s?)?""",
             Pattern.CASE_INSENSITIVE
         )
 
@@ -435,7 +435,7 @@ class ScriptParser(
 
         script.scenes.forEach { scene ->
             if (scene.cues.isEmpty()) {
-                warnings.add("Scene '${scene.label}' has no cues")
+                warnings.add("Scene '${scene.label}' (line ${scene.startLine + 1}) has no cues")
             }
         }
 
@@ -65,7 +65,8 @@ class TakeManager(
         val cueId: String,
         val expectedTimeMs: Long,
         val actualTimeMs: Long,
-        val success: Boolean
+        val success: Boolean,
+        val cueText: String = ""
     ) {
         val timingErrorMs: Long get() = kotlin.math.abs(actualTimeMs - expectedTimeMs)
         val timingAccuracy: Float get() {
@@ -158,7 +159,14 @@ class TakeManager(
             qualityFactors = qualityFactors,
             cuesExecuted = active.cuesExecuted,
             cuesFailed = active.cuesFailed,
-            suggested = false
+            suggested = false,
+            cueMarkers = active.cueTimings.map { timing ->
+                TakeCueMarker(
+                    offsetMs = max(0L, timing.actualTimeMs - active.startTimeMs),
+                    cue = timing.cueText.ifEmpty { timing.cueId },
+                    success = timing.success
+                )
+            }
         )
 
         // Add to recorded takes
@@ -230,16 +238,17 @@ class TakeManager(
     }
 
     /**
-     * Record a cue execution for timing accuracy
+     * Record a cue execution for timing accuracy and the take's cue markers
      */
-    fun recordCueExecution(cueId: String, expectedTimeMs: Long, success: Boolean) {
+    fun recordCueExecution(cueId: String, expectedTimeMs: Long, success: Boolean, cueText: String = "") {
         _currentTake.value?.let { take ->
             take.cueTimings.add(
                 CueTiming(
                     cueId = cueId,
                     expectedTimeMs = expectedTimeMs,
                     actualTimeMs = System.currentTimeMillis(),
-                    success = success
+                    success = success,
+                    cueText = cueText
                 )
             )
             if (success) {
@@ -502,19 +511,23 @@ class TakeManager(
     val currentTakeNumber: Int get() = _currentTake.value?.takeNumber ?: takeCounter
 
     /**
-     * Link a take to its recording file
+     * Link a take to its recording file. [recordingStartMs] is when the recording
+     * began (0 if unknown), which places the take inside a file spanning several
+     * takes. Returns false if the take does not exist.
      */
-    fun linkTakeToFile(takeNumber: Int, filePath: String) {
+    fun linkTakeToFile(takeNumber: Int, filePath: String, recordingStartMs: Long = 0): Boolean {
         val takes = _recordedTakes.value.toMutableList()
         val index = takes.indexOfFirst { it.takeNumber == takeNumber }
 
         if (index >= 0) {
             val take = takes[index]
-            takes[index] = take.copy(filePath = filePath)
+            takes[index] = take.copy(filePath = filePath, recordingStartMs = recordingStartMs)
             _recordedTakes.value = takes
             Timber.tag(TAG).i("Linked take #$takeNumber to file: $filePath")
+            return true
         } else {
             Timber.tag(TAG).w("Cannot link file - take #$takeNumber not found")
+            return false
         }
     }
 
@@ -0,0 +1,51 @@
+package com.lensdaemon.director
+
+import org.junit.Assert.*
+import org.junit.Test
+
+/**
+ * Tests for DirectorConfig validation.
+ */
+class DirectorConfigTest {
+
+    @Test
+    fun `defaults are valid`() {
+        assertTrue(DirectorConfig.DEFAULT.validate().isEmpty())
+        assertTrue(DirectorConfig.THERMAL_SAFE.validate().isEmpty())
+    }
+
+    @Test
+    fun `resume threshold must be below pause threshold`() {
+        val config = DirectorConfig(thermalThresholdDisable = 50, thermalThresholdResume = 50)
+        assertEquals(1, config.validate().size)
+    }
+
+    @Test
+    fun `inference threshold must not exceed pause threshold`() {
+        val config = DirectorConfig(thermalThresholdInference = 56, thermalThresholdDisable = 55)
+        assertEquals(1, config.validate().size)
+    }
+
+    @Test
+    fun `rejects out of range hold duration`() {
+        assertFalse(DirectorConfig(defaultHoldDurationMs = -1).validate().isEmpty())
+        assertFalse(DirectorConfig(defaultHoldDurationMs = 120_000).validate().isEmpty())
+    }
+
+    @Test
+    fun `rejects remote LLM endpoint`() {
+        val config = DirectorConfig(llmConfig = LlmConfig(endpoint = "https://api.openai.com"))
+        assertEquals(1, config.validate().size)
+    }
+
+    @Test
+    fun `empty LLM endpoint falls back to local default`() {
+        assertTrue(DirectorConfig(llmConfig = LlmConfig(endpoint = "")).validate().isEmpty())
+    }
+
+    @Test
+    fun `rejects invalid LLM settings`() {
+        val config = DirectorConfig(llmConfig = LlmConfig(model = " ", temperature = 3f, maxTokens = 0))
+        assertEquals(3, config.validate().size)
+    }
+}
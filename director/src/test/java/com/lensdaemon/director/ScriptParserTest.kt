@@ -215,6 +215,14 @@ class ScriptParserTest {
         assertEquals(ShotType.CLOSE_UP, cues[0].shotType)
     }
 
+    @Test
+    fun `parseCuesFromLine SHOT OVER-SHOULDER with hyphen`() {
+        val cues = parser.parseCuesFromLine("[SHOT: OVER-SHOULDER]")
+        assertEquals(1, cues.size)
+        assertEquals(CueType.SHOT, cues[0].type)
+        assertEquals(ShotType.OVER_SHOULDER, cues[0].shotType)
+    }
+
     @Test
     fun `parseCuesFromLine SHOT ESTABLISHING`() {
         val cues = parser.parseCuesFromLine("[SHOT: ESTABLISHING]")
@@ -842,6 +850,20 @@ class ScriptParserTest {
         assertTrue(warnings.any { it.contains("Empty Scene") && it.contains("no cues") })
     }
 
+    @Test
+    fun `validateScript reports the line of an empty scene`() {
+        val script = """
+            [SCENE: Intro]
+            [SHOT: WIDE]
+            [SCENE: Nothing Here]
+            [SCENE: Outro]
+            [SHOT: MEDIUM]
+        """.trimIndent()
+        val parsed = parser.parseScript(script)
+        val warnings = parser.validateScript(parsed)
+        assertTrue(warnings.contains("Scene 'Nothing Here' (line 3) has no cues"))
+    }
+
     @Test
     fun `validateScript warns for script with scenes but zero totalCues`() {
         val scene = DirectorScene(label = "Test", cues = emptyList())
@@ -0,0 +1,73 @@
+package com.lensdaemon.director
+
+import org.junit.Assert.*
+import org.junit.Before
+import org.junit.Test
+
+/**
+ * Unit tests for TakeManager cue markers and file linking.
+ */
+class TakeManagerTest {
+
+    private lateinit var takeManager: TakeManager
+
+    @Before
+    fun setUp() {
+        takeManager = TakeManager()
+    }
+
+    @Test
+    fun `endTake records cue markers relative to take start`() {
+        val started = takeManager.startTake("scene_000", "Intro")
+        takeManager.recordCueExecution("cue-1", System.currentTimeMillis(), true, "[SHOT: WIDE]")
+        takeManager.recordCueExecution("cue-2", System.currentTimeMillis(), false, "[FOCUS: FACE]")
+        val take = takeManager.endTake()!!
+
+        assertEquals(started.takeNumber, take.takeNumber)
+        assertEquals(2, take.cueMarkers.size)
+        assertEquals("[SHOT: WIDE]", take.cueMarkers[0].cue)
+        assertTrue(take.cueMarkers[0].success)
+        assertFalse(take.cueMarkers[1].success)
+        take.cueMarkers.forEach { marker ->
+            assertTrue(marker.offsetMs >= 0)
+            assertTrue(marker.offsetMs <= take.durationMs)
+        }
+    }
+
+    @Test
+    fun `cue marker falls back to cue id without text`() {
+        takeManager.startTake("scene_000", "Intro")
+        takeManager.recordCueExecution("cue-1", System.currentTimeMillis(), true)
+        val take = takeManager.endTake()!!
+
+        assertEquals("cue-1", take.cueMarkers.single().cue)
+    }
+
+    @Test
+    fun `cues outside a take are not recorded`() {
+        takeManager.recordCueExecution("cue-1", System.currentTimeMillis(), true, "[SHOT: WIDE]")
+        takeManager.startTake("scene_000", "Intro")
+        val take = takeManager.endTake()!!
+
+        assertTrue(take.cueMarkers.isEmpty())
+    }
+
+    @Test
+    fun `linkTakeToFile reports unknown takes`() {
+        takeManager.startTake("scene_000", "Intro")
+        val take = takeManager.endTake()!!
+
+        assertTrue(takeManager.linkTakeToFile(take.takeNumber, "take1.mp4"))
+        assertEquals("take1.mp4", takeManager.recordedTakes.value.single().filePath)
+        assertFalse(takeManager.linkTakeToFile(99, "missing.mp4"))
+    }
+
+    @Test
+    fun `linkTakeToFile stores the recording start`() {
+        takeManager.startTake("scene_000", "Intro")
+        val take = takeManager.endTake()!!
+
+        assertTrue(takeManager.linkTakeToFile(take.takeNumber, "take1.mp4", 1_700_000_000_000))
+        assertEquals(1_700_000_000_000, takeManager.recordedTakes.value.single().recordingStartMs)
+    }
+}